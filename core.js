@@ -0,0 +1,5565 @@
+/**
+ * Simulation Builder - Headless Core
+ * Stats, parsing, rules, persistence and prompt building with no DOM and no
+ * SillyTavern globals. index.js imports it in the browser; Node can require() it.
+ */
+
+(function(root, factory) {
+    const core = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = core;
+    } else {
+        root.SimBuilderCore = core;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+    'use strict';
+
+    const VERSION = '1.0.0';
+    const DISPLAY_NAME = 'Simulation Builder';
+    const MODULE_NAME = 'simulation_builder';
+
+    // ========================================
+    // Utility Functions
+    // ========================================
+    
+    function log(...args) {
+        console.log(`[${DISPLAY_NAME}]`, ...args);
+    }
+
+    function logError(...args) {
+        console.error(`[${DISPLAY_NAME}]`, ...args);
+    }
+
+    function isPlainObject(val) {
+        return val !== null && typeof val === 'object' && !Array.isArray(val);
+    }
+
+    function deepClone(obj) {
+        if (obj === null || typeof obj !== 'object') return obj;
+        try {
+            return JSON.parse(JSON.stringify(obj));
+        } catch (e) {
+            return obj;
+        }
+    }
+
+    function isNonEmptyString(val) {
+        return typeof val === 'string' && val.trim().length > 0;
+    }
+
+    function toString(val, defaultVal = '') {
+        if (typeof val === 'string') return val;
+        if (val === null || val === undefined) return defaultVal;
+        return String(val);
+    }
+
+    function toNumber(val, defaultVal = 0) {
+        const num = parseFloat(val);
+        return Number.isFinite(num) ? num : defaultVal;
+    }
+
+    function clamp(val, min, max) {
+        if (min > max) [min, max] = [max, min];
+        return Math.max(min, Math.min(max, val));
+    }
+
+    // Rounds away float noise (0.1 + 0.2) so stat values compare cleanly
+    const SafeMath = Object.freeze({
+        PRECISION: 10,
+        round(val) {
+            const factor = Math.pow(10, SafeMath.PRECISION);
+            return Math.round(val * factor) / factor;
+        },
+        add: (a, b) => SafeMath.round(toNumber(a) + toNumber(b)),
+        subtract: (a, b) => SafeMath.round(toNumber(a) - toNumber(b)),
+        multiply: (a, b) => SafeMath.round(toNumber(a) * toNumber(b)),
+        divide(a, b, fallback = 0) {
+            const divisor = toNumber(b);
+            return divisor === 0 ? fallback : SafeMath.round(toNumber(a) / divisor);
+        },
+        percentage: (value, total) => SafeMath.divide(toNumber(value) * 100, total, 0)
+    });
+
+    function generateId(prefix = 'id') {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    function sanitizeId(str) {
+        return toString(str, 'stat')
+            .toLowerCase()
+            .replace(/[^a-z0-9_-]/g, '_')
+            .replace(/_+/g, '_')
+            .substring(0, 32);
+    }
+
+    // Cheap fingerprint (djb2), not for anything security related
+    function hashText(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    // sanitizeId maps every non-ASCII name to "_", so such names fall back to the prefix;
+    // a number is appended until the id is free
+    function uniqueId(name, isTaken = () => false, prefix = 'stat') {
+        const base = sanitizeId(name).replace(/^_+|_+$/g, '') || prefix;
+        if (!isTaken(base)) return base;
+        for (let n = 2; ; n++) {
+            const id = `${base.substring(0, 28)}_${n}`;
+            if (!isTaken(id)) return id;
+        }
+    }
+
+    function safeJsonParse(str, defaultVal = null) {
+        try {
+            return JSON.parse(str);
+        } catch (e) {
+            return defaultVal;
+        }
+    }
+
+    // ========================================
+    // Stat Display Modes
+    // ========================================
+    
+    const StatDisplayMode = Object.freeze({
+        VALUE: 'value',
+        FRACTION: 'fraction',
+        PERCENT: 'percent',
+        BAR: 'bar',
+        HIDDEN: 'hidden'
+    });
+
+    const StatType = Object.freeze({
+        NUMBER: 'number',
+        BOOLEAN: 'boolean',
+        ENUM: 'enum',
+        TEXT: 'text'
+    });
+
+    // When a stat's per-tick delta applies, judged on the value before the tick
+    const RegenCondition = Object.freeze({
+        ALWAYS: 'always',
+        ABOVE: 'above',
+        BELOW: 'below'
+    });
+
+    const BOOLEAN_WORDS = Object.freeze({
+        on: true, true: true, yes: true, '1': true,
+        off: false, false: false, no: false, '0': false
+    });
+
+    // ========================================
+    // Stat Modifiers
+    // ========================================
+
+    const ModifierType = Object.freeze({
+        ADD: 'add',
+        PERCENT: 'percent',
+        MULTIPLY: 'multiply',
+        OVERRIDE: 'override'
+    });
+
+    // Apply order within a collection; OVERRIDE always wins
+    const MODIFIER_ORDER = [ModifierType.ADD, ModifierType.PERCENT, ModifierType.MULTIPLY];
+
+    class StatModifier {
+        constructor(config = {}) {
+            this.id = isNonEmptyString(config.id) ? config.id : generateId('mod');
+            this.name = toString(config.name, this.id);
+            this.statId = isNonEmptyString(config.statId) ? sanitizeId(config.statId) : '';
+            this.type = Object.values(ModifierType).includes(config.type) ? config.type : ModifierType.ADD;
+            this.value = toNumber(config.value, 0);
+            // duration < 0 means permanent
+            this.duration = Math.floor(toNumber(config.duration, -1));
+            this.remainingDuration = Math.floor(toNumber(config.remainingDuration, this.duration));
+            this.maxStacks = Math.max(1, Math.floor(toNumber(config.maxStacks, 1)));
+            this.currentStacks = clamp(Math.floor(toNumber(config.currentStacks, 1)), 1, this.maxStacks);
+            this.source = toString(config.source, '');
+        }
+
+        isPermanent() {
+            return this.duration < 0;
+        }
+
+        isActive() {
+            return this.isPermanent() || this.remainingDuration > 0;
+        }
+
+        getEffectiveValue() {
+            switch (this.type) {
+                case ModifierType.MULTIPLY:
+                    return Math.pow(this.value, this.currentStacks);
+                case ModifierType.OVERRIDE:
+                    return this.value;
+                default:
+                    return this.value * this.currentStacks;
+            }
+        }
+
+        apply(baseValue) {
+            const value = this.getEffectiveValue();
+            switch (this.type) {
+                case ModifierType.PERCENT:
+                    return baseValue * (1 + value / 100);
+                case ModifierType.MULTIPLY:
+                    return baseValue * value;
+                case ModifierType.OVERRIDE:
+                    return value;
+                default:
+                    return baseValue + value;
+            }
+        }
+
+        addStacks(count = 1) {
+            this.currentStacks = clamp(this.currentStacks + Math.floor(toNumber(count, 1)), 1, this.maxStacks);
+            return this.currentStacks;
+        }
+
+        refresh() {
+            this.remainingDuration = this.duration;
+        }
+
+        tick() {
+            if (!this.isPermanent() && this.remainingDuration > 0) {
+                this.remainingDuration--;
+            }
+            return this.isActive();
+        }
+
+        describe() {
+            const value = this.getEffectiveValue();
+            const sign = value >= 0 ? '+' : '';
+            switch (this.type) {
+                case ModifierType.PERCENT: return `${sign}${value}%`;
+                case ModifierType.MULTIPLY: return `×${value}`;
+                case ModifierType.OVERRIDE: return `=${value}`;
+                default: return `${sign}${value}`;
+            }
+        }
+
+        toJSON() {
+            return {
+                id: this.id,
+                name: this.name,
+                statId: this.statId,
+                type: this.type,
+                value: this.value,
+                duration: this.duration,
+                remainingDuration: this.remainingDuration,
+                maxStacks: this.maxStacks,
+                currentStacks: this.currentStacks,
+                source: this.source
+            };
+        }
+
+        static fromJSON(data) {
+            return new StatModifier(data);
+        }
+    }
+
+    class ModifierCollection {
+        constructor(statId = '') {
+            this.statId = statId;
+            this.modifiers = new Map();
+        }
+
+        get size() {
+            return this.modifiers.size;
+        }
+
+        add(config) {
+            const existing = isPlainObject(config) && config.id ? this.modifiers.get(config.id) : null;
+            if (existing) {
+                existing.addStacks(1);
+                existing.refresh();
+                return existing;
+            }
+            const modifier = config instanceof StatModifier
+                ? config
+                : new StatModifier({ ...config, statId: this.statId });
+            this.modifiers.set(modifier.id, modifier);
+            return modifier;
+        }
+
+        remove(modifierId) {
+            return this.modifiers.delete(modifierId);
+        }
+
+        get(modifierId) {
+            return this.modifiers.get(modifierId);
+        }
+
+        has(modifierId) {
+            return this.modifiers.has(modifierId);
+        }
+
+        getAll() {
+            return Array.from(this.modifiers.values());
+        }
+
+        getActive() {
+            return this.getAll().filter(m => m.isActive());
+        }
+
+        applyAll(baseValue) {
+            const active = this.getActive();
+            const override = active.filter(m => m.type === ModifierType.OVERRIDE).pop();
+            if (override) return override.apply(baseValue);
+
+            let value = baseValue;
+            for (const type of MODIFIER_ORDER) {
+                for (const modifier of active) {
+                    if (modifier.type === type) value = modifier.apply(value);
+                }
+            }
+            return value;
+        }
+
+        tick() {
+            const expired = [];
+            for (const modifier of this.getAll()) {
+                if (!modifier.tick()) {
+                    this.modifiers.delete(modifier.id);
+                    expired.push(modifier);
+                }
+            }
+            return expired;
+        }
+
+        clear() {
+            this.modifiers.clear();
+        }
+
+        toJSON() {
+            return this.getAll().map(m => m.toJSON());
+        }
+
+        fromJSON(data) {
+            this.clear();
+            if (Array.isArray(data)) {
+                for (const modData of data) {
+                    const modifier = StatModifier.fromJSON({ ...modData, statId: this.statId });
+                    this.modifiers.set(modifier.id, modifier);
+                }
+            }
+            return this;
+        }
+    }
+
+    // ========================================
+    // Stat Class
+    // ========================================
+    
+    class Stat {
+        constructor(config = {}) {
+            this.id = isNonEmptyString(config.id) ? sanitizeId(config.id) : generateId('stat');
+            this.name = toString(config.name, 'Unnamed Stat');
+            this.type = Object.values(StatType).includes(config.type) ? config.type : StatType.NUMBER;
+            this.options = Array.isArray(config.options)
+                ? config.options.map(o => toString(o).trim()).filter(Boolean)
+                : [];
+            if (this.isNumeric) {
+                this.baseValue = toNumber(config.baseValue, 100);
+                this.currentValue = toNumber(config.currentValue, this.baseValue);
+            } else {
+                const base = this.coerce(config.baseValue);
+                this.baseValue = base === undefined ? this._defaultValue() : base;
+                const current = this.coerce(config.currentValue);
+                this.currentValue = current === undefined ? this.baseValue : current;
+            }
+            this.minValue = toNumber(config.minValue, 0);
+            this.maxValue = toNumber(config.maxValue, 100);
+            if (this.minValue > this.maxValue) {
+                [this.minValue, this.maxValue] = [this.maxValue, this.minValue];
+            }
+            this.color = toString(config.color, '#4a90d9');
+            this.displayMode = config.displayMode || StatDisplayMode.FRACTION;
+            this.showInUI = config.showInUI !== false;
+            this.category = toString(config.category, '');
+            // Other names prose may use for this stat, e.g. "health" or "체력" for hp
+            this.aliases = Array.isArray(config.aliases)
+                ? config.aliases.map(a => toString(a).trim()).filter(Boolean)
+                : [];
+            this.lastChange = 0;
+            this.modifiers = new ModifierCollection(this.id).fromJSON(config.modifiers);
+            this.formula = toString(config.formula, '').trim();
+            this.maxFormula = toString(config.maxFormula, '').trim();
+            this.regen = Stat.normalizeRegen(config.regen);
+            this._changeHandler = null;
+        }
+
+        /**
+         * Per-tick delta: { amount, percent, condition, threshold }. A percent
+         * amount is a share of maxValue. Returns null when there is nothing to apply.
+         */
+        static normalizeRegen(regen) {
+            if (!isPlainObject(regen)) return null;
+            const amount = toNumber(regen.amount, 0);
+            if (amount === 0) return null;
+            return {
+                amount,
+                percent: Boolean(regen.percent),
+                condition: Object.values(RegenCondition).includes(regen.condition) ? regen.condition : RegenCondition.ALWAYS,
+                threshold: toNumber(regen.threshold, 0),
+                // 'day' or 'night' limits it to that part of the world clock's day
+                phase: regen.phase === 'day' || regen.phase === 'night' ? regen.phase : ''
+            };
+        }
+
+        static describeRegen(regen) {
+            if (!regen) return '';
+            const sign = regen.amount > 0 ? '+' : '';
+            const phase = regen.phase ? ` at ${regen.phase}` : '';
+            const amount = `${sign}${regen.amount}${regen.percent ? '%' : ''}/turn${phase}`;
+            switch (regen.condition) {
+                case RegenCondition.ABOVE: return `${amount} while above ${regen.threshold}`;
+                case RegenCondition.BELOW: return `${amount} while below ${regen.threshold}`;
+                default: return amount;
+            }
+        }
+
+        /**
+         * Applies one tick of regeneration or decay. A conditional delta stops at
+         * its threshold instead of overshooting it.
+         * @param {boolean} [isDaytime] - from the world clock; phase limits are ignored without one
+         * @returns {{oldValue, newValue, actualChange}|null} null when nothing changed
+         */
+        applyRegen(isDaytime) {
+            const regen = this.regen;
+            if (!regen || !this.isNumeric || this.formula) return null;
+            if (regen.phase && typeof isDaytime === 'boolean' && isDaytime !== (regen.phase === 'day')) return null;
+            const value = this.currentValue;
+            let delta = regen.percent ? Math.round(this.maxValue * regen.amount) / 100 : regen.amount;
+            if (regen.condition === RegenCondition.ABOVE) {
+                if (value <= regen.threshold) return null;
+                if (delta < 0) delta = Math.max(delta, regen.threshold - value);
+            } else if (regen.condition === RegenCondition.BELOW) {
+                if (value >= regen.threshold) return null;
+                if (delta > 0) delta = Math.min(delta, regen.threshold - value);
+            }
+            const result = this.modify(delta);
+            return result.actualChange === 0 ? null : result;
+        }
+
+        get finalValue() {
+            if (!this.isNumeric) return this.currentValue;
+            return Math.max(this.minValue, Math.min(this.maxValue, this.modifiers.applyAll(this.currentValue)));
+        }
+
+        get isNumeric() {
+            return this.type === StatType.NUMBER;
+        }
+
+        // What formulas and expressions see; flags count as 1/0, enums and text are not numbers
+        get numericValue() {
+            if (this.isNumeric) return this.finalValue;
+            if (this.type === StatType.BOOLEAN) return this.currentValue ? 1 : 0;
+            return undefined;
+        }
+
+        get isModified() {
+            return this.modifiers.getActive().length > 0;
+        }
+
+        get isAtMax() {
+            return this.isNumeric && this.currentValue >= this.maxValue;
+        }
+
+        get isAtMin() {
+            return this.isNumeric && this.currentValue <= this.minValue;
+        }
+
+        get isDerived() {
+            return Boolean(this.formula || this.maxFormula);
+        }
+
+        get percentage() {
+            if (this.type === StatType.BOOLEAN) return this.currentValue ? 100 : 0;
+            if (!this.isNumeric) return 100;
+            const range = this.maxValue - this.minValue;
+            if (range <= 0) return 100;
+            return ((this.finalValue - this.minValue) / range) * 100;
+        }
+
+        modify(delta) {
+            const oldValue = this.currentValue;
+            if (!this.isNumeric) {
+                return { oldValue, newValue: oldValue, actualChange: 0 };
+            }
+            this.currentValue = Math.max(this.minValue, Math.min(this.maxValue, this.currentValue + delta));
+            this.lastChange = this.currentValue - oldValue;
+            this._emitChange();
+            return { oldValue, newValue: this.currentValue, actualChange: this.lastChange };
+        }
+
+        set(value) {
+            const oldValue = this.currentValue;
+            if (!this.isNumeric) {
+                const coerced = this.coerce(value);
+                if (coerced !== undefined) this.currentValue = coerced;
+                this.lastChange = 0;
+                this._emitChange();
+                return { oldValue, newValue: this.currentValue, actualChange: 0 };
+            }
+            this.currentValue = Math.max(this.minValue, Math.min(this.maxValue, value));
+            this.lastChange = this.currentValue - oldValue;
+            this._emitChange();
+            return { oldValue, newValue: this.currentValue, actualChange: this.lastChange };
+        }
+
+        /**
+         * Converts raw input to this stat's type. Flags accept on/off, yes/no,
+         * true/false, 1/0 and "toggle"; enums accept their options case-insensitively.
+         * @returns {*} the typed value, or undefined when the input is not valid
+         */
+        coerce(value) {
+            switch (this.type) {
+                case StatType.BOOLEAN: {
+                    if (typeof value === 'boolean') return value;
+                    const word = toString(value).trim().toLowerCase();
+                    if (word === 'toggle') return !this.currentValue;
+                    return BOOLEAN_WORDS[word];
+                }
+                case StatType.ENUM: {
+                    const word = toString(value).trim().toLowerCase();
+                    return this.options.find(o => o.toLowerCase() === word);
+                }
+                case StatType.TEXT:
+                    return value === undefined || value === null ? undefined : toString(value).trim();
+                default: {
+                    const num = parseFloat(value);
+                    return isNaN(num) ? undefined : num;
+                }
+            }
+        }
+
+        _defaultValue() {
+            switch (this.type) {
+                case StatType.BOOLEAN: return false;
+                case StatType.ENUM: return this.options[0] || '';
+                case StatType.TEXT: return '';
+                default: return 100;
+            }
+        }
+
+        reset() {
+            return this.set(this.baseValue);
+        }
+
+        addModifier(config) {
+            const oldValue = this.finalValue;
+            const modifier = this.modifiers.add(config);
+            this.lastChange = this.finalValue - oldValue;
+            this._emitChange();
+            return { oldValue, newValue: this.finalValue, actualChange: this.lastChange, modifierId: modifier.id };
+        }
+
+        removeModifier(modifierId) {
+            const oldValue = this.finalValue;
+            const removed = this.modifiers.remove(modifierId);
+            this.lastChange = this.finalValue - oldValue;
+            this._emitChange();
+            return { oldValue, newValue: this.finalValue, actualChange: this.lastChange, removed };
+        }
+
+        tickModifiers() {
+            const expired = this.modifiers.tick();
+            if (expired.length > 0) this._emitChange();
+            return expired;
+        }
+
+        setBounds(min, max) {
+            this.minValue = toNumber(min, 0);
+            this.maxValue = toNumber(max, 100);
+            if (this.minValue > this.maxValue) {
+                [this.minValue, this.maxValue] = [this.maxValue, this.minValue];
+            }
+            this.currentValue = Math.max(this.minValue, Math.min(this.maxValue, this.currentValue));
+            this._emitChange();
+        }
+
+        _emitChange() {
+            if (typeof this._changeHandler === 'function') {
+                this._changeHandler(this);
+            }
+        }
+
+        getDisplayString() {
+            switch (this.type) {
+                case StatType.BOOLEAN: return this.currentValue ? 'ON' : 'OFF';
+                case StatType.ENUM:
+                case StatType.TEXT: return toString(this.currentValue);
+            }
+            switch (this.displayMode) {
+                case StatDisplayMode.VALUE:
+                    return `${Math.round(this.finalValue)}`;
+                case StatDisplayMode.FRACTION:
+                    return `${Math.round(this.finalValue)}/${Math.round(this.maxValue)}`;
+                case StatDisplayMode.PERCENT:
+                    return `${Math.round(this.percentage)}%`;
+                case StatDisplayMode.BAR:
+                    return '';
+                default:
+                    return `${Math.round(this.finalValue)}`;
+            }
+        }
+
+        toJSON() {
+            return {
+                id: this.id,
+                name: this.name,
+                type: this.type,
+                options: this.options.slice(),
+                baseValue: this.baseValue,
+                currentValue: this.currentValue,
+                minValue: this.minValue,
+                maxValue: this.maxValue,
+                color: this.color,
+                displayMode: this.displayMode,
+                showInUI: this.showInUI,
+                category: this.category,
+                aliases: this.aliases.slice(),
+                modifiers: this.modifiers.toJSON(),
+                formula: this.formula,
+                maxFormula: this.maxFormula,
+                regen: this.regen ? { ...this.regen } : null
+            };
+        }
+
+        static fromJSON(data) {
+            return new Stat(data);
+        }
+    }
+
+    // ========================================
+    // Stat Manager
+    // ========================================
+    
+    class StatManager {
+        constructor() {
+            this.stats = new Map();
+            this.evaluator = new ExpressionEvaluator({ allowDice: false });
+            this._dependencies = new Map();
+            this._order = [];
+            this._derivedChanges = [];
+            this._recalculating = false;
+        }
+
+        add(stat) {
+            const s = stat instanceof Stat ? stat : new Stat(stat);
+            this.stats.set(s.id, s);
+            s._changeHandler = (changed) => this.recalculate(changed.id);
+            const error = this._rebuildDependencies();
+            if (error) {
+                logError(`Formula disabled for ${s.id}: ${error}`);
+                s.formula = '';
+                s.maxFormula = '';
+                this._rebuildDependencies();
+            }
+            if (s.isDerived) {
+                this._evaluateStat(s);
+                // the initial evaluation of a new stat is not a change worth reporting
+                this._derivedChanges = this._derivedChanges.filter(change => change.stat !== s);
+            }
+            this.recalculate(s.id);
+            return s;
+        }
+
+        remove(statId) {
+            const stat = this.get(statId);
+            if (stat) stat._changeHandler = null;
+            const removed = this.stats.delete(sanitizeId(statId));
+            if (removed) this._rebuildDependencies();
+            return removed;
+        }
+
+        get(statId) {
+            return this.stats.get(sanitizeId(statId));
+        }
+
+        has(statId) {
+            return this.stats.has(sanitizeId(statId));
+        }
+
+        // Looks a stat up by id, display name or alias, ignoring case
+        find(name) {
+            const key = toString(name, '').trim().toLowerCase();
+            if (!key) return null;
+            if (/^[a-z0-9_-]+$/.test(key) && this.has(key)) return this.get(key);
+            return this.getAll().find(stat =>
+                stat.name.toLowerCase() === key || stat.aliases.some(alias => alias.toLowerCase() === key)
+            ) || null;
+        }
+
+        get size() {
+            return this.stats.size;
+        }
+
+        modify(statId, delta) {
+            const stat = this.get(statId);
+            return stat ? stat.modify(delta) : null;
+        }
+
+        set(statId, value) {
+            const stat = this.get(statId);
+            return stat ? stat.set(value) : null;
+        }
+
+        getAll() {
+            return Array.from(this.stats.values());
+        }
+
+        getVisible() {
+            return this.getAll().filter(s => s.showInUI && s.displayMode !== StatDisplayMode.HIDDEN);
+        }
+
+        clear() {
+            for (const stat of this.stats.values()) stat._changeHandler = null;
+            this.stats.clear();
+            this._dependencies.clear();
+            this._order = [];
+            this._derivedChanges = [];
+        }
+
+        resetAll() {
+            for (const stat of this.stats.values()) {
+                stat.reset();
+            }
+            // each reset skips the stat itself, so derived values still hold their base values
+            this.recalculateAll();
+            this._derivedChanges = [];
+        }
+
+        setFormulas(statId, { formula = '', maxFormula = '' } = {}) {
+            const stat = this.get(statId);
+            if (!stat) return { success: false, error: 'Stat not found' };
+
+            const next = { formula: toString(formula).trim(), maxFormula: toString(maxFormula).trim() };
+            if (!stat.isNumeric && (next.formula || next.maxFormula)) {
+                return { success: false, error: 'Formulas require a numeric stat' };
+            }
+            for (const expression of Object.values(next)) {
+                if (!expression) continue;
+                if (!this.evaluator.isValid(expression)) {
+                    return { success: false, error: `Invalid formula: ${expression}` };
+                }
+                const unknown = this.evaluator.getReferences(expression).filter(ref => !this.stats.has(ref));
+                if (unknown.length > 0) {
+                    return { success: false, error: `Unknown stat: ${unknown.join(', ')}` };
+                }
+            }
+
+            const previous = { formula: stat.formula, maxFormula: stat.maxFormula };
+            Object.assign(stat, next);
+            const error = this._rebuildDependencies();
+            if (error) {
+                Object.assign(stat, previous);
+                this._rebuildDependencies();
+                return { success: false, error };
+            }
+            if (stat.isDerived) this._evaluateStat(stat);
+            this.recalculate(stat.id);
+            return { success: true };
+        }
+
+        recalculate(changedId) {
+            if (this._recalculating) return;
+            // _order lists dependencies before dependents, so one pass finds every transitive dependent
+            const affected = new Set([changedId]);
+            for (const id of this._order) {
+                const deps = this._dependencies.get(id) || [];
+                if (deps.some(dep => affected.has(dep))) affected.add(id);
+            }
+            this._recalculating = true;
+            try {
+                for (const id of this._order) {
+                    if (id !== changedId && affected.has(id)) {
+                        this._evaluateStat(this.stats.get(id));
+                    }
+                }
+            } finally {
+                this._recalculating = false;
+            }
+        }
+
+        recalculateAll() {
+            for (const id of this._order) {
+                const stat = this.stats.get(id);
+                if (stat && stat.isDerived) this._evaluateStat(stat);
+            }
+        }
+
+        takeDerivedChanges() {
+            const changes = this._derivedChanges;
+            this._derivedChanges = [];
+            return changes;
+        }
+
+        _getReferences(stat) {
+            const refs = new Set();
+            for (const expression of [stat.formula, stat.maxFormula]) {
+                if (!expression) continue;
+                try {
+                    this.evaluator.getReferences(expression).forEach(ref => refs.add(ref));
+                } catch (e) {
+                    // invalid formulas are reported when evaluated
+                }
+            }
+            return Array.from(refs);
+        }
+
+        _rebuildDependencies() {
+            const dependencies = new Map();
+            for (const stat of this.stats.values()) {
+                dependencies.set(stat.id, this._getReferences(stat));
+            }
+
+            const order = [];
+            const visitState = new Map();
+            const visit = (id, path) => {
+                if (visitState.get(id) === 'done') return null;
+                if (visitState.get(id) === 'visiting') {
+                    return [...path.slice(path.indexOf(id)), id].join(' → ');
+                }
+                visitState.set(id, 'visiting');
+                for (const ref of dependencies.get(id)) {
+                    if (!dependencies.has(ref)) continue;
+                    const cycle = visit(ref, [...path, id]);
+                    if (cycle) return cycle;
+                }
+                visitState.set(id, 'done');
+                order.push(id);
+                return null;
+            };
+
+            for (const id of dependencies.keys()) {
+                const cycle = visit(id, []);
+                if (cycle) return `Circular dependency: ${cycle}`;
+            }
+
+            this._dependencies = dependencies;
+            this._order = order;
+            return null;
+        }
+
+        _evaluateStat(stat) {
+            if (!stat || !stat.isDerived) return;
+            const resolve = (id) => {
+                const ref = this.stats.get(id);
+                return ref ? ref.numericValue : undefined;
+            };
+            const oldValue = stat.finalValue;
+            const oldMax = stat.maxValue;
+            try {
+                if (stat.maxFormula) {
+                    stat.maxValue = Math.max(stat.minValue, this.evaluator.evaluate(stat.maxFormula, resolve).value);
+                }
+                if (stat.formula) {
+                    stat.currentValue = this.evaluator.evaluate(stat.formula, resolve).value;
+                }
+                stat.currentValue = clamp(stat.currentValue, stat.minValue, stat.maxValue);
+            } catch (error) {
+                logError(`Failed to evaluate formula for ${stat.id}:`, error.message);
+                return;
+            }
+            if (stat.finalValue !== oldValue || stat.maxValue !== oldMax) {
+                stat.lastChange = stat.finalValue - oldValue;
+                this._derivedChanges.push({
+                    stat,
+                    result: { oldValue, newValue: stat.finalValue, actualChange: stat.lastChange, derived: true }
+                });
+            }
+        }
+
+        toJSON() {
+            return { stats: this.getAll().map(s => s.toJSON()) };
+        }
+
+        fromJSON(data) {
+            this.clear();
+            if (isPlainObject(data) && Array.isArray(data.stats)) {
+                for (const statData of data.stats) {
+                    const stat = Stat.fromJSON(statData);
+                    stat._changeHandler = (changed) => this.recalculate(changed.id);
+                    this.stats.set(stat.id, stat);
+                }
+            }
+            const error = this._rebuildDependencies();
+            if (error) {
+                logError(`Formulas disabled on load: ${error}`);
+                for (const stat of this.stats.values()) {
+                    stat.formula = '';
+                    stat.maxFormula = '';
+                }
+                this._rebuildDependencies();
+            }
+            this.recalculateAll();
+            this._derivedChanges = [];
+            return this;
+        }
+    }
+
+    // ========================================
+    // Inventory
+    // ========================================
+
+    // Reserved command target: {{item:+potion x2}}, {{alice.item:-key}}
+    const ITEM_COMMAND = 'item';
+    const ITEM_COMMAND_PATTERN = /^([+-])\s*(.+?)(?:\s+[x×]\s*(\d+))?$/i;
+    const ITEM_MODIFIER_SOURCE = 'item';
+
+    // Like sanitizeId, but letters of any script survive, so "포션" and "열쇠" stay apart
+    function itemKey(name) {
+        return toString(name, '')
+            .trim()
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}_-]+/gu, '_')
+            .replace(/_+/g, '_')
+            .substring(0, 32);
+    }
+
+    class Item {
+        constructor(config = {}) {
+            this.name = toString(config.name, '').trim() || 'Item';
+            this.id = itemKey(isNonEmptyString(config.id) ? config.id : this.name);
+            this.quantity = Math.max(0, Math.floor(toNumber(config.quantity, 1)));
+            this.description = toString(config.description, '');
+            // equippable items only apply their effects while equipped
+            this.equippable = config.equippable === true;
+            this.equipped = this.equippable && config.equipped === true;
+            this.effects = Array.isArray(config.effects)
+                ? config.effects.map(Item.normalizeEffect).filter(Boolean)
+                : [];
+        }
+
+        static normalizeEffect(effect) {
+            if (!isPlainObject(effect) || !isNonEmptyString(effect.statId)) return null;
+            const value = toNumber(effect.value, NaN);
+            if (isNaN(value)) return null;
+            return {
+                statId: sanitizeId(effect.statId),
+                type: Object.values(ModifierType).includes(effect.type) ? effect.type : ModifierType.ADD,
+                value
+            };
+        }
+
+        static describeEffect(effect) {
+            return `${effect.statId} ${new StatModifier(effect).describe()}`;
+        }
+
+        get isActive() {
+            return this.quantity > 0 && (!this.equippable || this.equipped);
+        }
+
+        describe() {
+            const quantity = this.quantity > 1 ? ` x${this.quantity}` : '';
+            return `${this.name}${quantity}${this.equipped ? ' (equipped)' : ''}`;
+        }
+
+        toJSON() {
+            return {
+                id: this.id,
+                name: this.name,
+                quantity: this.quantity,
+                description: this.description,
+                equippable: this.equippable,
+                equipped: this.equipped,
+                effects: this.effects.map(e => ({ ...e }))
+            };
+        }
+
+        static fromJSON(data) {
+            return new Item(data);
+        }
+    }
+
+    class Inventory {
+        constructor() {
+            this.items = new Map();
+        }
+
+        get size() {
+            return this.items.size;
+        }
+
+        /**
+         * Adds to an item's quantity, creating the item if it is not held yet.
+         * @param {string|object} config - item name or item data
+         */
+        add(config, quantity = 1) {
+            const data = isPlainObject(config) ? config : { name: config };
+            const amount = Math.max(1, Math.floor(toNumber(quantity, 1)));
+            let item = this.get(data.id || data.name);
+            const oldValue = item ? item.quantity : 0;
+            if (item) {
+                item.quantity += amount;
+            } else {
+                item = new Item({ ...data, quantity: amount });
+                this.items.set(item.id, item);
+            }
+            return { item, oldValue, newValue: item.quantity, actualChange: item.quantity - oldValue };
+        }
+
+        remove(itemId, quantity = 1) {
+            const item = this.get(itemId);
+            if (!item) return null;
+            const oldValue = item.quantity;
+            item.quantity = Math.max(0, item.quantity - Math.max(1, Math.floor(toNumber(quantity, 1))));
+            if (item.quantity === 0) this.items.delete(item.id);
+            return { item, oldValue, newValue: item.quantity, actualChange: item.quantity - oldValue };
+        }
+
+        get(itemId) {
+            return isNonEmptyString(itemId) ? this.items.get(itemKey(itemId)) || null : null;
+        }
+
+        has(itemId) {
+            return this.get(itemId) !== null;
+        }
+
+        getAll() {
+            return Array.from(this.items.values());
+        }
+
+        clear() {
+            this.items.clear();
+        }
+
+        toJSON() {
+            return this.getAll().map(item => item.toJSON());
+        }
+
+        fromJSON(data) {
+            this.items.clear();
+            for (const itemData of Array.isArray(data) ? data : []) {
+                if (!isPlainObject(itemData)) continue;
+                const item = Item.fromJSON(itemData);
+                if (item.quantity > 0) this.items.set(item.id, item);
+            }
+            return this;
+        }
+    }
+
+    // ========================================
+    // Entities
+    // ========================================
+
+    // The simulation's own sheet is the "main" entity and doubles as the
+    // shared stat definitions every other entity's sheet is built from.
+    const DEFAULT_ENTITY_ID = 'main';
+
+    function isMainEntity(entityId) {
+        return !entityId || sanitizeId(entityId) === DEFAULT_ENTITY_ID;
+    }
+
+    class Entity {
+        constructor(config = {}) {
+            this.id = isNonEmptyString(config.id) ? sanitizeId(config.id) : generateId('entity');
+            this.name = toString(config.name, this.id);
+            this.statManager = new StatManager();
+            if (isPlainObject(config.statManager)) {
+                this.statManager.fromJSON(config.statManager);
+            }
+            this.inventory = new Inventory().fromJSON(config.inventory);
+        }
+
+        // Rebuilds the sheet from the shared definitions, keeping this entity's own values
+        syncDefinitions(definitions) {
+            const stats = definitions.getAll().map(def => {
+                const data = def.toJSON();
+                const own = this.statManager.get(def.id);
+                return {
+                    ...data,
+                    currentValue: own ? this._keepValue(own, def) : data.baseValue,
+                    modifiers: own ? own.modifiers.toJSON() : []
+                };
+            });
+            this.statManager.fromJSON({ stats });
+        }
+
+        _keepValue(own, def) {
+            if (own.type !== def.type) return def.baseValue;
+            if (!def.isNumeric) {
+                const value = def.coerce(own.currentValue);
+                return value === undefined ? def.baseValue : value;
+            }
+            return clamp(own.currentValue, def.minValue, def.maxValue);
+        }
+
+        toJSON() {
+            return {
+                id: this.id,
+                name: this.name,
+                statManager: this.statManager.toJSON(),
+                inventory: this.inventory.toJSON()
+            };
+        }
+
+        static fromJSON(data) {
+            return new Entity(data);
+        }
+    }
+
+    // ========================================
+    // Rules
+    // ========================================
+
+    const RuleCondition = Object.freeze({
+        CROSSES_BELOW: 'crosses_below',
+        CROSSES_ABOVE: 'crosses_above',
+        REACHES: 'reaches',
+        CHANGES: 'changes'
+    });
+
+    const RuleActionType = Object.freeze({
+        SET_STAT: 'set_stat',
+        MODIFY_STAT: 'modify_stat',
+        NOTIFY: 'notify',
+        PROMPT_NOTE: 'prompt_note',
+        SLASH_COMMAND: 'slash_command'
+    });
+
+    const RuleMode = Object.freeze({
+        ONCE: 'once',
+        REPEAT: 'repeat'
+    });
+
+    // Guards against rules that keep triggering each other
+    const MAX_RULE_DEPTH = 5;
+
+    class Rule {
+        constructor(config = {}) {
+            this.id = isNonEmptyString(config.id) ? config.id : generateId('rule');
+            this.name = toString(config.name, 'New Rule');
+            this.enabled = config.enabled !== false;
+            this.statId = isNonEmptyString(config.statId) ? sanitizeId(config.statId) : '';
+            this.condition = Object.values(RuleCondition).includes(config.condition)
+                ? config.condition
+                : RuleCondition.CROSSES_BELOW;
+            this.threshold = toNumber(config.threshold, 0);
+            this.mode = config.mode === RuleMode.REPEAT ? RuleMode.REPEAT : RuleMode.ONCE;
+            this.fired = Boolean(config.fired);
+            this.actions = Array.isArray(config.actions)
+                ? config.actions.map(a => Rule.normalizeAction(a)).filter(Boolean)
+                : [];
+        }
+
+        static normalizeAction(action) {
+            if (!isPlainObject(action) || !Object.values(RuleActionType).includes(action.type)) return null;
+            const value = typeof action.value === 'number' ? action.value : toString(action.value, '0').trim();
+            return {
+                type: action.type,
+                statId: isNonEmptyString(action.statId) ? sanitizeId(action.statId) : '',
+                value: ExpressionEvaluator.isLiteral(value) ? toNumber(value, 0) : value,
+                text: toString(action.text, '')
+            };
+        }
+
+        canFire() {
+            return this.enabled && this.actions.length > 0 && (this.mode === RuleMode.REPEAT || !this.fired);
+        }
+
+        matches(statId, oldValue, newValue) {
+            if (statId !== this.statId || oldValue === newValue) return false;
+            const t = this.threshold;
+            switch (this.condition) {
+                case RuleCondition.CROSSES_BELOW:
+                    return oldValue >= t && newValue < t;
+                case RuleCondition.CROSSES_ABOVE:
+                    return oldValue <= t && newValue > t;
+                case RuleCondition.REACHES:
+                    return (oldValue < t && newValue >= t) || (oldValue > t && newValue <= t);
+                case RuleCondition.CHANGES:
+                    return true;
+                default:
+                    return false;
+            }
+        }
+
+        toJSON() {
+            return {
+                id: this.id,
+                name: this.name,
+                enabled: this.enabled,
+                statId: this.statId,
+                condition: this.condition,
+                threshold: this.threshold,
+                mode: this.mode,
+                fired: this.fired,
+                actions: this.actions.map(a => ({ ...a }))
+            };
+        }
+
+        static fromJSON(data) {
+            return new Rule(data);
+        }
+    }
+
+    class RuleSet {
+        constructor() {
+            this.rules = new Map();
+        }
+
+        get size() {
+            return this.rules.size;
+        }
+
+        add(config) {
+            const rule = config instanceof Rule ? config : new Rule(config);
+            this.rules.set(rule.id, rule);
+            return rule;
+        }
+
+        remove(ruleId) {
+            return this.rules.delete(ruleId);
+        }
+
+        get(ruleId) {
+            return this.rules.get(ruleId);
+        }
+
+        getAll() {
+            return Array.from(this.rules.values());
+        }
+
+        findTriggered(statId, oldValue, newValue) {
+            return this.getAll().filter(rule => rule.canFire() && rule.matches(statId, oldValue, newValue));
+        }
+
+        resetFired() {
+            for (const rule of this.rules.values()) {
+                rule.fired = false;
+            }
+        }
+
+        clear() {
+            this.rules.clear();
+        }
+
+        toJSON() {
+            return this.getAll().map(r => r.toJSON());
+        }
+
+        fromJSON(data) {
+            this.clear();
+            if (Array.isArray(data)) {
+                for (const ruleData of data) {
+                    if (isPlainObject(ruleData)) this.add(Rule.fromJSON(ruleData));
+                }
+            }
+            return this;
+        }
+    }
+
+    // ========================================
+    // Change Journal
+    // ========================================
+
+    const JOURNAL_LIMIT = 50;
+
+    // Trims an applied change down to what undoing it needs
+    function toJournalChange(change) {
+        return {
+            entityId: change.entityId,
+            statId: change.statId,
+            actualChange: change.actualChange,
+            modifierId: change.modifierId,
+            // typed stats are undone by value, not by delta
+            ...(typeof change.newValue !== 'number' && { previousValue: change.oldValue, newValue: change.newValue }),
+            ...(change.itemId && { itemId: change.itemId, item: change.item }),
+            ...(change.clock && { clock: true }),
+            // stats the unknown-stat policy added are removed again on revert
+            ...(change.created && { created: true })
+        };
+    }
+
+    /**
+     * Remembers what each chat message did to the state so a swipe,
+     * delete or edit can undo it. One entry per (chatId, messageIndex).
+     */
+    class ChangeJournal {
+        constructor() {
+            this.entries = [];
+            this._seq = 0;
+        }
+
+        get size() {
+            return this.entries.length;
+        }
+
+        record({ chatId = '', messageIndex, swipeId = 0, key = '', before, changes = [], ticked = false, turnKept = false }) {
+            this.remove(chatId, messageIndex);
+            const entry = {
+                seq: ++this._seq,
+                chatId: toString(chatId),
+                messageIndex: toNumber(messageIndex, -1),
+                swipeId: toNumber(swipeId, 0),
+                // identifies the message itself, so a deletion can tell which one went
+                key: toString(key),
+                before,
+                changes,
+                // the message ended a turn itself, or re-used the one an earlier version of it spent
+                ticked: Boolean(ticked),
+                turnKept: Boolean(turnKept)
+            };
+            this.entries.push(entry);
+            if (this.entries.length > JOURNAL_LIMIT) {
+                this.entries.splice(0, this.entries.length - JOURNAL_LIMIT);
+            }
+            return entry;
+        }
+
+        // Later effects of the same message, e.g. from a background extraction pass
+        append({ chatId = '', messageIndex, swipeId = 0, key = '', before, changes = [] }) {
+            const entry = this.find(chatId, messageIndex);
+            if (!entry) return this.record({ chatId, messageIndex, swipeId, key, before, changes });
+            entry.changes = entry.changes.concat(changes);
+            return entry;
+        }
+
+        find(chatId, messageIndex) {
+            return this.entries.find(e => e.chatId === toString(chatId) && e.messageIndex === messageIndex) || null;
+        }
+
+        findFrom(chatId, firstIndex) {
+            return this.entries
+                .filter(e => e.chatId === toString(chatId) && e.messageIndex >= firstIndex)
+                .sort((a, b) => b.seq - a.seq);
+        }
+
+        isLatest(entry) {
+            return !this.entries.some(e => e.chatId === entry.chatId && e.seq > entry.seq);
+        }
+
+        // After an older entry is undone by inversion, later snapshots must
+        // forget its effects too, or restoring them would bring it back.
+        rebaseAfter(entry) {
+            for (const later of this.entries) {
+                if (later.chatId !== entry.chatId || later.seq <= entry.seq) continue;
+                for (const change of entry.changes) {
+                    if (change.itemId) {
+                        this._rebaseItem(later.before, change);
+                        continue;
+                    }
+                    if (change.clock) {
+                        if (later.before.clock !== undefined) {
+                            later.before.clock = Math.max(0, toNumber(later.before.clock, 0) - toNumber(change.actualChange, 0));
+                        }
+                        continue;
+                    }
+                    const sheet = isMainEntity(change.entityId)
+                        ? later.before.stats
+                        : (later.before.entities || {})[change.entityId];
+                    const values = (sheet || []).find(v => v.id === change.statId);
+                    if (!values) continue;
+                    if (change.modifierId) {
+                        values.modifiers = (values.modifiers || []).filter(m => m.id !== change.modifierId);
+                    } else if ('previousValue' in change) {
+                        if (values.currentValue === change.newValue) values.currentValue = change.previousValue;
+                    } else {
+                        values.currentValue = toNumber(values.currentValue, 0) - toNumber(change.actualChange, 0);
+                    }
+                }
+            }
+        }
+
+        _rebaseItem(before, change) {
+            const entityId = isMainEntity(change.entityId) ? DEFAULT_ENTITY_ID : change.entityId;
+            const items = before.inventories && before.inventories[entityId];
+            if (!Array.isArray(items)) return;
+            const held = items.find(i => i.id === change.itemId);
+            const quantity = (held ? toNumber(held.quantity, 0) : 0) - toNumber(change.actualChange, 0);
+            if (held) {
+                held.quantity = quantity;
+                if (quantity <= 0) items.splice(items.indexOf(held), 1);
+            } else if (quantity > 0 && isPlainObject(change.item)) {
+                items.push({ ...change.item, quantity });
+            }
+        }
+
+        remove(chatId, messageIndex) {
+            const idx = this.entries.findIndex(e => e.chatId === toString(chatId) && e.messageIndex === messageIndex);
+            if (idx === -1) return null;
+            return this.entries.splice(idx, 1)[0];
+        }
+
+        /**
+         * Matches a chat's entries against the messages left after a deletion.
+         * Deleting only moves messages towards the start, so each entry is looked
+         * for between the previous match and its old index.
+         * @param {string} chatId
+         * @param {string[]} keys - key of every remaining message, in chat order
+         * @returns {{ deleted: object[], moved: Map<object, number> }}
+         */
+        matchMessages(chatId, keys) {
+            const deleted = [];
+            const moved = new Map();
+            let next = 0;
+            const entries = this.entries
+                .filter(e => e.chatId === toString(chatId))
+                .sort((a, b) => a.messageIndex - b.messageIndex);
+            for (const entry of entries) {
+                let index = -1;
+                if (entry.key) {
+                    for (let i = next; i <= Math.min(entry.messageIndex, keys.length - 1); i++) {
+                        if (keys[i] === entry.key) {
+                            index = i;
+                            break;
+                        }
+                    }
+                } else if (entry.messageIndex < keys.length) {
+                    // entries journaled before keys were stored can only be matched by position
+                    index = entry.messageIndex;
+                }
+                if (index === -1) {
+                    deleted.push(entry);
+                } else {
+                    moved.set(entry, index);
+                    next = index + 1;
+                }
+            }
+            return { deleted: deleted.sort((a, b) => b.seq - a.seq), moved };
+        }
+
+        clear() {
+            this.entries = [];
+        }
+
+        toJSON() {
+            return this.entries.map(e => ({ ...e }));
+        }
+
+        fromJSON(data) {
+            this.entries = Array.isArray(data) ? data.filter(e => isPlainObject(e) && isPlainObject(e.before)) : [];
+            this._seq = this.entries.reduce((max, e) => Math.max(max, toNumber(e.seq, 0)), 0);
+            return this;
+        }
+    }
+
+    // ========================================
+    // Snapshot History
+    // ========================================
+
+    /**
+     * Bounded ring of per-turn snapshots. Each snapshot records its JSON size
+     * so the ring can also be capped by how much it adds to chatMetadata.
+     */
+    class SnapshotHistory {
+        constructor() {
+            this.snapshots = [];
+        }
+
+        get size() {
+            return this.snapshots.length;
+        }
+
+        get byteSize() {
+            return this.snapshots.reduce((sum, snap) => sum + (snap.bytes || 0), 0);
+        }
+
+        push(state) {
+            const snapshot = {
+                turn: state.turnCount,
+                timestamp: Date.now(),
+                statManager: state.statManager.toJSON(),
+                inventory: state.inventory.toJSON(),
+                entities: Array.from(state.entities.values()).map(e => e.toJSON()),
+                firedRules: state.rules.getAll().filter(r => r.fired).map(r => r.id),
+                promptNotes: state.promptNotes.slice(),
+                clock: state.clock.minutes
+            };
+            snapshot.bytes = JSON.stringify(snapshot).length;
+            // a rewound timeline is overwritten from the rewind point on
+            this.snapshots = this.snapshots.filter(snap => snap.turn < snapshot.turn);
+            this.snapshots.push(snapshot);
+            return snapshot;
+        }
+
+        get(turn) {
+            return this.snapshots.find(snap => snap.turn === turn) || null;
+        }
+
+        getTurns() {
+            return this.snapshots.map(snap => snap.turn);
+        }
+
+        trim(limit, maxBytes) {
+            const maxCount = Math.max(1, Math.floor(toNumber(limit, 30)));
+            while (this.snapshots.length > maxCount) {
+                this.snapshots.shift();
+            }
+            if (maxBytes > 0) {
+                while (this.snapshots.length > 1 && this.byteSize > maxBytes) {
+                    this.snapshots.shift();
+                }
+            }
+        }
+
+        truncateAfter(turn) {
+            this.snapshots = this.snapshots.filter(snap => snap.turn <= turn);
+        }
+
+        clear() {
+            this.snapshots = [];
+        }
+
+        toJSON() {
+            return this.snapshots.map(snap => ({ ...snap }));
+        }
+
+        fromJSON(data) {
+            this.snapshots = Array.isArray(data)
+                ? data.filter(snap => isPlainObject(snap) && isPlainObject(snap.statManager))
+                : [];
+            return this;
+        }
+    }
+
+    // ========================================
+    // World Clock
+    // ========================================
+
+    // Reserved command target: {{time:+2h}}, {{time:+1d 30m}}, {{time:=08:00}}
+    const CLOCK_COMMAND = 'time';
+    const CLOCK_DURATION_PATTERN = /^(?:(\d+(?:\.\d+)?)\s*d)?\s*(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?$/i;
+    const CLOCK_TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+    const DayPhase = Object.freeze({
+        DAWN: 'dawn',
+        DAY: 'day',
+        DUSK: 'dusk',
+        NIGHT: 'night'
+    });
+
+    // Rules can watch these as if they were stats, e.g. "when time.hour crosses above 20"
+    const CLOCK_RULE_TARGETS = Object.freeze({
+        time_hour: 'hour',
+        time_day: 'dayNumber'
+    });
+
+    const DEFAULT_CALENDAR = Object.freeze({
+        minutesPerTurn: 10,
+        hoursPerDay: 24,
+        daysPerMonth: 30,
+        monthNames: ['January', 'February', 'March', 'April', 'May', 'June',
+            'July', 'August', 'September', 'October', 'November', 'December'],
+        seasonNames: ['Winter', 'Spring', 'Summer', 'Autumn'],
+        dayStartHour: 6,
+        nightStartHour: 18,
+        startHour: 8
+    });
+
+    /**
+     * In-world time counted in minutes since 00:00 on day 1 of the first month
+     * of year 1. Turns advance it by the calendar's minutesPerTurn.
+     */
+    class WorldClock {
+        constructor(config = {}) {
+            this.enabled = Boolean(config.enabled);
+            this.calendar = WorldClock.normalizeCalendar(config.calendar);
+            this.minutes = Math.max(0, Math.floor(toNumber(config.minutes, this.calendar.startHour * 60)));
+        }
+
+        static normalizeCalendar(calendar) {
+            const c = isPlainObject(calendar) ? calendar : {};
+            const names = (list, fallback) => {
+                const clean = Array.isArray(list) ? list.map(n => toString(n).trim()).filter(Boolean) : [];
+                return clean.length > 0 ? clean : fallback.slice();
+            };
+            const hoursPerDay = Math.max(1, Math.floor(toNumber(c.hoursPerDay, DEFAULT_CALENDAR.hoursPerDay)));
+            const hour = (val, fallback) => clamp(Math.floor(toNumber(val, fallback)), 0, hoursPerDay - 1);
+            return {
+                minutesPerTurn: Math.max(0, toNumber(c.minutesPerTurn, DEFAULT_CALENDAR.minutesPerTurn)),
+                hoursPerDay,
+                daysPerMonth: Math.max(1, Math.floor(toNumber(c.daysPerMonth, DEFAULT_CALENDAR.daysPerMonth))),
+                monthNames: names(c.monthNames, DEFAULT_CALENDAR.monthNames),
+                seasonNames: names(c.seasonNames, DEFAULT_CALENDAR.seasonNames),
+                dayStartHour: hour(c.dayStartHour, DEFAULT_CALENDAR.dayStartHour),
+                nightStartHour: hour(c.nightStartHour, DEFAULT_CALENDAR.nightStartHour),
+                startHour: hour(c.startHour, DEFAULT_CALENDAR.startHour)
+            };
+        }
+
+        // "2h", "30m", "1d 6h", "1.5h" → { days, minutes }; days stay separate
+        // because their length depends on the calendar. null when not a duration.
+        static parseDuration(str) {
+            const match = toString(str).trim().match(CLOCK_DURATION_PATTERN);
+            if (!match || !(match[1] || match[2] || match[3])) return null;
+            return {
+                days: toNumber(match[1], 0),
+                minutes: Math.round(toNumber(match[2], 0) * 60 + toNumber(match[3], 0))
+            };
+        }
+
+        get minutesPerDay() {
+            return this.calendar.hoursPerDay * 60;
+        }
+
+        get dayIndex() {
+            return Math.floor(this.minutes / this.minutesPerDay);
+        }
+
+        get dayNumber() {
+            return this.dayIndex + 1;
+        }
+
+        get hour() {
+            return Math.floor((this.minutes % this.minutesPerDay) / 60);
+        }
+
+        get minute() {
+            return this.minutes % 60;
+        }
+
+        get dayOfMonth() {
+            return (this.dayIndex % this.calendar.daysPerMonth) + 1;
+        }
+
+        get monthIndex() {
+            return Math.floor(this.dayIndex / this.calendar.daysPerMonth) % this.calendar.monthNames.length;
+        }
+
+        get monthName() {
+            return this.calendar.monthNames[this.monthIndex];
+        }
+
+        get year() {
+            return Math.floor(this.dayIndex / (this.calendar.daysPerMonth * this.calendar.monthNames.length)) + 1;
+        }
+
+        // Seasons are spread over the months starting one month before the first,
+        // so the default calendar puts December to February in winter
+        get season() {
+            const months = this.calendar.monthNames.length;
+            const seasons = this.calendar.seasonNames;
+            return seasons[Math.floor(((this.monthIndex + 1) % months) * seasons.length / months)];
+        }
+
+        get phase() {
+            const { dayStartHour, nightStartHour } = this.calendar;
+            const hour = this.hour;
+            if (hour === dayStartHour - 1) return DayPhase.DAWN;
+            if (hour === nightStartHour - 1) return DayPhase.DUSK;
+            const isDay = dayStartHour <= nightStartHour
+                ? hour >= dayStartHour && hour < nightStartHour
+                : hour >= dayStartHour || hour < nightStartHour;
+            return isDay ? DayPhase.DAY : DayPhase.NIGHT;
+        }
+
+        get isDaytime() {
+            return this.phase !== DayPhase.NIGHT;
+        }
+
+        advance(minutes) {
+            const oldValue = this.minutes;
+            this.minutes = Math.max(0, Math.round(oldValue + toNumber(minutes, 0)));
+            return { oldValue, newValue: this.minutes, actualChange: this.minutes - oldValue };
+        }
+
+        // Time only moves forward: an hour already past today means that hour tomorrow
+        setTimeOfDay(hour, minute = 0) {
+            const target = clamp(Math.floor(hour), 0, this.calendar.hoursPerDay - 1) * 60 + clamp(Math.floor(minute), 0, 59);
+            const current = this.minutes % this.minutesPerDay;
+            const delta = target >= current ? target - current : this.minutesPerDay - current + target;
+            return this.advance(delta);
+        }
+
+        getRuleValues(minutes = this.minutes) {
+            const probe = new WorldClock({ calendar: this.calendar, minutes });
+            const values = {};
+            for (const [target, field] of Object.entries(CLOCK_RULE_TARGETS)) {
+                values[target] = probe[field];
+            }
+            return values;
+        }
+
+        formatTime() {
+            return `${String(this.hour).padStart(2, '0')}:${String(this.minute).padStart(2, '0')}`;
+        }
+
+        describe() {
+            return `${this.formatTime()} (${this.phase}), ${this.monthName} ${this.dayOfMonth}, year ${this.year}, ${this.season}`;
+        }
+
+        toJSON() {
+            return { enabled: this.enabled, calendar: deepClone(this.calendar), minutes: this.minutes };
+        }
+
+        static fromJSON(data) {
+            return new WorldClock(isPlainObject(data) ? data : {});
+        }
+    }
+
+    // ========================================
+    // Simulation State
+    // ========================================
+    
+    class SimulationState {
+        constructor(id) {
+            this.id = isNonEmptyString(id) ? id : generateId('sim');
+            this.name = 'New Simulation';
+            this.createdAt = Date.now();
+            this.updatedAt = Date.now();
+            this.turnCount = 0;
+            this.statManager = new StatManager();
+            this.inventory = new Inventory();
+            this.entities = new Map();
+            this.rules = new RuleSet();
+            this.promptNotes = [];
+            this.journal = new ChangeJournal();
+            this.history = new SnapshotHistory();
+            this.clock = new WorldClock();
+            this.cardSignature = null;
+            // ParserSyntax values for this chat; null follows the extension settings
+            this.parserSyntaxes = null;
+            // Background model pass for messages without commands, switched per chat
+            this.extractionEnabled = false;
+            // Rejected or remapped commands for the status window; never persisted
+            this.warnings = [];
+            this.captureInitialSnapshot();
+        }
+
+        // Turn 0 is never ticked into, so its snapshot follows the setup until a message changes something
+        captureInitialSnapshot() {
+            if (this.turnCount !== 0 || this.journal.entries.length > 0) return null;
+            return this.history.push(this);
+        }
+
+        restoreSnapshot(snapshot) {
+            if (!isPlainObject(snapshot)) return false;
+            this.turnCount = toNumber(snapshot.turn, this.turnCount);
+            this.statManager.fromJSON(snapshot.statManager);
+            this.inventory.fromJSON(snapshot.inventory);
+            this._loadEntities(snapshot.entities);
+            const fired = new Set(snapshot.firedRules || []);
+            for (const rule of this.rules.getAll()) {
+                rule.fired = fired.has(rule.id);
+            }
+            this.promptNotes = Array.isArray(snapshot.promptNotes) ? snapshot.promptNotes.slice() : [];
+            if (snapshot.clock !== undefined) this.clock.minutes = toNumber(snapshot.clock, this.clock.minutes);
+            this.history.truncateAfter(this.turnCount);
+            this.journal.entries = this.journal.entries.filter(e => toNumber(e.before.turnCount, 0) < this.turnCount);
+            this.updatedAt = Date.now();
+            return true;
+        }
+
+        getSheet(entityId) {
+            if (isMainEntity(entityId)) return this.statManager;
+            const entity = this.entities.get(sanitizeId(entityId));
+            return entity ? entity.statManager : null;
+        }
+
+        getSheets() {
+            return [
+                { entityId: DEFAULT_ENTITY_ID, name: '', statManager: this.statManager, inventory: this.inventory },
+                ...Array.from(this.entities.values()).map(e => ({
+                    entityId: e.id,
+                    name: e.name,
+                    statManager: e.statManager,
+                    inventory: e.inventory
+                }))
+            ];
+        }
+
+        getInventory(entityId) {
+            if (isMainEntity(entityId)) return this.inventory;
+            const entity = this.entities.get(sanitizeId(entityId));
+            return entity ? entity.inventory : null;
+        }
+
+        /**
+         * Brings item modifiers in line with what each sheet's owner holds.
+         * @param {string} [entityId] - one entity, or every sheet when omitted
+         * @returns {{ entityId: string, stat: Stat, result: object }[]} the stats that changed
+         */
+        applyItemEffects(entityId) {
+            const changed = [];
+            const sheets = entityId === undefined
+                ? this.getSheets()
+                : this.getSheets().filter(sheet => sheet.entityId === (isMainEntity(entityId) ? DEFAULT_ENTITY_ID : sanitizeId(entityId)));
+            for (const sheet of sheets) {
+                const wanted = new Map();
+                for (const item of sheet.inventory.getAll()) {
+                    if (!item.isActive) continue;
+                    item.effects.forEach((effect, index) => {
+                        const id = `${ITEM_MODIFIER_SOURCE}_${item.id}_${index}`;
+                        wanted.set(id, { id, name: item.name, statId: effect.statId, type: effect.type, value: effect.value });
+                    });
+                }
+                for (const stat of sheet.statManager.getAll()) {
+                    if (!stat.isNumeric) continue;
+                    for (const modifier of stat.modifiers.getAll()) {
+                        if (modifier.source !== ITEM_MODIFIER_SOURCE) continue;
+                        const config = wanted.get(modifier.id);
+                        if (config && config.statId === stat.id && config.type === modifier.type && config.value === modifier.value) continue;
+                        changed.push({ entityId: sheet.entityId, stat, result: stat.removeModifier(modifier.id) });
+                    }
+                    for (const config of wanted.values()) {
+                        if (config.statId !== stat.id || stat.modifiers.has(config.id)) continue;
+                        const result = stat.addModifier({ ...config, duration: -1, source: ITEM_MODIFIER_SOURCE });
+                        changed.push({ entityId: sheet.entityId, stat, result });
+                    }
+                }
+            }
+            return changed;
+        }
+
+        addEntity(config = {}) {
+            if (!isNonEmptyString(config.id || config.name)) {
+                return { success: false, error: 'Invalid entity id' };
+            }
+            // an explicit id must be free; a name (or an id sanitizeId would empty) only suggests one
+            const name = toString(config.name || config.id).trim();
+            let id;
+            if (isNonEmptyString(config.id) && /[a-z0-9]/.test(sanitizeId(config.id))) {
+                id = sanitizeId(config.id);
+                if (isMainEntity(id)) return { success: false, error: 'Invalid entity id' };
+                if (this.entities.has(id)) return { success: false, error: `Entity already exists: ${id}` };
+            } else {
+                if (this.findEntity(name)) return { success: false, error: `Entity already exists: ${name}` };
+                id = uniqueId(name, (candidate) => isMainEntity(candidate) || this.entities.has(candidate), 'entity');
+            }
+            const entity = new Entity({ id, name: name || id });
+            entity.syncDefinitions(this.statManager);
+            this.entities.set(entity.id, entity);
+            return { success: true, entity };
+        }
+
+        removeEntity(entityId) {
+            return this.entities.delete(sanitizeId(entityId));
+        }
+
+        // By id or, for names sanitizeId cannot keep ("앨리스"), by display name
+        findEntity(ref) {
+            const key = toString(ref, '').trim().toLowerCase();
+            if (!key) return null;
+            return this.entities.get(sanitizeId(key))
+                || Array.from(this.entities.values()).find(entity => entity.name.toLowerCase() === key)
+                || null;
+        }
+
+        syncEntities() {
+            for (const entity of this.entities.values()) {
+                entity.syncDefinitions(this.statManager);
+            }
+        }
+
+        _loadEntities(data) {
+            this.entities.clear();
+            for (const entityData of Array.isArray(data) ? data : []) {
+                if (!isPlainObject(entityData)) continue;
+                const entity = Entity.fromJSON(entityData);
+                if (isMainEntity(entity.id)) continue;
+                entity.syncDefinitions(this.statManager);
+                this.entities.set(entity.id, entity);
+            }
+        }
+
+        captureValues() {
+            const captureSheet = (statManager) => statManager.getAll().map(s => ({
+                id: s.id,
+                currentValue: s.currentValue,
+                maxValue: s.maxValue,
+                modifiers: s.modifiers.toJSON()
+            }));
+            const entities = {};
+            for (const entity of this.entities.values()) {
+                entities[entity.id] = captureSheet(entity.statManager);
+            }
+            const inventories = {};
+            for (const { entityId, inventory } of this.getSheets()) {
+                inventories[entityId] = inventory.toJSON();
+            }
+            return {
+                turnCount: this.turnCount,
+                stats: captureSheet(this.statManager),
+                entities,
+                inventories,
+                firedRules: this.rules.getAll().filter(r => r.fired).map(r => r.id),
+                promptNotes: this.promptNotes.slice(),
+                clock: this.clock.minutes
+            };
+        }
+
+        restoreValues(snapshot) {
+            if (!isPlainObject(snapshot)) return false;
+            this.turnCount = toNumber(snapshot.turnCount, this.turnCount);
+            this.clock.minutes = toNumber(snapshot.clock, this.clock.minutes);
+            const restoreSheet = (statManager, values) => {
+                for (const statValues of values || []) {
+                    const stat = statManager.get(statValues.id);
+                    if (!stat) continue;
+                    stat.maxValue = toNumber(statValues.maxValue, stat.maxValue);
+                    if (stat.isNumeric) {
+                        stat.currentValue = clamp(toNumber(statValues.currentValue, stat.currentValue), stat.minValue, stat.maxValue);
+                    } else if (stat.coerce(statValues.currentValue) !== undefined) {
+                        stat.currentValue = stat.coerce(statValues.currentValue);
+                    }
+                    stat.modifiers.fromJSON(statValues.modifiers);
+                }
+                statManager.recalculateAll();
+                statManager.takeDerivedChanges();
+            };
+            restoreSheet(this.statManager, snapshot.stats);
+            for (const entity of this.entities.values()) {
+                restoreSheet(entity.statManager, (snapshot.entities || {})[entity.id]);
+            }
+            for (const { entityId, inventory } of this.getSheets()) {
+                if (snapshot.inventories && snapshot.inventories[entityId]) {
+                    inventory.fromJSON(deepClone(snapshot.inventories[entityId]));
+                }
+            }
+            // a rebased snapshot can hold items whose modifiers it never saw
+            this.applyItemEffects();
+            for (const { statManager } of this.getSheets()) {
+                statManager.takeDerivedChanges();
+            }
+            const fired = new Set(snapshot.firedRules || []);
+            for (const rule of this.rules.getAll()) {
+                rule.fired = fired.has(rule.id);
+            }
+            this.promptNotes = Array.isArray(snapshot.promptNotes) ? snapshot.promptNotes.slice() : [];
+            this.updatedAt = Date.now();
+            return true;
+        }
+
+        tick() {
+            this.turnCount++;
+            this.updatedAt = Date.now();
+            const expired = [];
+            for (const { entityId, statManager } of this.getSheets()) {
+                for (const stat of statManager.getAll()) {
+                    for (const modifier of stat.tickModifiers()) {
+                        expired.push({ entityId, statId: stat.id, modifierId: modifier.id, name: modifier.name });
+                    }
+                }
+            }
+            const clock = this.clock.enabled ? this.clock.advance(this.clock.calendar.minutesPerTurn) : null;
+            const isDaytime = this.clock.enabled ? this.clock.isDaytime : undefined;
+            const regenerated = [];
+            for (const { entityId, statManager } of this.getSheets()) {
+                for (const stat of statManager.getAll()) {
+                    const result = stat.applyRegen(isDaytime);
+                    if (result) regenerated.push({ entityId, statId: stat.id, ...result });
+                }
+            }
+            this.history.push(this);
+            return { turn: this.turnCount, expired, regenerated, clock };
+        }
+
+        // True when turns pass on their own: per-tick deltas or a running world clock
+        hasPassiveEffects() {
+            return this.clock.enabled
+                || this.getSheets().some(({ statManager }) => statManager.getAll().some(stat => stat.regen));
+        }
+
+        reset() {
+            this.turnCount = 0;
+            this.updatedAt = Date.now();
+            for (const { statManager } of this.getSheets()) {
+                statManager.resetAll();
+            }
+            this.rules.resetFired();
+            this.promptNotes = [];
+            this.journal.clear();
+            this.history.clear();
+            this.clock.minutes = this.clock.calendar.startHour * 60;
+            this.captureInitialSnapshot();
+        }
+
+        toJSON() {
+            return {
+                id: this.id,
+                name: this.name,
+                createdAt: this.createdAt,
+                updatedAt: this.updatedAt,
+                turnCount: this.turnCount,
+                statManager: this.statManager.toJSON(),
+                inventory: this.inventory.toJSON(),
+                entities: Array.from(this.entities.values()).map(e => e.toJSON()),
+                rules: this.rules.toJSON(),
+                promptNotes: this.promptNotes.slice(),
+                journal: this.journal.toJSON(),
+                history: this.history.toJSON(),
+                clock: this.clock.toJSON(),
+                cardSignature: this.cardSignature,
+                parserSyntaxes: this.parserSyntaxes ? this.parserSyntaxes.slice() : null,
+                extractionEnabled: this.extractionEnabled
+            };
+        }
+
+        static fromJSON(data) {
+            if (!isPlainObject(data)) {
+                return new SimulationState();
+            }
+            const state = new SimulationState(data.id);
+            state.name = toString(data.name, 'Loaded Simulation');
+            state.createdAt = data.createdAt || Date.now();
+            state.updatedAt = data.updatedAt || Date.now();
+            state.turnCount = data.turnCount || 0;
+            if (data.statManager) {
+                state.statManager.fromJSON(data.statManager);
+            }
+            state.inventory.fromJSON(data.inventory);
+            state._loadEntities(data.entities);
+            state.rules.fromJSON(data.rules);
+            state.promptNotes = Array.isArray(data.promptNotes) ? data.promptNotes.filter(isNonEmptyString) : [];
+            state.journal.fromJSON(data.journal);
+            state.history.fromJSON(data.history);
+            state.clock = WorldClock.fromJSON(data.clock);
+            state.cardSignature = isNonEmptyString(data.cardSignature) ? data.cardSignature : null;
+            state.parserSyntaxes = normalizeSyntaxes(data.parserSyntaxes);
+            state.extractionEnabled = data.extractionEnabled === true;
+            return state;
+        }
+    }
+
+    // ========================================
+    // Export Schema
+    // ========================================
+
+    // Bump together with a new STATE_MIGRATIONS step
+    const SCHEMA_VERSION = 2;
+
+    /**
+     * Upgrade steps keyed by the schema version they start from; each returns
+     * the data in the shape of the next version.
+     */
+    const STATE_MIGRATIONS = Object.freeze({
+        // 1.0.0 exported the bare SimulationState without an envelope
+        1: (data) => ({ schemaVersion: 2, version: toString(data.version, 'unknown'), state: data })
+    });
+
+    function createExport(state) {
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            version: VERSION,
+            exportedAt: Date.now(),
+            state: state.toJSON()
+        };
+    }
+
+    function migrateExport(data) {
+        const from = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 1;
+        let current = data;
+        for (let version = from; version < SCHEMA_VERSION; version++) {
+            const step = STATE_MIGRATIONS[version];
+            if (!step) throw new Error(`No migration from schema version ${version}`);
+            current = step(current);
+        }
+        return { data: current, migratedFrom: from < SCHEMA_VERSION ? from : null };
+    }
+
+    function isFiniteNumber(val) {
+        return typeof val === 'number' && Number.isFinite(val);
+    }
+
+    function validateStatData(stat, path, errors) {
+        if (!isPlainObject(stat)) {
+            errors.push({ path, message: 'must be an object' });
+            return;
+        }
+        if (!isNonEmptyString(stat.id)) {
+            errors.push({ path: `${path}.id`, message: 'must be a non-empty string' });
+        }
+        if (stat.type !== undefined && !Object.values(StatType).includes(stat.type)) {
+            errors.push({ path: `${path}.type`, message: `must be one of ${Object.values(StatType).join(', ')}` });
+        }
+        if (stat.displayMode !== undefined && !Object.values(StatDisplayMode).includes(stat.displayMode)) {
+            errors.push({ path: `${path}.displayMode`, message: `must be one of ${Object.values(StatDisplayMode).join(', ')}` });
+        }
+        const numeric = stat.type === undefined || stat.type === StatType.NUMBER;
+        const fields = numeric ? ['baseValue', 'currentValue', 'minValue', 'maxValue'] : ['minValue', 'maxValue'];
+        for (const field of fields) {
+            if (stat[field] !== undefined && !isFiniteNumber(stat[field])) {
+                errors.push({ path: `${path}.${field}`, message: 'must be a number' });
+            }
+        }
+        if (isFiniteNumber(stat.minValue) && isFiniteNumber(stat.maxValue) && stat.minValue > stat.maxValue) {
+            errors.push({ path: `${path}.minValue`, message: 'must not exceed maxValue' });
+        }
+        if (stat.type === StatType.ENUM && (!Array.isArray(stat.options) || stat.options.length === 0)) {
+            errors.push({ path: `${path}.options`, message: 'enum stats need a list of options' });
+        }
+        if (stat.aliases !== undefined && !Array.isArray(stat.aliases)) {
+            errors.push({ path: `${path}.aliases`, message: 'must be an array' });
+        }
+        if (stat.modifiers !== undefined && !Array.isArray(stat.modifiers)) {
+            errors.push({ path: `${path}.modifiers`, message: 'must be an array' });
+        }
+        if (stat.regen !== undefined && stat.regen !== null) {
+            if (!isPlainObject(stat.regen) || !isFiniteNumber(stat.regen.amount)) {
+                errors.push({ path: `${path}.regen.amount`, message: 'must be a number' });
+            } else if (stat.regen.condition !== undefined && !Object.values(RegenCondition).includes(stat.regen.condition)) {
+                errors.push({ path: `${path}.regen.condition`, message: `must be one of ${Object.values(RegenCondition).join(', ')}` });
+            }
+        }
+    }
+
+    function validateStatList(stats, path, errors) {
+        if (!Array.isArray(stats)) {
+            errors.push({ path, message: 'must be an array' });
+            return;
+        }
+        const seen = new Set();
+        stats.forEach((stat, i) => {
+            validateStatData(stat, `${path}[${i}]`, errors);
+            if (!isPlainObject(stat) || !isNonEmptyString(stat.id)) return;
+            const id = sanitizeId(stat.id);
+            if (seen.has(id)) errors.push({ path: `${path}[${i}].id`, message: `duplicate stat id "${id}"` });
+            seen.add(id);
+        });
+    }
+
+    /**
+     * Checks an export (already migrated to SCHEMA_VERSION) and returns a list
+     * of { path, message } errors; empty means it is safe to load.
+     */
+    function validateExport(data) {
+        const errors = [];
+        if (!isPlainObject(data)) {
+            return [{ path: '', message: 'must be a JSON object' }];
+        }
+        const state = data.state;
+        if (!isPlainObject(state)) {
+            return [{ path: 'state', message: 'must be an object' }];
+        }
+        if (!isPlainObject(state.statManager)) {
+            errors.push({ path: 'state.statManager', message: 'must be an object' });
+        } else {
+            validateStatList(state.statManager.stats, 'state.statManager.stats', errors);
+        }
+        if (state.turnCount !== undefined && !(Number.isInteger(state.turnCount) && state.turnCount >= 0)) {
+            errors.push({ path: 'state.turnCount', message: 'must be a non-negative integer' });
+        }
+        if (state.entities !== undefined) {
+            if (!Array.isArray(state.entities)) {
+                errors.push({ path: 'state.entities', message: 'must be an array' });
+            } else {
+                state.entities.forEach((entity, i) => {
+                    const path = `state.entities[${i}]`;
+                    if (!isPlainObject(entity) || !isNonEmptyString(entity.id)) {
+                        errors.push({ path: `${path}.id`, message: 'must be a non-empty string' });
+                    } else if (isMainEntity(entity.id)) {
+                        errors.push({ path: `${path}.id`, message: `"${DEFAULT_ENTITY_ID}" is reserved` });
+                    }
+                });
+            }
+        }
+        if (state.inventory !== undefined && !Array.isArray(state.inventory)) {
+            errors.push({ path: 'state.inventory', message: 'must be an array' });
+        }
+        if (state.parserSyntaxes !== undefined && state.parserSyntaxes !== null) {
+            const known = Object.values(ParserSyntax);
+            if (!Array.isArray(state.parserSyntaxes) || state.parserSyntaxes.some(syntax => !known.includes(syntax))) {
+                errors.push({ path: 'state.parserSyntaxes', message: `must be null or an array of ${known.join(', ')}` });
+            }
+        }
+        if (state.rules !== undefined) {
+            if (!Array.isArray(state.rules)) {
+                errors.push({ path: 'state.rules', message: 'must be an array' });
+            } else {
+                state.rules.forEach((rule, i) => {
+                    const path = `state.rules[${i}]`;
+                    if (!isPlainObject(rule)) {
+                        errors.push({ path, message: 'must be an object' });
+                        return;
+                    }
+                    if (rule.condition !== undefined && !Object.values(RuleCondition).includes(rule.condition)) {
+                        errors.push({ path: `${path}.condition`, message: `must be one of ${Object.values(RuleCondition).join(', ')}` });
+                    }
+                    if (rule.actions !== undefined && !Array.isArray(rule.actions)) {
+                        errors.push({ path: `${path}.actions`, message: 'must be an array' });
+                    }
+                });
+            }
+        }
+        return errors;
+    }
+
+    const ImportMode = Object.freeze({
+        REPLACE: 'replace',
+        DEFINITIONS: 'definitions',
+        VALUES: 'values',
+        MISSING: 'missing'
+    });
+
+    // What "merge definitions" copies; currentValue and modifiers stay with the running state
+    const DEFINITION_FIELDS = Object.freeze([
+        'name', 'type', 'options', 'baseValue', 'minValue', 'maxValue', 'color',
+        'displayMode', 'showInUI', 'category', 'aliases', 'formula', 'maxFormula', 'regen'
+    ]);
+
+    /**
+     * Applies validated export data to a state according to the import mode.
+     * Imported stats may be partial (e.g. from a CSV table); only the fields
+     * they carry are merged.
+     */
+    function mergeImport(state, data, mode) {
+        const stats = data.state.statManager.stats;
+        const manager = state.statManager;
+
+        if (mode === ImportMode.REPLACE) {
+            return SimulationState.fromJSON(data.state);
+        }
+
+        for (const raw of stats) {
+            const existing = manager.get(sanitizeId(raw.id));
+            if (mode === ImportMode.VALUES) {
+                if (existing && raw.currentValue !== undefined) existing.set(raw.currentValue);
+                continue;
+            }
+            if (!existing) {
+                manager.add(new Stat(raw));
+                continue;
+            }
+            if (mode !== ImportMode.DEFINITIONS) continue;
+
+            const merged = existing.toJSON();
+            for (const field of DEFINITION_FIELDS) {
+                if (raw[field] !== undefined) merged[field] = raw[field];
+            }
+            const stat = new Stat(merged);
+            manager.add(stat);
+            if (stat.type !== existing.type) {
+                stat.currentValue = stat.baseValue;
+            } else {
+                stat.set(stat.currentValue);
+            }
+        }
+
+        if (mode !== ImportMode.VALUES && Array.isArray(data.state.rules)) {
+            for (const rule of data.state.rules) {
+                if (mode === ImportMode.MISSING && state.rules.get(rule.id)) continue;
+                state.rules.add(Rule.fromJSON(rule));
+            }
+        }
+
+        state.syncEntities();
+        state.applyItemEffects();
+        for (const { statManager } of state.getSheets()) {
+            statManager.takeDerivedChanges();
+        }
+        state.updatedAt = Date.now();
+        return state;
+    }
+
+    const DIFF_FIELDS = Object.freeze(['name', 'type', 'minValue', 'maxValue', 'currentValue', 'color', 'category', 'displayMode']);
+
+    // Per-stat differences between two sheets, for the import preview
+    function diffStats(before, after) {
+        const diff = [];
+        for (const stat of after.getAll()) {
+            const old = before.get(stat.id);
+            if (!old) {
+                diff.push({ statId: stat.id, name: stat.name, kind: 'added', fields: [] });
+                continue;
+            }
+            const fields = DIFF_FIELDS
+                .filter(field => old[field] !== stat[field])
+                .map(field => ({ field, from: old[field], to: stat[field] }));
+            if (fields.length > 0) diff.push({ statId: stat.id, name: stat.name, kind: 'changed', fields });
+        }
+        for (const stat of before.getAll()) {
+            if (!after.has(stat.id)) diff.push({ statId: stat.id, name: stat.name, kind: 'removed', fields: [] });
+        }
+        return diff;
+    }
+
+    // ========================================
+    // Stat Tables (CSV / YAML)
+    // ========================================
+
+    const TransferFormat = Object.freeze({
+        JSON: 'json',
+        CSV: 'csv',
+        YAML: 'yaml'
+    });
+
+    // Table column -> Stat field; type and options are only written when a sheet needs them
+    const STAT_TABLE_COLUMNS = Object.freeze({
+        id: 'id',
+        name: 'name',
+        min: 'minValue',
+        max: 'maxValue',
+        current: 'currentValue',
+        color: 'color',
+        category: 'category',
+        type: 'type',
+        options: 'options'
+    });
+    const STAT_TABLE_NUMBER_COLUMNS = Object.freeze(['min', 'max', 'current']);
+    const OPTION_SEPARATOR = '|';
+
+    function detectTransferFormat(fileName) {
+        const ext = toString(fileName).split('.').pop().toLowerCase();
+        if (ext === 'csv') return TransferFormat.CSV;
+        if (ext === 'yaml' || ext === 'yml') return TransferFormat.YAML;
+        return TransferFormat.JSON;
+    }
+
+    function statsToRows(stats) {
+        const typed = stats.some(stat => !stat.isNumeric);
+        const columns = Object.keys(STAT_TABLE_COLUMNS).filter(c => typed || (c !== 'type' && c !== 'options'));
+        const rows = stats.map(stat => {
+            const row = {};
+            for (const column of columns) {
+                const value = stat[STAT_TABLE_COLUMNS[column]];
+                row[column] = Array.isArray(value) ? value.join(OPTION_SEPARATOR) : value;
+            }
+            return row;
+        });
+        return { columns, rows };
+    }
+
+    /**
+     * Turns table rows back into partial stat data. Empty cells are left out so
+     * a merge keeps the existing value; "current" also seeds the base value of new stats.
+     */
+    function rowsToStats(rows) {
+        const errors = [];
+        const taken = new Set(rows.filter(row => isNonEmptyString(row.id)).map(row => sanitizeId(row.id.trim())));
+        const stats = rows.map((row, i) => {
+            const stat = {};
+            const numeric = !isNonEmptyString(row.type) || row.type.trim() === StatType.NUMBER;
+            for (const [column, field] of Object.entries(STAT_TABLE_COLUMNS)) {
+                const cell = row[column];
+                if (cell === undefined || cell === null || toString(cell).trim() === '') continue;
+                const text = toString(cell).trim();
+                if (column === 'options') {
+                    stat.options = text.split(OPTION_SEPARATOR).map(o => o.trim()).filter(Boolean);
+                } else if (STAT_TABLE_NUMBER_COLUMNS.includes(column) && (numeric || column !== 'current')) {
+                    const num = typeof cell === 'number' ? cell : Number(text);
+                    if (Number.isFinite(num)) {
+                        stat[field] = num;
+                    } else {
+                        errors.push({ path: `row ${i + 1}.${column}`, message: 'must be a number' });
+                    }
+                } else {
+                    stat[field] = text;
+                }
+            }
+            if (!stat.id && stat.name) {
+                stat.id = uniqueId(stat.name, (id) => taken.has(id));
+                taken.add(stat.id);
+            }
+            if (stat.currentValue !== undefined) stat.baseValue = stat.currentValue;
+            return stat;
+        });
+        return { stats, errors };
+    }
+
+    function csvCell(value) {
+        const text = toString(value, '');
+        return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv({ columns, rows }) {
+        const lines = [columns.join(',')];
+        for (const row of rows) {
+            lines.push(columns.map(c => csvCell(row[c])).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // RFC 4180: quoted cells may hold commas, doubled quotes and line breaks
+    function parseCsv(text) {
+        const records = [];
+        let record = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                record.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                record.push(cell);
+                records.push(record);
+                record = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        if (cell !== '' || record.length > 0) {
+            record.push(cell);
+            records.push(record);
+        }
+
+        const [header = [], ...body] = records.filter(r => r.some(c => c.trim() !== ''));
+        const columns = header.map(h => h.trim().toLowerCase());
+        return body.map(cells => Object.fromEntries(columns.map((c, i) => [c, cells[i]])));
+    }
+
+    function yamlScalar(value) {
+        if (value === undefined || value === null || value === '') return '""';
+        if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+        const text = String(value);
+        const plain = /^[\p{L}_][\p{L}\p{N}_ .-]*$/u.test(text) && text === text.trim()
+            && !/^(true|false|yes|no|on|off|null|~)$/i.test(text);
+        return plain ? text : JSON.stringify(text);
+    }
+
+    function toYaml({ columns, rows }) {
+        const lines = [`# ${DISPLAY_NAME} stat table`, 'stats:'];
+        for (const row of rows) {
+            columns.forEach((column, i) => {
+                lines.push(`${i === 0 ? '  - ' : '    '}${column}: ${yamlScalar(row[column])}`);
+            });
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    function parseYamlScalar(text) {
+        const value = text.trim();
+        if (value === '' || value === '~' || value === 'null') return undefined;
+        if (value.startsWith('"')) return safeJsonParse(value, value.slice(1, -1));
+        if (value.startsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+        return value;
+    }
+
+    // A comment starts at a "#" that opens the line or follows whitespace, outside quotes
+    function stripYamlComment(line) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quote) {
+                if (ch === '\\' && quote === '"') i++;
+                else if (ch === quote) quote = null;
+            } else if ((ch === '"' || ch === "'") && /(^|[:-])\s*$/.test(line.slice(0, i))) {
+                quote = ch;
+            } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+                return line.slice(0, i);
+            }
+        }
+        return line;
+    }
+
+    /**
+     * Reads the flat list-of-mappings YAML that toYaml writes (with or without
+     * the top-level "stats:" key). Nested structures are not supported.
+     * @returns {{rows: Object[], errors: Object[]}}
+     */
+    function parseYaml(text) {
+        const rows = [];
+        const errors = [];
+        let row = null;
+        toString(text).split(/\r?\n/).forEach((rawLine, i) => {
+            const line = stripYamlComment(rawLine);
+            if (line.trim() === '' || /^stats:\s*$/.test(line.trim())) return;
+            const match = line.match(/^\s*(-\s+)?([\w-]+)\s*:(.*)$/);
+            if (!match) {
+                errors.push({ path: `line ${i + 1}`, message: 'expected "key: value"' });
+                return;
+            }
+            if (match[1] || !row) {
+                row = {};
+                rows.push(row);
+            }
+            row[match[2].toLowerCase()] = parseYamlScalar(match[3]);
+        });
+        return { rows, errors };
+    }
+
+    // ========================================
+    // Templates
+    // ========================================
+
+    const TEMPLATES_KEY = 'simulation_builder_templates';
+
+    // Stat and rule definitions without play progress: values back at base, no modifiers, rules unfired
+    function captureDefinition(state) {
+        return {
+            stats: state.statManager.getAll().map(stat => {
+                const data = stat.toJSON();
+                return { ...data, currentValue: data.baseValue, modifiers: [] };
+            }),
+            rules: state.rules.toJSON().map(rule => ({ ...rule, fired: false })),
+            clock: { enabled: state.clock.enabled, calendar: deepClone(state.clock.calendar) },
+            parserSyntaxes: state.parserSyntaxes ? state.parserSyntaxes.slice() : null
+        };
+    }
+
+    function applyDefinition(state, definition) {
+        state.statManager.fromJSON({ stats: deepClone(definition.stats) });
+        state.rules.fromJSON(deepClone(Array.isArray(definition.rules) ? definition.rules : []));
+        if (isPlainObject(definition.clock)) {
+            state.clock = new WorldClock({ ...definition.clock, minutes: undefined });
+        }
+        if (definition.parserSyntaxes !== undefined) {
+            state.parserSyntaxes = normalizeSyntaxes(definition.parserSyntaxes);
+        }
+        state.syncEntities();
+        state.applyItemEffects();
+        for (const { statManager } of state.getSheets()) {
+            statManager.takeDerivedChanges();
+        }
+        state.captureInitialSnapshot();
+        state.updatedAt = Date.now();
+    }
+
+    /**
+     * Named stat and rule definitions kept in extensionSettings, so a stat set
+     * built once can seed any chat.
+     */
+    class TemplateLibrary {
+        constructor() {
+            this.templates = new Map();
+            this.defaultId = null;
+        }
+
+        get size() {
+            return this.templates.size;
+        }
+
+        create(name, state) {
+            const template = {
+                id: generateId('tpl'),
+                name: toString(name, '').trim() || 'Template',
+                createdAt: Date.now(),
+                ...captureDefinition(state)
+            };
+            this.templates.set(template.id, template);
+            return template;
+        }
+
+        get(templateId) {
+            return this.templates.get(templateId) || null;
+        }
+
+        // Looks a template up by id, then by case-insensitive name
+        find(ref) {
+            if (!isNonEmptyString(ref)) return null;
+            const name = ref.trim().toLowerCase();
+            return this.get(ref.trim()) || this.getAll().find(t => t.name.toLowerCase() === name) || null;
+        }
+
+        getAll() {
+            return Array.from(this.templates.values());
+        }
+
+        getDefault() {
+            return this.defaultId ? this.get(this.defaultId) : null;
+        }
+
+        setDefault(templateId) {
+            this.defaultId = templateId && this.templates.has(templateId) ? templateId : null;
+            return this.defaultId;
+        }
+
+        rename(templateId, name) {
+            const template = this.get(templateId);
+            if (!template || !isNonEmptyString(name)) return false;
+            template.name = name.trim();
+            return true;
+        }
+
+        duplicate(templateId, name) {
+            const template = this.get(templateId);
+            if (!template) return null;
+            const copy = {
+                ...deepClone(template),
+                id: generateId('tpl'),
+                name: isNonEmptyString(name) ? name.trim() : `${template.name} copy`,
+                createdAt: Date.now()
+            };
+            this.templates.set(copy.id, copy);
+            return copy;
+        }
+
+        remove(templateId) {
+            if (this.defaultId === templateId) this.defaultId = null;
+            return this.templates.delete(templateId);
+        }
+
+        applyTo(state, templateId) {
+            const template = this.get(templateId);
+            if (!template) return false;
+            applyDefinition(state, template);
+            return true;
+        }
+
+        toJSON() {
+            return { defaultId: this.defaultId, templates: this.getAll().map(t => deepClone(t)) };
+        }
+
+        fromJSON(data) {
+            this.templates.clear();
+            const templates = isPlainObject(data) && Array.isArray(data.templates) ? data.templates : [];
+            for (const template of templates) {
+                if (!isPlainObject(template) || !isNonEmptyString(template.id) || !Array.isArray(template.stats)) continue;
+                this.templates.set(template.id, {
+                    ...template,
+                    name: toString(template.name, 'Template'),
+                    rules: Array.isArray(template.rules) ? template.rules : []
+                });
+            }
+            this.setDefault(isPlainObject(data) ? data.defaultId : null);
+            return this;
+        }
+    }
+
+    // ========================================
+    // Character Cards
+    // ========================================
+
+    // Key under character.data.extensions, so the definition travels with exported cards
+    const CARD_EXTENSION_KEY = MODULE_NAME;
+
+    function getCurrentCharacter(context) {
+        if (!context || context.groupId || context.characterId === undefined || context.characterId === null) return null;
+        return Array.isArray(context.characters) ? context.characters[context.characterId] || null : null;
+    }
+
+    /**
+     * Card data comes from whoever made the card: it is checked like an import, and
+     * rules lose their slash command actions so loading a card never runs commands.
+     * @returns {object|null} a safe copy, or null when the card has no usable definition
+     */
+    function readCardDefinition(character) {
+        const definition = character?.data?.extensions?.[CARD_EXTENSION_KEY];
+        if (!isPlainObject(definition) || !Array.isArray(definition.stats)) return null;
+        const errors = validateExport({
+            state: {
+                statManager: { stats: definition.stats },
+                rules: definition.rules,
+                parserSyntaxes: definition.parserSyntaxes
+            }
+        });
+        if (errors.length > 0) {
+            logError(`Ignoring card definition: ${errors[0].path} ${errors[0].message}`);
+            return null;
+        }
+        return stripCardCommands(deepClone(definition));
+    }
+
+    function stripCardCommands(definition) {
+        if (!Array.isArray(definition.rules)) return definition;
+        definition.rules = definition.rules.map(rule => Array.isArray(rule.actions)
+            ? { ...rule, actions: rule.actions.filter(action => !isPlainObject(action) || action.type !== RuleActionType.SLASH_COMMAND) }
+            : rule);
+        return definition;
+    }
+
+    // Cheap fingerprint to tell whether a chat has already seen this exact card definition
+    function hashDefinition(definition) {
+        return hashText(JSON.stringify({ stats: definition.stats, rules: definition.rules || [] }));
+    }
+
+    // ========================================
+    // Expression Evaluator
+    // ========================================
+
+    const EXPRESSION_LIMITS = Object.freeze({
+        maxLength: 200,
+        maxDice: 100,
+        maxSides: 1000
+    });
+
+    const EXPRESSION_FUNCTIONS = Object.freeze({
+        min: (...args) => Math.min(...args),
+        max: (...args) => Math.max(...args),
+        round: (x) => Math.round(x),
+        floor: (x) => Math.floor(x),
+        ceil: (x) => Math.ceil(x),
+        abs: (x) => Math.abs(x)
+    });
+
+    const NUMBER_LITERAL_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+    /**
+     * Recursive-descent evaluator for stat command values.
+     * Supports numbers, dice (2d6, d20), + - * /, parentheses,
+     * min/max/round/floor/ceil/abs and stat references. Never uses eval.
+     */
+    class ExpressionEvaluator {
+        constructor(config = {}) {
+            this.random = typeof config.random === 'function' ? config.random : Math.random;
+            this.allowDice = config.allowDice !== false;
+        }
+
+        static isLiteral(str) {
+            return NUMBER_LITERAL_PATTERN.test(toString(str).trim());
+        }
+
+        isValid(expression) {
+            try {
+                this._parse(expression);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        }
+
+        /**
+         * @param {string} expression
+         * @param {function(string): (number|undefined)} [resolve] - stat id to value
+         * @returns {{ value: number, rolls: Array<{ dice: string, results: number[], total: number }> }}
+         */
+        evaluate(expression, resolve = () => undefined) {
+            const ast = this._parse(expression);
+            const rolls = [];
+            const value = this._evaluateNode(ast, resolve, rolls);
+            if (!Number.isFinite(value)) {
+                throw new Error(`Expression did not produce a number: ${expression}`);
+            }
+            return { value, rolls };
+        }
+
+        getReferences(expression) {
+            const refs = new Set();
+            const walk = (node) => {
+                if (node.type === 'ref') refs.add(node.name);
+                if (node.left) walk(node.left);
+                if (node.right) walk(node.right);
+                if (node.operand) walk(node.operand);
+                if (node.args) node.args.forEach(walk);
+            };
+            walk(this._parse(expression));
+            return Array.from(refs);
+        }
+
+        _tokenize(expression) {
+            const str = toString(expression).trim();
+            if (!str) throw new Error('Empty expression');
+            if (str.length > EXPRESSION_LIMITS.maxLength) throw new Error('Expression too long');
+
+            const tokens = [];
+            const pattern = /\s*(?:(\d*)d(\d+)(?![a-z0-9_])|(\d+\.?\d*|\.\d+)|([a-z_][a-z0-9_]*)|([-+*\/(),]))/iy;
+            let pos = 0;
+            while (pos < str.length) {
+                pattern.lastIndex = pos;
+                const match = pattern.exec(str);
+                if (!match) throw new Error(`Unexpected character at ${pos}: ${str.charAt(pos)}`);
+                if (match[2] !== undefined) {
+                    tokens.push({ type: 'dice', count: match[1] ? parseInt(match[1], 10) : 1, sides: parseInt(match[2], 10) });
+                } else if (match[3] !== undefined) {
+                    tokens.push({ type: 'num', value: parseFloat(match[3]) });
+                } else if (match[4] !== undefined) {
+                    tokens.push({ type: 'ident', name: match[4].toLowerCase() });
+                } else {
+                    tokens.push({ type: 'op', value: match[5] });
+                }
+                pos = pattern.lastIndex;
+                while (pos < str.length && /\s/.test(str.charAt(pos))) pos++;
+            }
+            return tokens;
+        }
+
+        _parse(expression) {
+            const tokens = this._tokenize(expression);
+            let index = 0;
+
+            const peek = () => tokens[index];
+            const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+            const expectOp = (value) => {
+                if (!isOp(value)) throw new Error(`Expected "${value}"`);
+                index++;
+            };
+
+            const parseExpr = () => {
+                let node = parseTerm();
+                while (isOp('+') || isOp('-')) {
+                    const op = tokens[index++].value;
+                    node = { type: 'binary', op, left: node, right: parseTerm() };
+                }
+                return node;
+            };
+
+            const parseTerm = () => {
+                let node = parseUnary();
+                while (isOp('*') || isOp('/')) {
+                    const op = tokens[index++].value;
+                    node = { type: 'binary', op, left: node, right: parseUnary() };
+                }
+                return node;
+            };
+
+            const parseUnary = () => {
+                if (isOp('+') || isOp('-')) {
+                    const op = tokens[index++].value;
+                    return { type: 'unary', op, operand: parseUnary() };
+                }
+                return parsePrimary();
+            };
+
+            const parsePrimary = () => {
+                const token = tokens[index++];
+                if (!token) throw new Error('Unexpected end of expression');
+                switch (token.type) {
+                    case 'num':
+                        return { type: 'num', value: token.value };
+                    case 'dice':
+                        if (!this.allowDice) throw new Error('Dice are not allowed here');
+                        if (token.count < 1 || token.count > EXPRESSION_LIMITS.maxDice) throw new Error('Too many dice');
+                        if (token.sides < 1 || token.sides > EXPRESSION_LIMITS.maxSides) throw new Error('Too many sides');
+                        return { type: 'dice', count: token.count, sides: token.sides };
+                    case 'ident':
+                        if (isOp('(')) {
+                            if (!EXPRESSION_FUNCTIONS[token.name]) throw new Error(`Unknown function: ${token.name}`);
+                            index++;
+                            const args = [parseExpr()];
+                            while (isOp(',')) {
+                                index++;
+                                args.push(parseExpr());
+                            }
+                            expectOp(')');
+                            return { type: 'call', name: token.name, args };
+                        }
+                        return { type: 'ref', name: token.name };
+                    case 'op':
+                        if (token.value === '(') {
+                            const node = parseExpr();
+                            expectOp(')');
+                            return node;
+                        }
+                        break;
+                }
+                throw new Error('Unexpected token');
+            };
+
+            const ast = parseExpr();
+            if (index < tokens.length) throw new Error('Unexpected trailing input');
+            return ast;
+        }
+
+        _evaluateNode(node, resolve, rolls) {
+            switch (node.type) {
+                case 'num':
+                    return node.value;
+                case 'dice': {
+                    const results = [];
+                    for (let i = 0; i < node.count; i++) {
+                        results.push(Math.floor(this.random() * node.sides) + 1);
+                    }
+                    const total = results.reduce((a, b) => a + b, 0);
+                    rolls.push({ dice: `${node.count}d${node.sides}`, results, total });
+                    return total;
+                }
+                case 'ref': {
+                    const value = resolve(node.name);
+                    if (typeof value !== 'number' || !Number.isFinite(value)) {
+                        throw new Error(`Unknown stat: ${node.name}`);
+                    }
+                    return value;
+                }
+                case 'call':
+                    return EXPRESSION_FUNCTIONS[node.name](...node.args.map(a => this._evaluateNode(a, resolve, rolls)));
+                case 'unary': {
+                    const operand = this._evaluateNode(node.operand, resolve, rolls);
+                    return node.op === '-' ? -operand : operand;
+                }
+                case 'binary': {
+                    const left = this._evaluateNode(node.left, resolve, rolls);
+                    const right = this._evaluateNode(node.right, resolve, rolls);
+                    switch (node.op) {
+                        case '+': return left + right;
+                        case '-': return left - right;
+                        case '*': return left * right;
+                        case '/':
+                            if (right === 0) throw new Error('Division by zero');
+                            return left / right;
+                    }
+                }
+            }
+            throw new Error('Invalid expression');
+        }
+    }
+
+    // ========================================
+    // Parser
+    // ========================================
+    
+    const ParseResultType = Object.freeze({
+        MODIFY: 'modify',
+        SET: 'set',
+        MODIFIER: 'modifier',
+        ITEM: 'item',
+        TIME: 'time'
+    });
+
+    const MODIFIER_DURATION_PATTERN = /^(.+?)\s+for\s+(\d+)\s*(?:turns?|t)?$/i;
+
+    // Built-in command syntaxes; any combination can be active at once
+    const ParserSyntax = Object.freeze({
+        TAG: 'tag',             // {{hp:-10}}
+        XML: 'xml',             // <stat id="hp" delta="-10"/>
+        JSON_BLOCK: 'json',     // ```sim [{"id": "hp", "delta": -10}]```
+        BRACKET: 'bracket'      // [HP -10]
+    });
+
+    // SillyTavern macros shaped like {{name:arg}}; the tag syntax leaves them alone
+    const RESERVED_MACROS = new Set([
+        'roll', 'random', 'pick', 'getvar', 'setvar', 'addvar', 'incvar', 'decvar',
+        'getglobalvar', 'setglobalvar', 'addglobalvar', 'incglobalvar', 'decglobalvar',
+        'datetimeformat', 'timediff', 'banned', 'reverse', 'comment'
+    ]);
+
+    // Known syntaxes without duplicates, or null when nothing usable is left
+    function normalizeSyntaxes(value) {
+        if (!Array.isArray(value)) return null;
+        const known = Object.values(ParserSyntax);
+        const syntaxes = [...new Set(value)].filter(syntax => known.includes(syntax));
+        return syntaxes.length > 0 ? syntaxes : null;
+    }
+
+    // JSON may hold one change, a list of changes, { changes: [...] } or a map like { "hp": -10 }
+    function jsonChangeEntries(data) {
+        let entries;
+        if (Array.isArray(data)) {
+            entries = data;
+        } else if (isPlainObject(data) && Array.isArray(data.changes)) {
+            entries = data.changes;
+        } else if (isPlainObject(data) && (data.id !== undefined || data.stat !== undefined)) {
+            entries = [data];
+        } else if (isPlainObject(data)) {
+            entries = Object.entries(data).map(([id, delta]) => ({ id, delta }));
+        } else {
+            return null;
+        }
+        return entries.filter(isPlainObject);
+    }
+
+    const XML_TAG_PATTERN = /<stat\b([^<>]*?)\/?>/gi;
+    const XML_ATTRIBUTE_PATTERN = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    const JSON_BLOCK_PATTERN = /```sim\b([\s\S]*?)```/gi;
+    // "+"/"-" must touch the amount so prose like "[Eve - the witch]" is not a command
+    const BRACKET_PATTERN = /\[\s*((?:[\p{L}\p{N}_](?:[\p{L}\p{N}_-]*[\p{L}\p{N}_])?\.)?[\p{L}\p{N}_](?:[\p{L}\p{N}_-]*[\p{L}\p{N}_])?)\s*([+-]\S[^\[\]\n]*?|=[^\[\]\n]*?)\s*\]/gu;
+
+    class StatParser {
+        constructor(config = {}) {
+            this.openTag = config.openTag || '{{';
+            this.closeTag = config.closeTag || '}}';
+            this.separator = config.separator || ':';
+            this.caseSensitive = config.caseSensitive || false;
+            this.syntaxes = Array.isArray(config.syntaxes) ? config.syntaxes.slice() : [ParserSyntax.TAG];
+            // Set by the state manager so the active chat or template decides the syntaxes
+            this.syntaxSource = null;
+            this.evaluator = new ExpressionEvaluator();
+            this.strategies = new Map([
+                [ParserSyntax.TAG, (text) => this._matchTags(text)],
+                [ParserSyntax.XML, (text) => this._matchXml(text)],
+                [ParserSyntax.JSON_BLOCK, (text) => this._matchJsonBlocks(text)],
+                [ParserSyntax.BRACKET, (text) => this._matchBrackets(text)]
+            ]);
+            this.customParsers = new Map();
+        }
+
+        get activeSyntaxes() {
+            const syntaxes = typeof this.syntaxSource === 'function' ? this.syntaxSource() : this.syntaxes;
+            return (Array.isArray(syntaxes) ? syntaxes : []).filter(syntax => this.strategies.has(syntax));
+        }
+
+        hasCommands(text) {
+            if (!text || typeof text !== 'string') return false;
+            return this._findMatches(text).some(match => match.commands.some(c => c.isValid))
+                || this._runCustomParsers(text).length > 0;
+        }
+
+        parseValid(text) {
+            return this.parse(text).filter(command => command.isValid);
+        }
+
+        // Also returns commands that name a stat but carry an unreadable value, flagged isValid: false
+        parse(text) {
+            if (!text || typeof text !== 'string') return [];
+            return this._findMatches(text)
+                .flatMap(match => match.commands)
+                .concat(this._runCustomParsers(text).map(command => ({ ...command, isValid: true })));
+        }
+
+        // First command per target wins, keyed "hp" or "alice.hp"
+        getStatChanges(text) {
+            const changes = new Map();
+            for (const command of this.parseValid(text)) {
+                const key = command.entityId ? `${command.entityId}.${command.statId}` : command.statId;
+                if (!changes.has(key)) changes.set(key, command);
+            }
+            return changes;
+        }
+
+        formatCommand(statId, value, type = ParseResultType.MODIFY) {
+            let valueStr = toString(value);
+            if (type === ParseResultType.SET) {
+                valueStr = `=${valueStr}`;
+            } else if (typeof value === 'number' && value >= 0) {
+                valueStr = `+${valueStr}`;
+            }
+            return this.formatRaw(statId, valueStr);
+        }
+
+        /**
+         * Writes a command in the given syntax (the first active one by default),
+         * so prompts teach the model what will actually be parsed.
+         * @param {string} target - "hp" or "alice.hp"
+         * @param {string} valueStr - tag-style value: "-10", "=50", "+5 for 3"
+         */
+        formatRaw(target, valueStr, syntax = this.activeSyntaxes[0] || ParserSyntax.TAG) {
+            const durationMatch = valueStr.match(MODIFIER_DURATION_PATTERN);
+            const amount = durationMatch ? durationMatch[1].trim() : valueStr;
+            const duration = durationMatch ? durationMatch[2] : null;
+            const isSet = !/^[+-]/.test(amount);
+            const setValue = amount.replace(/^=/, '');
+            switch (syntax) {
+                case ParserSyntax.XML: {
+                    const value = isSet ? `set="${setValue}"` : `delta="${amount}"`;
+                    return `<stat id="${target}" ${value}${duration ? ` for="${duration}"` : ''}/>`;
+                }
+                case ParserSyntax.JSON_BLOCK: {
+                    const entry = { id: target, [isSet ? 'set' : 'delta']: isSet ? setValue : amount };
+                    if (duration) entry.for = Number(duration);
+                    return '```sim ' + JSON.stringify([entry]) + '```';
+                }
+                case ParserSyntax.BRACKET:
+                    return `[${target} ${valueStr}]`;
+                default:
+                    return `${this.openTag}${target}${this.separator}${valueStr}${this.closeTag}`;
+            }
+        }
+
+        /**
+         * Adds a parser for syntaxes other extensions need. It receives the message
+         * text and returns command objects ({ statId, entityId?, type, value } for
+         * numbers, { statId, type, text } for typed stats); malformed entries are dropped.
+         * @param {string} id
+         * @param {(text: string) => object[]} parseFn
+         */
+        registerParser(id, parseFn) {
+            if (!isNonEmptyString(id)) return { success: false, error: 'Parser id is required' };
+            if (typeof parseFn !== 'function') return { success: false, error: 'Parser must be a function' };
+            this.customParsers.set(id, parseFn);
+            return { success: true };
+        }
+
+        unregisterParser(id) {
+            return this.customParsers.delete(id);
+        }
+
+        _runCustomParsers(text) {
+            const results = [];
+            for (const [id, parseFn] of this.customParsers) {
+                let commands;
+                try {
+                    commands = parseFn(text);
+                } catch (error) {
+                    logError(`Custom parser ${id} failed:`, error);
+                    continue;
+                }
+                for (const command of Array.isArray(commands) ? commands : []) {
+                    const normalized = this._normalizeCustomCommand(command, id);
+                    if (normalized) results.push(normalized);
+                }
+            }
+            return results;
+        }
+
+        _normalizeCustomCommand(command, parserId) {
+            if (!isPlainObject(command) || !isNonEmptyString(command.statId)) return null;
+            const type = command.type || ParseResultType.MODIFY;
+            if (!Object.values(ParseResultType).includes(type)) return null;
+            const normalizeId = (id) => this.caseSensitive ? id.trim() : id.trim().toLowerCase();
+            const value = typeof command.value === 'number' && Number.isFinite(command.value) ? command.value : null;
+            return {
+                ...command,
+                statId: normalizeId(command.statId),
+                ...(isNonEmptyString(command.entityId) && { entityId: normalizeId(command.entityId) }),
+                type,
+                value,
+                text: toString(command.text, value === null ? '' : String(value)),
+                raw: toString(command.raw, ''),
+                parser: parserId
+            };
+        }
+
+        replaceCommands(text, replacer) {
+            if (!text || typeof text !== 'string') return text;
+            let result = '';
+            let cursor = 0;
+            for (const match of this._findMatches(text)) {
+                const commands = match.commands.filter(c => c.isValid);
+                // overlapping syntaxes: the earlier match keeps the text
+                if (commands.length === 0 || match.index < cursor) continue;
+                result += text.substring(cursor, match.index);
+                result += commands.map(command => toString(replacer(command), '')).filter(Boolean).join(' ');
+                cursor = match.index + match.raw.length;
+            }
+            return result + text.substring(cursor);
+        }
+
+        stripCommands(text) {
+            return this.replaceCommands(text, () => '');
+        }
+
+        // Every occurrence of an active syntax as { index, raw, commands }, in text order
+        _findMatches(text) {
+            const matches = [];
+            for (const syntax of this.activeSyntaxes) {
+                matches.push(...this.strategies.get(syntax)(text));
+            }
+            return matches.sort((a, b) => a.index - b.index);
+        }
+
+        _matchTags(text) {
+            const matches = [];
+            const pattern = this._buildPattern();
+
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                const content = match[1].trim();
+                const sepIndex = content.indexOf(this.separator);
+                // plain macros such as {{char}} are not ours
+                if (sepIndex === -1) continue;
+                const target = this.parseTarget(content.substring(0, sepIndex));
+                if (!target || (!target.entityId && RESERVED_MACROS.has(target.statId))) continue;
+                const command = this._buildCommand(target, content.substring(sepIndex + 1).trim(), match[0]);
+                matches.push({
+                    index: match.index,
+                    raw: match[0],
+                    commands: [command ? { ...command, isValid: true } : { ...target, raw: match[0], isValid: false }]
+                });
+            }
+            return matches;
+        }
+
+        _matchXml(text) {
+            return Array.from(text.matchAll(XML_TAG_PATTERN), match => {
+                const fields = {};
+                for (const [, name, doubleQuoted, singleQuoted] of match[1].matchAll(XML_ATTRIBUTE_PATTERN)) {
+                    fields[name.toLowerCase()] = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+                }
+                const command = this.commandFromFields(fields, match[0]);
+                return { index: match.index, raw: match[0], commands: command ? [command] : [] };
+            });
+        }
+
+        _matchJsonBlocks(text) {
+            return Array.from(text.matchAll(JSON_BLOCK_PATTERN), match => {
+                const commands = (jsonChangeEntries(safeJsonParse(match[1].trim())) || [])
+                    .map(entry => this.commandFromFields(entry, match[0]))
+                    .filter(Boolean);
+                return { index: match.index, raw: match[0], commands };
+            });
+        }
+
+        _matchBrackets(text) {
+            const matches = [];
+            for (const match of text.matchAll(BRACKET_PATTERN)) {
+                const target = this.parseTarget(match[1]);
+                const command = target ? this._buildCommand(target, match[2].replace(/^=\s+/, '='), match[0]) : null;
+                // unreadable brackets are most likely prose, so they are not reported
+                if (command) matches.push({ index: match.index, raw: match[0], commands: [{ ...command, isValid: true }] });
+            }
+            return matches;
+        }
+
+        // XML attributes and JSON entries share one vocabulary: id (or stat), entity, delta or set, for
+        commandFromFields(fields, raw) {
+            const id = toString(fields.id !== undefined ? fields.id : fields.stat, '').trim();
+            const entity = toString(fields.entity, '').trim();
+            const target = id ? this.parseTarget(entity ? `${entity}.${id}` : id) : null;
+            if (!target) return null;
+
+            let valueStr;
+            if (fields.set !== undefined) {
+                valueStr = `=${toString(fields.set).trim()}`;
+            } else if (fields.delta !== undefined) {
+                const delta = toString(fields.delta).trim();
+                // bare numbers are deltas; words like "on" are values for flags and enums
+                valueStr = /^\d/.test(delta) ? `+${delta}` : delta;
+            } else {
+                return { ...target, raw, isValid: false };
+            }
+            const duration = fields.for !== undefined ? fields.for : fields.duration;
+            if (duration !== undefined && !valueStr.startsWith('=')) {
+                valueStr += ` for ${toString(duration).trim()}`;
+            }
+
+            const command = this._buildCommand(target, valueStr, raw);
+            return command ? { ...command, isValid: true } : { ...target, raw, isValid: false };
+        }
+
+        // Stops at the full close tag, so values may contain its first character
+        _buildPattern() {
+            const close = this._escapeRegex(this.closeTag);
+            return new RegExp(`${this._escapeRegex(this.openTag)}((?:(?!${close})[^\\n])+)${close}`, 'g');
+        }
+
+        _buildCommand(target, valueStr, raw) {
+            if (!valueStr) return null;
+            if (target.statId === ITEM_COMMAND) return this._parseItem(target, valueStr, raw);
+            if (target.statId === CLOCK_COMMAND && !target.entityId) return this._parseTime(valueStr, raw);
+
+            const durationMatch = valueStr.match(MODIFIER_DURATION_PATTERN);
+            if (durationMatch) {
+                const modifier = this.parseModifier(durationMatch[1].trim());
+                const duration = parseInt(durationMatch[2], 10);
+                if (!modifier || duration <= 0) return null;
+                return {
+                    ...target,
+                    ...modifier.value,
+                    // typed stats read "for 3 turns" as part of their value: {{goal:=wait for 3 turns}}
+                    text: valueStr.replace(/^=/, '').trim(),
+                    type: ParseResultType.MODIFIER,
+                    modifierType: modifier.type,
+                    duration,
+                    raw
+                };
+            }
+
+            let type = ParseResultType.MODIFY;
+            
+            if (valueStr.startsWith('=')) {
+                type = ParseResultType.SET;
+                valueStr = valueStr.substring(1);
+            }
+
+            // flags, enums and text stats read the raw text; numeric stats need a number or expression
+            const text = valueStr.trim();
+            const value = this._parseValue(valueStr) || (text ? { value: null } : null);
+            if (!value) return null;
+
+            return {
+                ...target,
+                ...value,
+                text,
+                type,
+                raw
+            };
+        }
+
+        _parseItem(target, valueStr, raw) {
+            const match = valueStr.match(ITEM_COMMAND_PATTERN);
+            if (!match) return null;
+            const quantity = match[3] ? parseInt(match[3], 10) : 1;
+            if (quantity <= 0) return null;
+            return {
+                ...target,
+                type: ParseResultType.ITEM,
+                itemName: match[2].trim(),
+                quantity: match[1] === '-' ? -quantity : quantity,
+                raw
+            };
+        }
+
+        // "+2h" / "+1d 30m" advance the clock, "=08:00" moves it to the next 08:00
+        _parseTime(valueStr, raw) {
+            if (valueStr.startsWith('=')) {
+                const match = valueStr.substring(1).trim().match(CLOCK_TIME_PATTERN);
+                if (!match) return null;
+                return { statId: CLOCK_COMMAND, type: ParseResultType.TIME, hour: parseInt(match[1], 10), minute: parseInt(match[2], 10), raw };
+            }
+            const sign = valueStr.startsWith('-') ? -1 : 1;
+            const duration = WorldClock.parseDuration(valueStr.replace(/^[+-]/, ''));
+            if (!duration || (duration.days === 0 && duration.minutes === 0)) return null;
+            return { statId: CLOCK_COMMAND, type: ParseResultType.TIME, days: sign * duration.days, minutes: sign * duration.minutes, raw };
+        }
+
+        // "hp" targets the main sheet, "alice.hp" the entity alice
+        parseTarget(targetStr) {
+            const str = this.caseSensitive ? targetStr.trim() : targetStr.trim().toLowerCase();
+            const dotIndex = str.indexOf('.');
+            if (dotIndex === -1) {
+                return str ? { statId: str } : null;
+            }
+            const entityId = str.substring(0, dotIndex).trim();
+            const statId = str.substring(dotIndex + 1).trim();
+            if (!entityId || !statId) return null;
+            return { entityId, statId };
+        }
+
+        // Literals resolve immediately; anything else is kept as an expression
+        // and evaluated against the active stats when the command is applied.
+        _parseValue(valueStr) {
+            const str = valueStr.trim();
+            if (ExpressionEvaluator.isLiteral(str)) {
+                return { value: parseFloat(str) };
+            }
+            if (this.evaluator.isValid(str)) {
+                return { value: null, expression: str };
+            }
+            return null;
+        }
+
+        parseModifier(valueStr) {
+            let type = ModifierType.ADD;
+            let str = valueStr;
+            if (str.startsWith('=')) {
+                type = ModifierType.OVERRIDE;
+                str = str.substring(1);
+            } else if (str.startsWith('*') || str.startsWith('x')) {
+                type = ModifierType.MULTIPLY;
+                str = str.substring(1);
+            } else if (str.endsWith('%')) {
+                type = ModifierType.PERCENT;
+                str = str.slice(0, -1);
+            }
+            const value = this._parseValue(str);
+            return value ? { type, value } : null;
+        }
+
+        _escapeRegex(str) {
+            return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+
+        setConfig(config) {
+            if (config.openTag) this.openTag = config.openTag;
+            if (config.closeTag) this.closeTag = config.closeTag;
+            if (config.separator) this.separator = config.separator;
+            if (typeof config.caseSensitive === 'boolean') this.caseSensitive = config.caseSensitive;
+            if (Array.isArray(config.syntaxes)) this.syntaxes = config.syntaxes.slice();
+        }
+    }
+
+    // ========================================
+    // Phrase Patterns
+    // ========================================
+
+    const PhraseMode = Object.freeze({
+        OFF: 'off',
+        FALLBACK: 'fallback',   // only for messages without stat commands
+        ALWAYS: 'always'
+    });
+
+    const PhraseOperation = Object.freeze({
+        ADD: 'add',
+        SUBTRACT: 'subtract',
+        SET: 'set'
+    });
+
+    // Patterns are regular expressions in which these placeholders may appear
+    const PHRASE_PLACEHOLDERS = Object.freeze({
+        amount: '(?<amount>\\d+(?:\\.\\d+)?)',
+        stat: '(?<stat>[\\p{L}\\p{N}_]+)',
+        entity: '(?<entity>[\\p{L}\\p{N}_]+)'
+    });
+
+    // Korean particles a greedy {stat} or {entity} may swallow ("체력이" -> "체력")
+    const KOREAN_PARTICLE_PATTERN = /(?:이|가|은|는|을|를|의|도|에게)$/;
+
+    /**
+     * Turns prose such as "she loses 10 HP" or "체력이 5 감소했다" into stat
+     * commands. Each pattern maps a match to an operation on the captured stat
+     * name (or a fixed stat) by the captured amount.
+     */
+    class PhraseExtractor {
+        constructor() {
+            this._compiled = new Map();
+        }
+
+        static normalize(entry) {
+            const data = isPlainObject(entry) ? entry : {};
+            return {
+                id: isNonEmptyString(data.id) ? data.id : generateId('phrase'),
+                pattern: toString(data.pattern, ''),
+                operation: Object.values(PhraseOperation).includes(data.operation) ? data.operation : PhraseOperation.SUBTRACT,
+                stat: toString(data.stat, '').trim(),
+                enabled: data.enabled !== false
+            };
+        }
+
+        /**
+         * @returns {{ success: boolean, error?: string }}
+         */
+        validate(entry) {
+            const { pattern, stat } = PhraseExtractor.normalize(entry);
+            if (!pattern.trim()) return { success: false, error: 'Pattern is empty' };
+            const regex = this._compile(pattern);
+            if (regex instanceof Error) return { success: false, error: regex.message };
+            if (!pattern.includes('{amount}') && !/\(\?<amount>/.test(pattern)) {
+                return { success: false, error: 'Pattern needs an {amount} placeholder' };
+            }
+            if (!stat && !pattern.includes('{stat}') && !/\(\?<stat>/.test(pattern)) {
+                return { success: false, error: 'Pattern needs a {stat} placeholder or a fixed stat' };
+            }
+            return { success: true };
+        }
+
+        /**
+         * Every match of the enabled patterns in text order; overlapping matches
+         * keep the earlier pattern. Matches whose stat cannot be resolved have no command.
+         * @param {string} text
+         * @param {object[]} patterns
+         * @param {(statName: string, entityName: string) => { entityId: string, statId: string } | null} resolve
+         * @returns {{ patternId: string, raw: string, index: number, statName: string, command: object | null }[]}
+         */
+        match(text, patterns, resolve) {
+            if (!isNonEmptyString(text) || !Array.isArray(patterns)) return [];
+            const found = [];
+            for (const entry of patterns.map(PhraseExtractor.normalize)) {
+                if (!entry.enabled || !this.validate(entry).success) continue;
+                for (const match of text.matchAll(this._compile(entry.pattern))) {
+                    if (match[0].length === 0) continue;
+                    found.push({ entry, match });
+                }
+            }
+            found.sort((a, b) => a.match.index - b.match.index);
+
+            const results = [];
+            let cursor = 0;
+            for (const { entry, match } of found) {
+                if (match.index < cursor) continue;
+                cursor = match.index + match[0].length;
+                const groups = match.groups || {};
+                const statName = entry.stat || toString(groups.stat, '');
+                const target = resolve(statName, toString(groups.entity, ''));
+                const amount = parseFloat(groups.amount);
+                results.push({
+                    patternId: entry.id,
+                    raw: match[0],
+                    index: match.index,
+                    statName,
+                    command: target && !isNaN(amount) ? this._toCommand(entry, target, amount, match[0]) : null
+                });
+            }
+            return results;
+        }
+
+        extract(text, patterns, resolve) {
+            return this.match(text, patterns, resolve).map(result => result.command).filter(Boolean);
+        }
+
+        // Names to try for a captured word: as written, then without a trailing Korean particle
+        static candidates(name) {
+            const trimmed = toString(name, '').trim();
+            if (!trimmed) return [];
+            const stripped = trimmed.replace(KOREAN_PARTICLE_PATTERN, '');
+            return stripped && stripped !== trimmed ? [trimmed, stripped] : [trimmed];
+        }
+
+        _toCommand(entry, target, amount, raw) {
+            const isSet = entry.operation === PhraseOperation.SET;
+            const value = entry.operation === PhraseOperation.SUBTRACT ? -amount : amount;
+            return {
+                ...(target.entityId && !isMainEntity(target.entityId) && { entityId: target.entityId }),
+                statId: target.statId,
+                value,
+                text: String(value),
+                type: isSet ? ParseResultType.SET : ParseResultType.MODIFY,
+                raw,
+                phraseId: entry.id,
+                isValid: true
+            };
+        }
+
+        _compile(pattern) {
+            if (!this._compiled.has(pattern)) {
+                let compiled;
+                try {
+                    const source = pattern.replace(/\{(amount|stat|entity)\}/g, (_, name) => PHRASE_PLACEHOLDERS[name]);
+                    compiled = new RegExp(source, 'giu');
+                } catch (error) {
+                    compiled = error;
+                }
+                this._compiled.set(pattern, compiled);
+            }
+            return this._compiled.get(pattern);
+        }
+    }
+
+    // ========================================
+    // Model Extraction
+    // ========================================
+
+    // Entries beyond this are ignored; a runaway answer should not rewrite the whole sheet
+    const EXTRACTION_MAX_CHANGES = 20;
+
+    /**
+     * The quiet prompt asking a model to read stat changes out of a message.
+     * @param {string} text - the message
+     * @param {{ entityId: string, name: string, statManager: StatManager }[]} sheets
+     */
+    function buildExtractionPrompt(text, sheets) {
+        const lines = [
+            '[Stat extraction. Do not continue the story.]',
+            'Read the message below and list how it changes these stats:'
+        ];
+        for (const sheet of sheets) {
+            lines.push(isMainEntity(sheet.entityId) ? 'Stats:' : `${sheet.name} (entity: ${sheet.entityId}):`);
+            for (const stat of sheet.statManager.getAll()) {
+                let detail;
+                switch (stat.type) {
+                    case StatType.BOOLEAN: detail = 'flag, true/false'; break;
+                    case StatType.ENUM: detail = `one of ${stat.options.join('|')}`; break;
+                    case StatType.TEXT: detail = 'text'; break;
+                    default: detail = `range ${stat.minValue}~${stat.maxValue}`;
+                }
+                lines.push(`- ${stat.id} "${stat.name}": ${stat.getDisplayString()} (${detail})`);
+            }
+        }
+        lines.push(
+            'Answer with JSON only: an array like [{"id": "hp", "delta": -10}, {"id": "mood", "set": "angry"}].',
+            'Add "entity" for another character\'s stat. Use only the ids above. Answer [] if nothing changes.',
+            '',
+            'Message:',
+            text
+        );
+        return lines.join('\n');
+    }
+
+    /**
+     * Reads the model's answer, tolerating code fences and prose around the JSON.
+     * @returns {{ success: boolean, entries: object[], error?: string }}
+     */
+    function parseExtractionResponse(text) {
+        const raw = toString(text, '').trim();
+        if (!raw) return { success: false, entries: [], error: 'Empty response' };
+
+        const fenced = raw.match(/```(?:json|sim)?\s*([\s\S]*?)```/i);
+        const body = fenced ? fenced[1].trim() : raw;
+        const start = body.search(/[[{]/);
+        const end = Math.max(body.lastIndexOf(']'), body.lastIndexOf('}'));
+        const data = start === -1 || end < start ? null : safeJsonParse(body.substring(start, end + 1));
+
+        const entries = jsonChangeEntries(data);
+        if (!entries) return { success: false, entries: [], error: 'Response is not JSON' };
+        return { success: true, entries: entries.slice(0, EXTRACTION_MAX_CHANGES) };
+    }
+
+    // ========================================
+    // Token Modes
+    // ========================================
+    
+    const TokenMode = Object.freeze({
+        ZERO: 'zero',
+        MINIMAL: 'minimal',
+        FULL: 'full'
+    });
+
+    const StateScope = Object.freeze({
+        GLOBAL: 'global',
+        PER_CHAT: 'per_chat'
+    });
+
+    const CommandDisplay = Object.freeze({
+        SHOW: 'show',
+        HIDE: 'hide',
+        CHIP: 'chip'
+    });
+
+    // Private-use characters pass through markdown and the HTML sanitizer untouched
+    const CHIP_PLACEHOLDER_PATTERN = /\uE000(\d+)\uE001/g;
+
+    /**
+     * Rewrites a message's source text for the given display mode before SillyTavern
+     * formats it. Chip mode leaves a placeholder per command; fillCommandChips swaps
+     * the chips in afterwards, since the sanitizer would drop our markup.
+     * @returns {{ text: string, commands: object[] }}
+     */
+    function prepareCommandDisplay(parser, text, mode) {
+        if (mode === CommandDisplay.HIDE) return { text: parser.stripCommands(text), commands: [] };
+        if (mode !== CommandDisplay.CHIP) return { text, commands: [] };
+        const commands = [];
+        const masked = parser.replaceCommands(text, command => `\uE000${commands.push(command) - 1}\uE001`);
+        return { text: masked, commands };
+    }
+
+    function fillCommandChips(html, commands, formatChip) {
+        return html.replace(CHIP_PLACEHOLDER_PATTERN, (match, index) => commands[index] ? formatChip(commands[index]) : '');
+    }
+
+    // Who wrote a chat message; settings pick which of them may change stats
+    const MessageSource = Object.freeze({
+        AI: 'ai',
+        USER: 'user',
+        SYSTEM: 'system',
+        NARRATOR: 'narrator'
+    });
+
+    // SillyTavern marks /sys messages with extra.type 'narrator' (system_message_types.NARRATOR)
+    function getMessageSource(message) {
+        if (!message) return MessageSource.AI;
+        if (message.extra && message.extra.type === 'narrator') return MessageSource.NARRATOR;
+        if (message.is_user) return MessageSource.USER;
+        if (message.is_system) return MessageSource.SYSTEM;
+        return MessageSource.AI;
+    }
+
+    // What happens to a command naming a stat that does not exist
+    const UnknownStatPolicy = Object.freeze({
+        REJECT: 'reject',
+        CREATE: 'create',
+        ALIAS: 'alias',
+        FEEDBACK: 'feedback'
+    });
+
+    const WARNING_LIMIT = 20;
+
+    function editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Closest stat to a misspelled or abbreviated name, compared against ids, names and aliases.
+     * A prefix of three or more characters ("str" for "strength") beats any typo match;
+     * otherwise up to one edit per three characters is tolerated, so "hp" never becomes "mp".
+     * @param {StatManager} statManager
+     * @param {string} name
+     * @returns {Stat|null}
+     */
+    function findClosestStat(statManager, name) {
+        const key = toString(name, '').trim().toLowerCase();
+        if (!key) return null;
+        let best = null;
+        let bestScore = Infinity;
+        for (const stat of statManager.getAll()) {
+            for (const candidate of [stat.id, stat.name, ...stat.aliases]) {
+                const other = candidate.toLowerCase();
+                const shorter = Math.min(key.length, other.length);
+                let score;
+                if (shorter >= 3 && (other.startsWith(key) || key.startsWith(other))) {
+                    score = 0;
+                } else {
+                    const distance = editDistance(key, other);
+                    if (distance > Math.floor(Math.max(key.length, other.length) / 3)) continue;
+                    score = distance;
+                }
+                if (score < bestScore) {
+                    best = stat;
+                    bestScore = score;
+                }
+            }
+        }
+        return best;
+    }
+
+    // Tells a message apart from its neighbours even after they shift: send date plus text
+    function messageKey(message) {
+        return hashText(`${toString(message && message.send_date, '')}\n${toString(message && message.mes, '')}`);
+    }
+
+    // Mirrors SillyTavern's extension_prompt_types
+    const PromptPosition = Object.freeze({
+        IN_PROMPT: 0,
+        IN_CHAT: 1,
+        BEFORE_PROMPT: 2
+    });
+
+    // ========================================
+    // Default Settings
+    // ========================================
+    
+    const DEFAULT_SETTINGS = Object.freeze({
+        enabled: true,
+        tokenMode: TokenMode.MINIMAL,
+        stateScope: StateScope.PER_CHAT,
+        showStatusWindow: true,
+        autoApplyChanges: true,
+        showChangeNotifications: true,
+        commandDisplay: CommandDisplay.SHOW,
+        exportFormat: TransferFormat.JSON,
+        importMode: ImportMode.REPLACE,
+        historyLimit: 30,
+        historyMaxKB: 256,
+        promptPosition: PromptPosition.IN_CHAT,
+        promptDepth: 1,
+        parserSyntaxes: [ParserSyntax.TAG],
+        phraseMode: PhraseMode.OFF,
+        extractionReview: false,
+        messageSources: [MessageSource.AI],
+        // Hide commands in non-AI messages from the prompt once they are applied
+        consumeUserCommands: false,
+        unknownStatPolicy: UnknownStatPolicy.REJECT,
+        phrasePatterns: [
+            { id: 'phrase_lose', pattern: '(?:loses?|lost) {amount} {stat}', operation: PhraseOperation.SUBTRACT },
+            { id: 'phrase_gain', pattern: '(?:gains?|gained|recovers?|recovered) {amount} {stat}', operation: PhraseOperation.ADD },
+            { id: 'phrase_ko_decrease', pattern: '{stat}[이가] {amount}\\s*(?:감소|줄)', operation: PhraseOperation.SUBTRACT },
+            { id: 'phrase_ko_increase', pattern: '{stat}[이가] {amount}\\s*(?:증가|회복|늘)', operation: PhraseOperation.ADD }
+        ],
+        parserConfig: {
+            openTag: '{{',
+            closeTag: '}}',
+            separator: ':',
+            caseSensitive: false
+        }
+    });
+
+    // ========================================
+    // State Manager
+    // ========================================
+    
+    class StateManager {
+        constructor() {
+            this.currentState = null;
+            this.globalState = null;
+            this.settings = deepClone(DEFAULT_SETTINGS);
+            this.parser = new StatParser(this.settings.parserConfig);
+            this.parser.syntaxSource = () => this.getParserSyntaxes();
+            this.phrases = new PhraseExtractor();
+            this.templates = new TemplateLibrary();
+            this._stateChangeListeners = [];
+            this._statChangeListeners = [];
+            this._ruleDepth = 0;
+            this._initialized = false;
+        }
+
+        getActiveState() {
+            if (this.settings.stateScope === StateScope.GLOBAL) {
+                return this.globalState;
+            }
+            return this.currentState;
+        }
+
+        isSourceEnabled(message) {
+            const sources = Array.isArray(this.settings.messageSources) ? this.settings.messageSources : [MessageSource.AI];
+            return sources.includes(getMessageSource(message));
+        }
+
+        // The active state's own choice wins over the extension-wide setting
+        getParserSyntaxes() {
+            const state = this.getActiveState();
+            return (state && state.parserSyntaxes)
+                || normalizeSyntaxes(this.settings.parserSyntaxes)
+                || [ParserSyntax.TAG];
+        }
+
+        initialize(context) {
+            if (!context) {
+                logError('StateManager.initialize: no context provided');
+                return false;
+            }
+
+            try {
+                this._loadSettings(context);
+                this._loadTemplates(context);
+                this._loadGlobalState(context);
+                this._loadStateForChat(context);
+                this._initialized = true;
+                log('StateManager initialized');
+                return true;
+            } catch (error) {
+                logError('StateManager initialization failed:', error);
+                return false;
+            }
+        }
+
+        _loadSettings(context) {
+            const { extensionSettings } = context;
+            if (!extensionSettings[MODULE_NAME]) {
+                extensionSettings[MODULE_NAME] = deepClone(DEFAULT_SETTINGS);
+            }
+            const saved = extensionSettings[MODULE_NAME];
+            this.settings = { ...deepClone(DEFAULT_SETTINGS), ...saved };
+            if (this.settings.parserConfig) {
+                this.parser.setConfig(this.settings.parserConfig);
+            }
+        }
+
+        _loadTemplates(context) {
+            this.templates.fromJSON(context.extensionSettings[TEMPLATES_KEY]);
+        }
+
+        _loadGlobalState(context) {
+            const { extensionSettings } = context;
+            const GLOBAL_STATE_KEY = 'simulation_builder_global';
+            if (extensionSettings[GLOBAL_STATE_KEY]) {
+                try {
+                    this.globalState = SimulationState.fromJSON(extensionSettings[GLOBAL_STATE_KEY]);
+                } catch (error) {
+                    this.globalState = new SimulationState('global');
+                }
+            } else {
+                this.globalState = new SimulationState('global');
+                this.globalState.name = 'Global State';
+            }
+        }
+
+        _loadStateForChat(context) {
+            const { chatMetadata } = context;
+            if (chatMetadata && chatMetadata[MODULE_NAME]) {
+                try {
+                    this.currentState = SimulationState.fromJSON(chatMetadata[MODULE_NAME]);
+                } catch (error) {
+                    this.currentState = new SimulationState();
+                }
+            } else {
+                // a chat without saved state is new: the character card's definition wins over the default template
+                if (!this._applyCardToNewChat(context)) {
+                    this.currentState = new SimulationState();
+                    const template = this.templates.getDefault();
+                    if (template) this.templates.applyTo(this.currentState, template.id);
+                }
+            }
+        }
+
+        _applyCardToNewChat(context) {
+            const definition = readCardDefinition(getCurrentCharacter(context));
+            if (!definition) return false;
+            try {
+                this.currentState = new SimulationState();
+                applyDefinition(this.currentState, definition);
+                this.currentState.cardSignature = hashDefinition(definition);
+                return true;
+            } catch (error) {
+                logError('Failed to apply card definition:', error);
+                return false;
+            }
+        }
+
+        saveSettings(context) {
+            if (!context) return;
+            const { extensionSettings, saveSettingsDebounced } = context;
+            extensionSettings[MODULE_NAME] = deepClone(this.settings);
+            if (typeof saveSettingsDebounced === 'function') {
+                saveSettingsDebounced();
+            }
+        }
+
+        saveTemplates(context) {
+            if (!context) return;
+            const { extensionSettings, saveSettingsDebounced } = context;
+            extensionSettings[TEMPLATES_KEY] = this.templates.toJSON();
+            if (typeof saveSettingsDebounced === 'function') {
+                saveSettingsDebounced();
+            }
+        }
+
+        saveTemplate(name) {
+            const activeState = this.getActiveState();
+            if (!activeState) {
+                return { success: false, error: 'No active state' };
+            }
+            if (activeState.statManager.getAll().length === 0) {
+                return { success: false, error: 'No stats to save' };
+            }
+            return { success: true, template: this.templates.create(name, activeState) };
+        }
+
+        /**
+         * Replaces the active state's stat and rule definitions with a template's.
+         * Refuses a state that already has stats unless forced.
+         */
+        applyTemplate(templateId, { force = false } = {}) {
+            const activeState = this.getActiveState();
+            if (!activeState) {
+                return { success: false, error: 'No active state' };
+            }
+            const template = this.templates.get(templateId);
+            if (!template) {
+                return { success: false, error: 'Template not found' };
+            }
+            if (!force && activeState.statManager.getAll().length > 0) {
+                return { success: false, error: 'State is not empty' };
+            }
+            this.templates.applyTo(activeState, template.id);
+            this._notifyStateChange('template_applied', { templateId: template.id });
+            return { success: true, template };
+        }
+
+        getCardDefinition(context) {
+            return readCardDefinition(getCurrentCharacter(context));
+        }
+
+        /**
+         * Returns the card definition when the chat already has stats that did not
+         * come from this version of it, i.e. the user should be asked before loading.
+         */
+        getPendingCardDefinition(context) {
+            if (this.settings.stateScope === StateScope.GLOBAL || !this.currentState) return null;
+            const definition = this.getCardDefinition(context);
+            if (!definition || this.currentState.cardSignature === hashDefinition(definition)) return null;
+            return this.currentState.statManager.getAll().length > 0 ? definition : null;
+        }
+
+        // Marks the card's current definition as seen so the chat is not asked about it again
+        dismissCardDefinition(context) {
+            const definition = this.getCardDefinition(context);
+            if (!definition || !this.currentState) return false;
+            this.currentState.cardSignature = hashDefinition(definition);
+            return true;
+        }
+
+        async exportToCard(context) {
+            const character = getCurrentCharacter(context);
+            if (!character) {
+                return { success: false, error: 'No character selected' };
+            }
+            if (typeof context.writeExtensionField !== 'function') {
+                return { success: false, error: 'Card extension data is not supported' };
+            }
+            const activeState = this.getActiveState();
+            if (!activeState || activeState.statManager.getAll().length === 0) {
+                return { success: false, error: 'No stats to save' };
+            }
+            const definition = { version: VERSION, ...captureDefinition(activeState) };
+            try {
+                await context.writeExtensionField(context.characterId, CARD_EXTENSION_KEY, definition);
+            } catch (error) {
+                logError('Failed to write card data:', error);
+                return { success: false, error: error.message };
+            }
+            if (activeState === this.currentState) {
+                // what readCardDefinition will hand back for this card
+                activeState.cardSignature = hashDefinition(stripCardCommands(deepClone(definition)));
+            }
+            return { success: true, character: character.name };
+        }
+
+        loadFromCard(context, { force = false } = {}) {
+            const activeState = this.getActiveState();
+            if (!activeState) {
+                return { success: false, error: 'No active state' };
+            }
+            const definition = this.getCardDefinition(context);
+            if (!definition) {
+                return { success: false, error: 'Card has no simulation definition' };
+            }
+            if (!force && activeState.statManager.getAll().length > 0) {
+                return { success: false, error: 'State is not empty' };
+            }
+            try {
+                applyDefinition(activeState, definition);
+            } catch (error) {
+                logError('Failed to apply card definition:', error);
+                return { success: false, error: error.message };
+            }
+            activeState.cardSignature = hashDefinition(definition);
+            this._notifyStateChange('card_loaded', {});
+            return { success: true };
+        }
+
+        saveGlobalState(context) {
+            if (!context || !this.globalState) return;
+            const { extensionSettings, saveSettingsDebounced } = context;
+            const GLOBAL_STATE_KEY = 'simulation_builder_global';
+            this.globalState.updatedAt = Date.now();
+            extensionSettings[GLOBAL_STATE_KEY] = this.globalState.toJSON();
+            if (typeof saveSettingsDebounced === 'function') {
+                saveSettingsDebounced();
+            }
+        }
+
+        async saveState(context) {
+            if (!context || !this.currentState) return false;
+            try {
+                const { chatMetadata, saveMetadata } = context;
+                this.currentState.updatedAt = Date.now();
+                chatMetadata[MODULE_NAME] = this.currentState.toJSON();
+                if (typeof saveMetadata === 'function') {
+                    await saveMetadata();
+                }
+                return true;
+            } catch (error) {
+                logError('Failed to save state:', error);
+                return false;
+            }
+        }
+
+        /**
+         * Checks a model's extraction answer against the active state's stats.
+         * Entries may name a stat by id, name or alias.
+         * @returns {{ success: boolean, commands: object[], rejected: { entry: object, reason: string }[], error?: string }}
+         */
+        prepareExtraction(responseText) {
+            const state = this.getActiveState();
+            const parsed = parseExtractionResponse(responseText);
+            if (!state || !parsed.success) {
+                return { success: false, commands: [], rejected: [], error: parsed.error || 'No active state' };
+            }
+
+            const commands = [];
+            const rejected = [];
+            for (const entry of parsed.entries) {
+                const name = toString(entry.id !== undefined ? entry.id : entry.stat, '');
+                const stat = state.statManager.find(name);
+                const entity = toString(entry.entity, '').trim();
+                if (!stat) {
+                    rejected.push({ entry, reason: `Unknown stat: ${name}` });
+                    continue;
+                }
+                if (entity && !isMainEntity(entity) && !state.getSheet(sanitizeId(entity))) {
+                    rejected.push({ entry, reason: `Unknown entity: ${entity}` });
+                    continue;
+                }
+                const command = this.parser.commandFromFields({ ...entry, id: stat.id }, JSON.stringify(entry));
+                if (!command || !command.isValid) {
+                    rejected.push({ entry, reason: 'Invalid value' });
+                    continue;
+                }
+                commands.push(command);
+            }
+            return { success: true, commands, rejected };
+        }
+
+        /**
+         * Applies extracted commands as further effects of the message they came
+         * from, so reverting that message undoes them too.
+         */
+        applyExtraction(commands, ref) {
+            const activeState = this.getActiveState();
+            if (!activeState) {
+                return { success: false, error: 'No active state', changes: [] };
+            }
+            const entry = activeState.journal.find(ref.chatId, ref.messageIndex);
+            if (entry && !activeState.journal.isLatest(entry)) {
+                return { success: false, error: 'Message is no longer the latest', changes: [] };
+            }
+
+            const before = activeState.captureValues();
+            const result = this.applyCommands(commands, { source: 'extraction' });
+            const applied = result.changes.filter(c => c.success);
+            if (applied.length > 0) {
+                activeState.journal.append({ ...ref, before, changes: applied.map(toJournalChange) });
+            }
+            return result;
+        }
+
+        notifyExtraction(result) {
+            this._notifyStateChange('extraction', result);
+        }
+
+        /**
+         * Runs the phrase patterns over a message (or sample text) against the active state.
+         * @param {string} text
+         * @param {object[]} [patterns] - defaults to the configured patterns
+         */
+        matchPhrases(text, patterns = this.settings.phrasePatterns) {
+            const state = this.getActiveState();
+            if (!state) return [];
+            return this.phrases.match(text, patterns, (statName, entityName) => {
+                let entityId = DEFAULT_ENTITY_ID;
+                if (entityName) {
+                    const sheet = state.getSheets().find(s => PhraseExtractor.candidates(entityName).some(name =>
+                        s.entityId === name.toLowerCase() || s.name.toLowerCase() === name.toLowerCase()
+                    ));
+                    if (!sheet) return null;
+                    entityId = sheet.entityId;
+                }
+                for (const name of PhraseExtractor.candidates(statName)) {
+                    const stat = state.statManager.find(name);
+                    if (stat) return { entityId, statId: stat.id };
+                }
+                return null;
+            });
+        }
+
+        // In "always" mode prose never doubles a stat the message already changes by command
+        _phraseCommands(text, commands) {
+            const mode = this.settings.phraseMode;
+            if (mode !== PhraseMode.ALWAYS && !(mode === PhraseMode.FALLBACK && commands.length === 0)) return [];
+            const targetKey = (c) => `${c.entityId ? sanitizeId(c.entityId) : DEFAULT_ENTITY_ID}.${c.statId}`;
+            const commanded = new Set(commands.map(targetKey));
+            return this.matchPhrases(text)
+                .map(result => result.command)
+                .filter(command => command && !commanded.has(targetKey(command)));
+        }
+
+        /**
+         * @param {string} message
+         * @param {{ source?: string, replay?: object }} [options] - a MessageSource, reported with
+         *   every change, and dice results from an earlier application of the same text
+         */
+        processMessage(message, { source = MessageSource.AI, replay = null } = {}) {
+            const activeState = this.getActiveState();
+            if (!activeState) {
+                return { success: false, error: 'No active state', changes: [] };
+            }
+            if (!this.settings.enabled) {
+                return { success: true, changes: [], disabled: true };
+            }
+
+            const commands = this.parser.parseValid(message);
+            commands.push(...this._phraseCommands(message, commands));
+            return this.applyCommands(commands, { source, replay });
+        }
+
+        /**
+         * Applies parsed command objects (as StatParser produces them) to the active state.
+         * Dice results are returned as `rolled`, keyed by command index; passing them back
+         * as `replay` for the same commands reuses them instead of rolling again.
+         * @returns {{ success: boolean, changes: object[], commandCount: number, rolled?: object }}
+         */
+        applyCommands(commands, { source = MessageSource.AI, replay = null } = {}) {
+            const activeState = this.getActiveState();
+            if (!activeState) {
+                return { success: false, error: 'No active state', changes: [] };
+            }
+            const changes = [];
+            const warnings = [];
+            const rolled = {};
+
+            for (let i = 0; i < commands.length; i++) {
+                let cmd = commands[i];
+                if (cmd.type === ParseResultType.TIME) {
+                    changes.push(this._applyTimeCommand(activeState, cmd));
+                    continue;
+                }
+                const entity = cmd.entityId && !isMainEntity(cmd.entityId) ? activeState.findEntity(cmd.entityId) : null;
+                const entityId = entity ? entity.id : (cmd.entityId ? sanitizeId(cmd.entityId) : DEFAULT_ENTITY_ID);
+                const sheet = activeState.getSheet(entityId);
+                if (!sheet) {
+                    changes.push({ entityId, statId: cmd.statId, success: false, error: 'Entity not found' });
+                    continue;
+                }
+                if (cmd.type === ParseResultType.ITEM) {
+                    changes.push(this._applyItemCommand(activeState, entityId, cmd));
+                    continue;
+                }
+                let stat = sheet.get(cmd.statId);
+                let created = false;
+                if (!stat) {
+                    const resolved = this._resolveUnknownStat(activeState, sheet, cmd);
+                    if (!resolved.stat) {
+                        changes.push({ entityId, statId: cmd.statId, success: false, error: 'Stat not found' });
+                        continue;
+                    }
+                    stat = resolved.stat;
+                    created = resolved.kind === 'created';
+                    if (resolved.kind) {
+                        warnings.push({ kind: resolved.kind, entityId, statId: cmd.statId, target: stat.id, raw: cmd.raw });
+                    }
+                    if (stat.id !== cmd.statId) cmd = { ...cmd, statId: stat.id, requestedId: cmd.statId };
+                }
+
+                if (stat.formula && cmd.type !== ParseResultType.MODIFIER) {
+                    changes.push({ entityId, statId: cmd.statId, success: false, error: 'Stat is derived from a formula' });
+                    continue;
+                }
+
+                let evaluation = null;
+                let value = cmd.value;
+                if (!stat.isNumeric) {
+                    // {{poisoned:on}} and {{mood:=angry}} both just set the typed value
+                    value = stat.coerce(cmd.text);
+                    if (value === undefined) {
+                        changes.push({ entityId, statId: cmd.statId, success: false, error: `Invalid ${stat.type} value: ${cmd.text || cmd.raw}` });
+                        continue;
+                    }
+                } else if (cmd.expression) {
+                    const previous = isPlainObject(replay) ? replay[i] : null;
+                    if (isPlainObject(previous) && Number.isFinite(previous.value)) {
+                        evaluation = { value: previous.value, rolls: Array.isArray(previous.rolls) ? previous.rolls : [] };
+                    } else {
+                        try {
+                            evaluation = this.evaluateExpression(cmd.expression, activeState, entityId);
+                        } catch (error) {
+                            changes.push({ entityId, statId: cmd.statId, success: false, error: error.message, expression: cmd.expression });
+                            continue;
+                        }
+                    }
+                    value = evaluation.value;
+                    if (evaluation.rolls && evaluation.rolls.length > 0) {
+                        rolled[i] = { value, rolls: evaluation.rolls };
+                    }
+                } else if (value === null) {
+                    changes.push({ entityId, statId: cmd.statId, success: false, error: `Invalid value: ${cmd.text}` });
+                    continue;
+                }
+
+                let result;
+                if (!stat.isNumeric) {
+                    result = stat.set(value);
+                } else if (cmd.type === ParseResultType.MODIFIER) {
+                    result = stat.addModifier({
+                        name: cmd.raw,
+                        type: cmd.modifierType,
+                        value,
+                        duration: cmd.duration,
+                        source: 'message'
+                    });
+                } else if (cmd.type === ParseResultType.SET) {
+                    result = stat.set(value);
+                } else {
+                    result = stat.modify(value);
+                }
+
+                result.entityId = entityId;
+                result.source = source;
+                changes.push({
+                    statId: cmd.statId,
+                    statName: stat.name,
+                    success: true,
+                    ...result,
+                    commandType: cmd.type,
+                    ...(cmd.requestedId && { requestedId: cmd.requestedId }),
+                    ...(created && { created: true }),
+                    ...(evaluation && {
+                        expression: cmd.expression,
+                        evaluatedValue: value,
+                        rolls: evaluation.rolls
+                    })
+                });
+
+                this._notifyStatChange(stat, result);
+                this._flushDerivedChanges(activeState);
+            }
+
+            // every command yields exactly one change, in order
+            changes.forEach((change, i) => {
+                if (change.success) return;
+                warnings.push({ kind: 'rejected', entityId: change.entityId, statId: change.statId, error: change.error, raw: commands[i].raw });
+            });
+            this.addWarnings(warnings);
+
+            const result = { success: true, changes, commandCount: commands.length };
+            if (Object.keys(rolled).length > 0) result.rolled = rolled;
+            return result;
+        }
+
+        /**
+         * Applies the unknown-stat policy to a command whose stat is missing from the sheet.
+         * Exact names and aliases always resolve; a kind is returned only for policy decisions.
+         * @returns {{ stat?: Stat, kind?: string }}
+         */
+        _resolveUnknownStat(state, sheet, cmd) {
+            const known = state.statManager.find(cmd.statId);
+            if (known) return { stat: sheet.get(known.id) };
+
+            switch (this.settings.unknownStatPolicy) {
+                case UnknownStatPolicy.CREATE: {
+                    // a bare word parses as an expression, so "on" or "angry" only count as numbers if they evaluate
+                    let type = StatType.TEXT;
+                    // "1" and "0" are flag words too, but as a bare value they read as numbers
+                    if (toString(cmd.text, '').toLowerCase() in BOOLEAN_WORDS && !isFiniteNumber(cmd.value)) type = StatType.BOOLEAN;
+                    else if (cmd.value !== null || this._evaluates(cmd.expression, state)) type = StatType.NUMBER;
+                    const id = uniqueId(cmd.statId, (candidate) => state.statManager.has(candidate));
+                    const stat = state.statManager.add(new Stat({
+                        id,
+                        name: cmd.statId.charAt(0).toUpperCase() + cmd.statId.slice(1),
+                        aliases: id === cmd.statId ? [] : [cmd.statId],
+                        type,
+                        baseValue: type === StatType.NUMBER ? 0 : undefined,
+                        minValue: 0,
+                        maxValue: 100
+                    }));
+                    state.syncEntities();
+                    this._notifyStateChange('stat_created', { statId: stat.id });
+                    return { stat: sheet.get(stat.id), kind: 'created' };
+                }
+                case UnknownStatPolicy.ALIAS: {
+                    const closest = findClosestStat(state.statManager, cmd.statId);
+                    return closest ? { stat: sheet.get(closest.id), kind: 'aliased' } : {};
+                }
+                case UnknownStatPolicy.FEEDBACK: {
+                    const ids = state.statManager.getAll().map(stat => stat.id);
+                    const note = `Unknown stat "${cmd.statId}" was ignored. Valid stat ids: ${ids.join(', ') || 'none'}.`;
+                    if (!state.promptNotes.includes(note)) state.promptNotes.push(note);
+                    return {};
+                }
+                default:
+                    return {};
+            }
+        }
+
+        _evaluates(expression, state) {
+            if (!expression) return false;
+            try {
+                this.evaluateExpression(expression, state, DEFAULT_ENTITY_ID);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        }
+
+        /**
+         * Records rejected or remapped commands for the status window, newest last.
+         * @param {object[]} warnings - { kind, statId, entityId?, target?, error?, raw }
+         */
+        addWarnings(warnings) {
+            const activeState = this.getActiveState();
+            if (!activeState || warnings.length === 0) return;
+            const turn = activeState.turnCount;
+            activeState.warnings.push(...warnings.map(warning => ({ turn, ...warning })));
+            activeState.warnings.splice(0, Math.max(0, activeState.warnings.length - WARNING_LIMIT));
+            this._notifyStateChange('warnings', { warnings });
+        }
+
+        clearWarnings() {
+            const activeState = this.getActiveState();
+            if (!activeState || activeState.warnings.length === 0) return;
+            activeState.warnings = [];
+            this._notifyStateChange('warnings', { warnings: [] });
+        }
+
+        /**
+         * Applies a chat message and journals its effects so they can be reverted.
+         * @param {string} text
+         * @param {{ chatId?: string, messageIndex: number, swipeId?: number }} ref
+         * @param {{ source?: string, replay?: object, turnKept?: boolean }} [options] - turnKept: an
+         *   earlier version of this message already ended its turn (see revertMessage), so it does not tick again
+         */
+        applyMessage(text, ref, { source = MessageSource.AI, replay = null, turnKept = false } = {}) {
+            const activeState = this.getActiveState();
+            if (!activeState) {
+                return { success: false, error: 'No active state', changes: [] };
+            }
+
+            // Only a model reply ends a turn: it has read the queued notes, and
+            // a player's message before it belongs to the same exchange.
+            const isReply = source === MessageSource.AI;
+            const keepsTurn = isReply && turnKept;
+            activeState.captureInitialSnapshot();
+            const before = activeState.captureValues();
+            const notes = isReply ? this.consumePromptNotes() : [];
+            const result = this.processMessage(text, { source, replay });
+
+            // A reply ends a turn when it applied a change. With per-tick deltas a plain
+            // reply without commands is a turn too, but one whose commands all failed is not.
+            const applied = result.changes.some(c => c.success);
+            const plainReply = result.commandCount === 0 && activeState.hasPassiveEffects();
+            const tick = isReply && !keepsTurn && result.success && (applied || plainReply) ? this.tick() : null;
+            const regenerated = tick && tick.success ? tick.regenerated : [];
+            const elapsed = tick && tick.clock && tick.clock.actualChange !== 0
+                ? [{ statId: CLOCK_COMMAND, clock: true, success: true, ...tick.clock }]
+                : [];
+            if (keepsTurn || notes.length > 0 || applied || regenerated.length > 0 || elapsed.length > 0) {
+                activeState.journal.record({
+                    ...ref,
+                    before,
+                    changes: result.changes
+                        .filter(c => c.success)
+                        .concat(regenerated, elapsed)
+                        .map(toJournalChange),
+                    ticked: Boolean(tick),
+                    turnKept: keepsTurn
+                });
+            }
+            return { ...result, regenerated, notesConsumed: notes.length };
+        }
+
+        /**
+         * Undoes everything a journaled message did. The most recent entry is
+         * restored exactly; older entries are undone by inverting their deltas
+         * so later messages keep their effects.
+         * @returns {false|{ turnKept: boolean }} turnKept: the message's turn stays
+         *   spent, so re-applying it should pass turnKept to applyMessage
+         */
+        revertMessage(chatId, messageIndex) {
+            const activeState = this.getActiveState();
+            if (!activeState) return false;
+            const entry = activeState.journal.find(chatId, messageIndex);
+            if (!entry) return false;
+            return this._revertEntry(activeState, entry);
+        }
+
+        _revertEntry(activeState, entry) {
+            const latest = activeState.journal.isLatest(entry);
+            // later turns were built on top of an older message's tick, so only the latest one gives its turn back
+            const turnKept = Boolean(entry.turnKept || (!latest && entry.ticked));
+            if (latest) {
+                activeState.restoreValues(entry.before);
+            } else {
+                for (const change of entry.changes) {
+                    if (change.itemId) {
+                        this._revertItemChange(activeState, change);
+                        continue;
+                    }
+                    if (change.clock) {
+                        activeState.clock.advance(-toNumber(change.actualChange, 0));
+                        continue;
+                    }
+                    const sheet = activeState.getSheet(change.entityId);
+                    const stat = sheet ? sheet.get(change.statId) : null;
+                    if (!stat) continue;
+                    if (change.modifierId) {
+                        stat.removeModifier(change.modifierId);
+                    } else if ('previousValue' in change) {
+                        stat.set(change.previousValue);
+                    } else {
+                        stat.modify(-toNumber(change.actualChange, 0));
+                    }
+                }
+                for (const { statManager } of activeState.getSheets()) {
+                    statManager.takeDerivedChanges();
+                }
+                activeState.journal.rebaseAfter(entry);
+            }
+            const created = entry.changes.filter(change => change.created);
+            for (const change of created) {
+                activeState.statManager.remove(change.statId);
+            }
+            if (created.length > 0) activeState.syncEntities();
+            activeState.journal.entries = activeState.journal.entries.filter(e => e !== entry);
+            this._notifyStateChange('revert', { chatId: entry.chatId, messageIndex: entry.messageIndex });
+            return { turnKept };
+        }
+
+        _applyTimeCommand(state, cmd) {
+            if (!state.clock.enabled) {
+                return { statId: CLOCK_COMMAND, success: false, error: 'World clock is disabled' };
+            }
+            const result = cmd.minutes !== undefined
+                ? state.clock.advance(cmd.days * state.clock.minutesPerDay + cmd.minutes)
+                : state.clock.setTimeOfDay(cmd.hour, cmd.minute);
+            this._notifyClockChange(state, result);
+            return {
+                statId: CLOCK_COMMAND,
+                statName: 'Time',
+                success: true,
+                clock: true,
+                ...result,
+                commandType: cmd.type
+            };
+        }
+
+        // Emits the time change and lets rules on time.hour / time.day react to it
+        _notifyClockChange(state, result) {
+            if (!result || result.actualChange === 0) return;
+            this._notifyStateChange('time', { ...result, time: state.clock.formatTime() });
+            const before = state.clock.getRuleValues(result.oldValue);
+            const after = state.clock.getRuleValues(result.newValue);
+            for (const target of Object.keys(CLOCK_RULE_TARGETS)) {
+                if (before[target] !== after[target]) {
+                    this._evaluateRules({ id: target }, { oldValue: before[target], newValue: after[target], entityId: DEFAULT_ENTITY_ID });
+                }
+            }
+        }
+
+        _applyItemCommand(state, entityId, cmd) {
+            const inventory = state.getInventory(entityId);
+            const result = cmd.quantity > 0
+                ? inventory.add({ name: cmd.itemName }, cmd.quantity)
+                : inventory.remove(cmd.itemName, -cmd.quantity);
+            if (!result) {
+                return { entityId, itemId: itemKey(cmd.itemName), success: false, error: 'Item not found' };
+            }
+            const { item, ...quantities } = result;
+            const change = {
+                entityId,
+                itemId: item.id,
+                itemName: item.name,
+                success: true,
+                ...quantities,
+                commandType: cmd.type,
+                item: item.toJSON()
+            };
+            this._notifyItemEffects(state, state.applyItemEffects(entityId));
+            this._notifyStateChange('inventory', change);
+            return change;
+        }
+
+        _revertItemChange(state, change) {
+            const inventory = state.getInventory(change.entityId);
+            if (!inventory) return;
+            const amount = toNumber(change.actualChange, 0);
+            if (amount > 0) {
+                inventory.remove(change.itemId, amount);
+            } else if (amount < 0) {
+                inventory.add(isPlainObject(change.item) ? change.item : { id: change.itemId, name: change.itemId }, -amount);
+            }
+            state.applyItemEffects(change.entityId);
+        }
+
+        /**
+         * Re-applies item effects after inventory edits made outside chat messages.
+         */
+        refreshItemEffects(entityId) {
+            const activeState = this.getActiveState();
+            if (!activeState) return;
+            this._notifyItemEffects(activeState, activeState.applyItemEffects(entityId));
+            this._notifyStateChange('inventory', { entityId: entityId || DEFAULT_ENTITY_ID });
+        }
+
+        _notifyItemEffects(state, changed) {
+            for (const { entityId, stat, result } of changed) {
+                this._notifyStatChange(stat, { ...result, entityId });
+            }
+            this._flushDerivedChanges(state);
+        }
+
+        /**
+         * Reverts the journaled messages that are no longer in the chat and moves
+         * the remaining entries to their messages' new indexes.
+         * @param {string} chatId
+         * @param {string[]} keys - messageKey of every message left in the chat
+         * @returns {number} how many deleted messages were reverted
+         */
+        revertDeletedMessages(chatId, keys) {
+            const activeState = this.getActiveState();
+            if (!activeState) return 0;
+            const { deleted, moved } = activeState.journal.matchMessages(chatId, keys);
+            for (const entry of deleted) {
+                this._revertEntry(activeState, entry);
+            }
+            for (const [entry, index] of moved) {
+                entry.messageIndex = index;
+            }
+            return deleted.length;
+        }
+
+        getJournalEntry(chatId, messageIndex) {
+            const activeState = this.getActiveState();
+            return activeState ? activeState.journal.find(chatId, messageIndex) : null;
+        }
+
+        // Stat references resolve against the sheet of the entity being changed
+        evaluateExpression(expression, state = this.getActiveState(), entityId = DEFAULT_ENTITY_ID) {
+            const sheet = state ? state.getSheet(entityId) : null;
+            const resolve = (id) => {
+                const stat = sheet ? sheet.get(id) : null;
+                return stat ? stat.numericValue : undefined;
+            };
+            return this.parser.evaluator.evaluate(expression, resolve);
+        }
+
+        tick() {
+            const activeState = this.getActiveState();
+            if (!activeState) {
+                return { success: false, error: 'No active state' };
+            }
+            const result = activeState.tick();
+            this.trimHistory(activeState);
+            this._notifyClockChange(activeState, result.clock);
+            for (const change of result.regenerated) {
+                const sheet = activeState.getSheet(change.entityId);
+                const stat = sheet ? sheet.get(change.statId) : null;
+                if (stat) this._notifyStatChange(stat, { ...change, source: 'regen' });
+            }
+            this._flushDerivedChanges(activeState);
+            this._notifyStateChange('tick', result);
+            return { success: true, ...result };
+        }
+
+        trimHistory(state = this.getActiveState()) {
+            if (!state) return;
+            state.history.trim(this.settings.historyLimit, toNumber(this.settings.historyMaxKB, 0) * 1024);
+        }
+
+        getSnapshot(turn) {
+            const activeState = this.getActiveState();
+            return activeState ? activeState.history.get(toNumber(turn, -1)) : null;
+        }
+
+        rewindTo(turn) {
+            const activeState = this.getActiveState();
+            if (!activeState) {
+                return { success: false, error: 'No active state' };
+            }
+            const snapshot = activeState.history.get(toNumber(turn, -1));
+            if (!snapshot) {
+                return { success: false, error: `No snapshot for turn ${turn}` };
+            }
+            activeState.restoreSnapshot(snapshot);
+            this._notifyStateChange('rewind', { turn: activeState.turnCount });
+            return { success: true, turn: activeState.turnCount };
+        }
+
+        reset() {
+            const activeState = this.getActiveState();
+            if (!activeState) return;
+            activeState.reset();
+            for (const { statManager } of activeState.getSheets()) {
+                statManager.takeDerivedChanges();
+            }
+            this._notifyStateChange('reset', {});
+        }
+
+        notifyEdit(statId) {
+            const activeState = this.getActiveState();
+            if (activeState) {
+                this._flushDerivedChanges(activeState);
+                // edits may have touched the shared definitions
+                activeState.syncEntities();
+                activeState.applyItemEffects();
+            }
+            this._notifyStateChange('edit', { statId });
+        }
+
+        addEntity(config) {
+            const activeState = this.getActiveState();
+            if (!activeState) {
+                return { success: false, error: 'No active state' };
+            }
+            const result = activeState.addEntity(config);
+            if (result.success) {
+                this._notifyStateChange('entity_added', { entity: result.entity });
+            }
+            return result;
+        }
+
+        removeEntity(entityId) {
+            const activeState = this.getActiveState();
+            if (!activeState || !activeState.removeEntity(entityId)) return false;
+            this._notifyStateChange('entity_removed', { entityId: sanitizeId(entityId) });
+            return true;
+        }
+
+        getEntities() {
+            const activeState = this.getActiveState();
+            return activeState ? activeState.getSheets() : [];
+        }
+
+        /**
+         * Looks up "hp" on the main sheet or "alice.hp" on an entity's sheet.
+         * @returns {{ entityId: string, stat: Stat } | null}
+         */
+        // An entity prefix in the ref ("alice.hp") wins over the entityId option
+        resolveStat(ref, { entityId: defaultEntityId = DEFAULT_ENTITY_ID, state = this.getActiveState() } = {}) {
+            if (!state || !isNonEmptyString(ref)) return null;
+            const target = this.parser.parseTarget(ref);
+            if (!target) return null;
+            const entityRef = target.entityId || defaultEntityId;
+            const entityId = isMainEntity(entityRef) ? DEFAULT_ENTITY_ID : sanitizeId(entityRef);
+            const sheet = state.getSheet(entityId);
+            const stat = sheet ? sheet.get(target.statId) : null;
+            return stat ? { entityId, stat } : null;
+        }
+
+        /**
+         * Sets (or with modify, shifts) a stat outside of a message. Listeners and
+         * rules see it exactly like a parsed command, tagged with the given source.
+         */
+        changeStat(ref, value, { entityId, modify = false, source = 'api' } = {}) {
+            const activeState = this.getActiveState();
+            const resolved = this.resolveStat(ref, { entityId });
+            if (!activeState || !resolved) {
+                return { success: false, error: `Stat not found: ${ref}` };
+            }
+            const { stat } = resolved;
+            if (stat.formula) {
+                return { success: false, error: 'Stat is derived from a formula' };
+            }
+
+            let result;
+            if (modify) {
+                const delta = Number(value);
+                if (!stat.isNumeric) return { success: false, error: `Not a numeric stat: ${stat.id}` };
+                if (!Number.isFinite(delta)) return { success: false, error: 'Delta must be a number' };
+                result = stat.modify(delta);
+            } else {
+                const coerced = stat.coerce(value);
+                if (coerced === undefined) return { success: false, error: `Invalid ${stat.type} value: ${value}` };
+                result = stat.set(coerced);
+            }
+
+            result.entityId = resolved.entityId;
+            this._notifyStatChange(stat, { ...result, source });
+            this._flushDerivedChanges(activeState);
+            return { success: true, statId: stat.id, ...result };
+        }
+
+        getState(scope) {
+            if (scope === StateScope.GLOBAL) return this.globalState;
+            if (scope === StateScope.PER_CHAT) return this.currentState;
+            return this.getActiveState();
+        }
+
+        // Edits the shared definition; entity sheets pick it up through syncEntities
+        editStat(statId, changes = {}) {
+            const activeState = this.getActiveState();
+            const stat = activeState ? activeState.statManager.get(statId) : null;
+            if (!stat) {
+                return { success: false, error: `Stat not found: ${statId}` };
+            }
+            const hasBounds = changes.min !== undefined || changes.max !== undefined;
+            const min = changes.min !== undefined ? Number(changes.min) : stat.minValue;
+            const max = changes.max !== undefined ? Number(changes.max) : stat.maxValue;
+            if (hasBounds && !stat.isNumeric) {
+                return { success: false, error: 'Bounds only apply to numeric stats' };
+            }
+            if (!Number.isFinite(min) || !Number.isFinite(max)) {
+                return { success: false, error: 'min and max must be numbers' };
+            }
+            if (changes.displayMode !== undefined && !Object.values(StatDisplayMode).includes(changes.displayMode)) {
+                return { success: false, error: `displayMode must be one of ${Object.values(StatDisplayMode).join(', ')}` };
+            }
+
+            if (hasBounds) stat.setBounds(min, max);
+            if (isNonEmptyString(changes.name)) stat.name = changes.name.trim();
+            if (changes.color !== undefined) stat.color = toString(changes.color, stat.color);
+            if (changes.category !== undefined) stat.category = toString(changes.category, '');
+            if (changes.displayMode !== undefined) stat.displayMode = changes.displayMode;
+            this.notifyEdit(stat.id);
+            return { success: true, stat };
+        }
+
+        removeStat(statId) {
+            const activeState = this.getActiveState();
+            if (!activeState || !activeState.statManager.remove(statId)) return false;
+            this.notifyEdit(sanitizeId(statId));
+            return true;
+        }
+
+        setStateScope(scope) {
+            if (scope === StateScope.GLOBAL || scope === StateScope.PER_CHAT) {
+                this.settings.stateScope = scope;
+                this._notifyStateChange('scope_changed', { scope });
+            }
+        }
+
+        getVisibleStats(entityId = DEFAULT_ENTITY_ID) {
+            const activeState = this.getActiveState();
+            const sheet = activeState ? activeState.getSheet(entityId) : null;
+            return sheet ? sheet.getVisible() : [];
+        }
+
+        onStateChange(listener) {
+            if (typeof listener !== 'function') return () => {};
+            this._stateChangeListeners.push(listener);
+            return () => {
+                const idx = this._stateChangeListeners.indexOf(listener);
+                if (idx > -1) this._stateChangeListeners.splice(idx, 1);
+            };
+        }
+
+        onStatChange(listener) {
+            if (typeof listener !== 'function') return () => {};
+            this._statChangeListeners.push(listener);
+            return () => {
+                const idx = this._statChangeListeners.indexOf(listener);
+                if (idx > -1) this._statChangeListeners.splice(idx, 1);
+            };
+        }
+
+        _notifyStateChange(eventType, data) {
+            for (const listener of this._stateChangeListeners) {
+                try { listener(eventType, data); } catch (e) { logError('State change listener error:', e); }
+            }
+        }
+
+        _notifyStatChange(stat, result) {
+            for (const listener of this._statChangeListeners) {
+                try { listener(stat, result); } catch (e) { logError('Stat change listener error:', e); }
+            }
+            this._evaluateRules(stat, result);
+        }
+
+        _evaluateRules(stat, result) {
+            const activeState = this.getActiveState();
+            if (!activeState || this._ruleDepth >= MAX_RULE_DEPTH) return;
+
+            const triggered = activeState.rules.findTriggered(stat.id, result.oldValue, result.newValue);
+            if (triggered.length === 0) return;
+
+            // rules are shared; their stat actions apply to the entity that triggered them
+            const entityId = result.entityId || DEFAULT_ENTITY_ID;
+            this._ruleDepth++;
+            try {
+                for (const rule of triggered) {
+                    rule.fired = true;
+                    for (const action of rule.actions) {
+                        this._runRuleAction(activeState, rule, action, entityId);
+                    }
+                }
+            } finally {
+                this._ruleDepth--;
+            }
+        }
+
+        _runRuleAction(state, rule, action, entityId = DEFAULT_ENTITY_ID) {
+            switch (action.type) {
+                case RuleActionType.SET_STAT:
+                case RuleActionType.MODIFY_STAT: {
+                    const sheet = state.getSheet(entityId);
+                    const target = sheet ? sheet.get(action.statId) : null;
+                    if (!target) {
+                        logError(`Rule "${rule.name}": stat not found: ${action.statId}`);
+                        return;
+                    }
+                    let value;
+                    try {
+                        value = typeof action.value === 'number'
+                            ? action.value
+                            : this.evaluateExpression(action.value, state, entityId).value;
+                    } catch (error) {
+                        logError(`Rule "${rule.name}": ${error.message}`);
+                        return;
+                    }
+                    const result = action.type === RuleActionType.SET_STAT ? target.set(value) : target.modify(value);
+                    this._notifyStatChange(target, { ...result, entityId, ruleId: rule.id });
+                    this._flushDerivedChanges(state);
+                    break;
+                }
+                case RuleActionType.PROMPT_NOTE:
+                    if (isNonEmptyString(action.text)) state.promptNotes.push(action.text);
+                    break;
+                default:
+                    // NOTIFY and SLASH_COMMAND are carried out by rule_fired listeners
+                    break;
+            }
+            this._notifyStateChange('rule_fired', { rule, action, entityId });
+        }
+
+        getPromptNotes() {
+            const activeState = this.getActiveState();
+            return activeState ? activeState.promptNotes.slice() : [];
+        }
+
+        consumePromptNotes() {
+            const activeState = this.getActiveState();
+            if (!activeState || activeState.promptNotes.length === 0) return [];
+            const notes = activeState.promptNotes;
+            activeState.promptNotes = [];
+            this._notifyStateChange('notes_consumed', { notes });
+            return notes;
+        }
+
+        _flushDerivedChanges(state) {
+            for (const { entityId, statManager } of state.getSheets()) {
+                for (const { stat, result } of statManager.takeDerivedChanges()) {
+                    this._notifyStatChange(stat, { ...result, entityId });
+                }
+            }
+        }
+
+        exportState(format = TransferFormat.JSON) {
+            const activeState = this.getActiveState();
+            if (!activeState) return format === TransferFormat.JSON ? '{}' : '';
+            switch (format) {
+                case TransferFormat.CSV: return toCsv(statsToRows(activeState.statManager.getAll()));
+                case TransferFormat.YAML: return toYaml(statsToRows(activeState.statManager.getAll()));
+                default: return JSON.stringify(createExport(activeState), null, 2);
+            }
+        }
+
+        _parseImport(text, format) {
+            if (format === TransferFormat.CSV || format === TransferFormat.YAML) {
+                const parsed = format === TransferFormat.CSV ? { rows: parseCsv(toString(text)), errors: [] } : parseYaml(text);
+                if (parsed.rows.length === 0 && parsed.errors.length === 0) {
+                    parsed.errors.push({ path: '', message: 'no stat rows found' });
+                }
+                const { stats, errors } = rowsToStats(parsed.rows);
+                return {
+                    data: { schemaVersion: SCHEMA_VERSION, version: VERSION, state: { statManager: { stats } } },
+                    migratedFrom: null,
+                    errors: parsed.errors.concat(errors)
+                };
+            }
+
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                return { errors: [{ path: '', message: 'not valid JSON' }] };
+            }
+            if (!isPlainObject(data)) {
+                return { errors: [{ path: '', message: 'expected an object' }] };
+            }
+            if (Number.isInteger(data.schemaVersion) && data.schemaVersion > SCHEMA_VERSION) {
+                return { errors: [{ path: 'schemaVersion', message: `version ${data.schemaVersion} is newer than supported (${SCHEMA_VERSION})` }] };
+            }
+            try {
+                return { ...migrateExport(data), errors: [] };
+            } catch (error) {
+                return { errors: [{ path: 'schemaVersion', message: error.message }] };
+            }
+        }
+
+        /**
+         * Parses, migrates and validates an import, then applies it to a copy of the
+         * active state so the result can be previewed. Nothing changes until commitImport.
+         * @returns {{success: boolean, errors: Object[], state?: SimulationState, diff?: Object[]}}
+         */
+        prepareImport(text, { format = TransferFormat.JSON, mode = ImportMode.REPLACE } = {}) {
+            const activeState = this.getActiveState();
+            if (!activeState) {
+                return { success: false, errors: [{ path: '', message: 'No active state' }] };
+            }
+            if (!Object.values(ImportMode).includes(mode)) {
+                return { success: false, errors: [{ path: '', message: `Unknown import mode: ${mode}` }] };
+            }
+
+            const parsed = this._parseImport(text, format);
+            const errors = parsed.errors.length > 0 ? parsed.errors : validateExport(parsed.data);
+            if (errors.length > 0) {
+                return { success: false, errors };
+            }
+
+            try {
+                const state = mergeImport(SimulationState.fromJSON(activeState.toJSON()), parsed.data, mode);
+                return {
+                    success: true,
+                    errors: [],
+                    format,
+                    mode,
+                    migratedFrom: parsed.migratedFrom,
+                    state,
+                    diff: diffStats(activeState.statManager, state.statManager)
+                };
+            } catch (error) {
+                logError('Import failed:', error);
+                return { success: false, errors: [{ path: '', message: error.message }] };
+            }
+        }
+
+        // Swaps a prepared import into the active scope
+        commitImport(prepared) {
+            if (!prepared || !prepared.success) return false;
+            const scope = this.settings.stateScope === StateScope.GLOBAL ? StateScope.GLOBAL : StateScope.PER_CHAT;
+            if (scope === StateScope.GLOBAL) {
+                this.globalState = prepared.state;
+            } else {
+                this.currentState = prepared.state;
+            }
+            this._notifyStateChange('import', { scope, mode: prepared.mode, migratedFrom: prepared.migratedFrom });
+            return true;
+        }
+
+        importState(text, options = {}) {
+            const prepared = this.prepareImport(text, options);
+            if (prepared.success) this.commitImport(prepared);
+            return prepared;
+        }
+
+        // Persists whichever state is active, so callers don't need to know the scope
+        async saveActiveState(context) {
+            if (this.settings.stateScope === StateScope.GLOBAL) {
+                this.saveGlobalState(context);
+                return true;
+            }
+            return this.saveState(context);
+        }
+    }
+
+    // ========================================
+    // Prompt Injection
+    // ========================================
+
+    class PromptInjector {
+        constructor(key = MODULE_NAME) {
+            this.key = key;
+            this.lastPrompt = '';
+        }
+
+        /**
+         * @param {Stat[]} stats - visible stats of the main sheet
+         * @param {object} settings
+         * @param {string[]} [notes]
+         * @param {{ id: string, name: string, stats: Stat[], items?: Item[] }[]} [entities] - other entities' sheets
+         * @param {Item[]} [items] - the main inventory
+         * @param {WorldClock} [clock] - included when enabled
+         */
+        buildPrompt(stats, settings, notes = [], entities = [], items = [], clock = null) {
+            if (!settings.enabled) return '';
+            const sections = [];
+            const time = clock && clock.enabled ? clock : null;
+            // Examples are written in the first active syntax, so the model learns what will be parsed
+            const parser = new StatParser({
+                ...(settings.parserConfig || DEFAULT_SETTINGS.parserConfig),
+                syntaxes: settings.parserSyntaxes
+            });
+            const command = (target, valueStr) => parser.formatRaw(target, valueStr);
+            if (time && settings.tokenMode === TokenMode.MINIMAL) {
+                sections.push(`[Time: ${time.describe()}]`);
+            } else if (time && settings.tokenMode === TokenMode.FULL) {
+                sections.push(
+                    `[World Time: ${time.describe()}; day ${time.dayNumber}]\n` +
+                    `To pass time, write ${command(CLOCK_COMMAND, '+2h')} or ${command(CLOCK_COMMAND, '+30m')}; ` +
+                    `to skip to a time of day, write ${command(CLOCK_COMMAND, '=08:00')}.`
+                );
+            }
+            if (Array.isArray(stats) && stats.length > 0) {
+                switch (settings.tokenMode) {
+                    case TokenMode.MINIMAL:
+                        sections.push(this._buildMinimal(stats));
+                        if (items.length > 0) sections.push(this._buildInventoryMinimal(items));
+                        for (const entity of entities) {
+                            sections.push(this._buildMinimal(entity.stats, entity.name));
+                            if (entity.items && entity.items.length > 0) {
+                                sections.push(this._buildInventoryMinimal(entity.items, `${entity.name} inventory`));
+                            }
+                        }
+                        break;
+                    case TokenMode.FULL:
+                        sections.push(this._buildFull(stats, command, entities, items));
+                        break;
+                }
+            }
+            // Rule notes are explicit user instructions, so they are sent even in zero mode
+            if (Array.isArray(notes) && notes.length > 0) {
+                sections.push(notes.map(note => `[Note: ${note}]`).join('\n'));
+            }
+            return sections.join('\n');
+        }
+
+        _buildMinimal(stats, label = 'Stats') {
+            const parts = stats.map(s => `${s.name} ${this._formatValue(s)}`);
+            return `[${label}: ${parts.join(', ')}]`;
+        }
+
+        _buildInventoryMinimal(items, label = 'Inventory') {
+            return `[${label}: ${items.map(item => item.describe()).join(', ')}]`;
+        }
+
+        _buildFull(stats, command, entities = [], items = []) {
+            const lines = ['[Simulation Stats]'];
+            const pushStats = (sheetStats) => {
+                for (const stat of sheetStats) {
+                    if (!stat.isNumeric) {
+                        lines.push(`- ${stat.name} (id: ${stat.id}): ${this._formatValue(stat)}, ${this._describeType(stat)}`);
+                        continue;
+                    }
+                    const category = stat.category ? ` [${stat.category}]` : '';
+                    const modifiers = stat.isModified
+                        ? ` (base ${Math.round(stat.currentValue)}; ${stat.modifiers.getActive().map(m => m.describe()).join(', ')})`
+                        : '';
+                    const regen = stat.regen ? `, ${Stat.describeRegen(stat.regen)}` : '';
+                    lines.push(`- ${stat.name} (id: ${stat.id}): ${this._formatValue(stat)}${modifiers}, range ${stat.minValue}~${stat.maxValue}${regen}${category}`);
+                }
+            };
+            const pushItems = (heldItems) => {
+                for (const item of heldItems) {
+                    const description = item.description ? `: ${item.description}` : '';
+                    const effects = item.effects.length > 0
+                        ? ` (${item.effects.map(Item.describeEffect).join(', ')})`
+                        : '';
+                    lines.push(`- ${item.describe()}${description}${effects}`);
+                }
+            };
+            pushStats(stats);
+            if (items.length > 0) {
+                lines.push('[Inventory]');
+                pushItems(items);
+            }
+            for (const entity of entities) {
+                lines.push(`[${entity.name} (id: ${entity.id})]`);
+                pushStats(entity.stats);
+                if (entity.items && entity.items.length > 0) {
+                    lines.push(`[${entity.name} inventory]`);
+                    pushItems(entity.items);
+                }
+            }
+            const numeric = stats.filter(s => s.isNumeric);
+            const typed = stats.filter(s => !s.isNumeric);
+            const example = numeric.length > 0 ? numeric[0].id : stats[0].id;
+            if (numeric.length > 0) {
+                lines.push(
+                    `To change a stat, write ${command('id', '+N')} or ${command('id', '-N')} to adjust it, ` +
+                    `or ${command('id', '=N')} to set it. Example: ${command(example, '-10')}`,
+                    `For a temporary modifier lasting T turns, add a duration, e.g. ${command(example, '+5 for 3')}.`,
+                    `Values may use dice and math, e.g. ${command(example, '-2d6')} or ${command(example, `-max(1, ${example}/10)`)}.`
+                );
+            }
+            if (typed.length > 0) {
+                const flag = typed.find(s => s.type === StatType.BOOLEAN);
+                const other = typed.find(s => s.type !== StatType.BOOLEAN);
+                const examples = [
+                    flag && command(flag.id, 'on'),
+                    other && command(other.id, `=${other.options[0] || 'value'}`)
+                ].filter(Boolean);
+                lines.push(`Flags take on/off and other non-numeric stats take a value, e.g. ${examples.join(' or ')}.`);
+            }
+            lines.push(`To give or take items, write ${command(ITEM_COMMAND, '+name x2')} or ${command(ITEM_COMMAND, '-name')}.`);
+            if (entities.length > 0) {
+                lines.push(`To change a character's stat, prefix its id: ${command(`${entities[0].id}.${example}`, '-10')}`);
+            }
+            return lines.join('\n');
+        }
+
+        _formatValue(stat) {
+            if (!stat.isNumeric) return stat.getDisplayString();
+            return `${Math.round(stat.finalValue)}/${Math.round(stat.maxValue)}`;
+        }
+
+        _describeType(stat) {
+            switch (stat.type) {
+                case StatType.BOOLEAN: return 'flag (on/off)';
+                case StatType.ENUM: return `one of ${stat.options.join('|')}`;
+                default: return 'text';
+            }
+        }
+
+        update(context, stats, settings, notes = [], entities = [], items = [], clock = null) {
+            if (!context || typeof context.setExtensionPrompt !== 'function') return false;
+            const prompt = this.buildPrompt(stats, settings, notes, entities, items, clock);
+            const position = toNumber(settings.promptPosition, PromptPosition.IN_CHAT);
+            const depth = toNumber(settings.promptDepth, 1);
+            try {
+                context.setExtensionPrompt(this.key, prompt, position, depth);
+                this.lastPrompt = prompt;
+                return true;
+            } catch (error) {
+                logError('Failed to set extension prompt:', error);
+                return false;
+            }
+        }
+    }
+
+    // ========================================
+    // Headless Core
+    // ========================================
+
+    // Emitted on SillyTavern's eventSource with plain-data payloads
+    const API_EVENTS = Object.freeze({
+        STAT_CHANGED: 'simbuilder_stat_changed',
+        STATE_CHANGED: 'simbuilder_state_changed'
+    });
+
+    /**
+     * Everything the extension does without a DOM: state, chat message handling,
+     * persistence and prompt injection. The context is what SillyTavern.getContext()
+     * returns, or a function returning it; headless callers inject a fake with chat,
+     * chatId, chatMetadata, extensionSettings, saveMetadata and eventSource.
+     */
+    class SimulationCore {
+        constructor(context = null) {
+            this.stateManager = new StateManager();
+            this.promptInjector = new PromptInjector();
+            this._context = context;
+            // Set by the UI to confirm extracted changes: ({ messageIndex, commands, rejected }) => Promise<commands>
+            this.reviewExtraction = null;
+            this.pendingExtraction = null;
+
+            this.stateManager.onStateChange(() => this.refreshPromptInjection());
+            this.stateManager.onStateChange((eventType, data) => this._onRuleFired(eventType, data));
+            this.stateManager.onStatChange(() => this.refreshPromptInjection());
+            this._bindApiEvents();
+        }
+
+        getContext() {
+            try {
+                const context = typeof this._context === 'function' ? this._context() : this._context;
+                return context || null;
+            } catch (error) {
+                logError('Failed to get context:', error);
+                return null;
+            }
+        }
+
+        setContext(context) {
+            this._context = context;
+        }
+
+        // Loads settings and the current chat's state; call again after a chat change
+        initialize() {
+            const context = this.getContext();
+            if (!context || !this.stateManager.initialize(context)) return false;
+            this.refreshPromptInjection();
+            return true;
+        }
+
+        save() {
+            return this.stateManager.saveActiveState(this.getContext());
+        }
+
+        bindEvents() {
+            const context = this.getContext();
+            const { eventSource, event_types } = context || {};
+            if (!eventSource || !event_types) return false;
+            eventSource.on(event_types.MESSAGE_RECEIVED, (index) => this.onMessageReceived(index));
+            // user input and /sys narration arrive as sent messages
+            eventSource.on(event_types.MESSAGE_SENT, (index) => this.onMessageReceived(index));
+            eventSource.on(event_types.MESSAGE_SWIPED, (index) => this.onMessageSwiped(index));
+            eventSource.on(event_types.MESSAGE_DELETED, (length) => this.onMessageDeleted(length));
+            eventSource.on(event_types.MESSAGE_EDITED, (index) => this.onMessageEdited(index));
+            return true;
+        }
+
+        refreshPromptInjection() {
+            const context = this.getContext();
+            if (!context) return;
+            const stateManager = this.stateManager;
+            const [main, ...others] = stateManager.getEntities();
+            const entities = others.map(sheet => ({
+                id: sheet.entityId,
+                name: sheet.name,
+                stats: sheet.statManager.getVisible(),
+                items: sheet.inventory.getAll()
+            }));
+            const items = main ? main.inventory.getAll() : [];
+            const activeState = stateManager.getActiveState();
+            const settings = { ...stateManager.settings, parserSyntaxes: stateManager.getParserSyntaxes() };
+            this.promptInjector.update(
+                context, stateManager.getVisibleStats(), settings, stateManager.getPromptNotes(),
+                entities, items, activeState ? activeState.clock : null
+            );
+        }
+
+        getMessageRef(context, messageIndex) {
+            const message = context.chat[messageIndex];
+            return {
+                chatId: toString(context.chatId, ''),
+                messageIndex,
+                swipeId: message ? toNumber(message.swipe_id, 0) : 0,
+                key: message ? messageKey(message) : ''
+            };
+        }
+
+        _applyChatMessage(context, messageIndex, reverted = false) {
+            const message = context.chat[messageIndex];
+            if (!message || !this.stateManager.isSourceEnabled(message)) return false;
+
+            const source = getMessageSource(message);
+            const ref = this.getMessageRef(context, messageIndex);
+            const replay = this._getCachedRolls(message);
+            const turnKept = Boolean(reverted && reverted.turnKept);
+            const result = this.stateManager.applyMessage(message.mes || '', ref, { source, replay, turnKept });
+            if (result.rolled && !replay) this._cacheRolls(message, result.rolled);
+            if (result.changes.length > 0) {
+                log(`Applied ${result.changes.length} stat changes`);
+            }
+
+            const activeState = this.stateManager.getActiveState();
+            let extracted = false;
+            if (source === MessageSource.AI && result.commandCount === 0 && activeState && activeState.extractionEnabled) {
+                const cached = this._getCachedExtraction(message);
+                if (cached) {
+                    // a swipe back or reload: reuse the earlier answer instead of asking again
+                    extracted = this.stateManager.applyExtraction(cached, ref).changes.some(c => c.success);
+                } else {
+                    // runs in the background: a failing review dialog or apply step must not go unhandled
+                    const pending = this.runExtraction(messageIndex).catch((error) => {
+                        logError('Extraction failed:', error);
+                        if (this.pendingExtraction === pending) this.pendingExtraction = null;
+                        return { success: false, error: error.message };
+                    });
+                    this.pendingExtraction = pending;
+                }
+            }
+            return result.changes.length > 0 || result.notesConsumed > 0 || extracted;
+        }
+
+        /**
+         * Asks the model in a quiet background generation which stat changes a
+         * message implies, for models that never write commands. The answer is
+         * dropped if the message was swiped, edited or deleted in the meantime.
+         * @returns {Promise<{ success: boolean, changes?: object[], rejected?: object[], error?: string }>}
+         */
+        async runExtraction(messageIndex) {
+            const context = this.getContext();
+            const message = context && context.chat ? context.chat[messageIndex] : null;
+            if (!message) return { success: false, error: 'Message not found' };
+            if (typeof context.generateQuietPrompt !== 'function') {
+                return this._finishExtraction({ success: false, error: 'generateQuietPrompt is not available' });
+            }
+
+            const text = message.mes || '';
+            const ref = this.getMessageRef(context, messageIndex);
+            const isCurrent = () => {
+                const current = this.getContext();
+                return Boolean(current) && toString(current.chatId, '') === ref.chatId
+                    && current.chat[messageIndex] === message && message.mes === text;
+            };
+
+            let response;
+            try {
+                const prompt = buildExtractionPrompt(text, this.stateManager.getEntities());
+                response = await context.generateQuietPrompt(prompt, false, true);
+            } catch (error) {
+                logError('Extraction generation failed:', error);
+                return this._finishExtraction({ success: false, error: `Generation failed: ${error.message}` });
+            }
+            if (!isCurrent()) return { success: false, stale: true, error: 'Message changed during extraction' };
+
+            const prepared = this.stateManager.prepareExtraction(response);
+            if (!prepared.success) return this._finishExtraction(prepared);
+
+            let commands = prepared.commands;
+            if (commands.length > 0 && this.stateManager.settings.extractionReview && typeof this.reviewExtraction === 'function') {
+                commands = await this.reviewExtraction({ messageIndex, commands, rejected: prepared.rejected }) || [];
+                if (!isCurrent()) return { success: false, stale: true, error: 'Message changed during review' };
+            }
+
+            const result = this.stateManager.applyExtraction(commands, ref);
+            if (result.success) this._cacheExtraction(message, commands);
+            this.stateManager.addWarnings(prepared.rejected.map(({ entry, reason }) => ({
+                kind: 'rejected',
+                statId: toString(entry.id !== undefined ? entry.id : entry.stat, ''),
+                error: reason,
+                raw: JSON.stringify(entry)
+            })));
+            if (result.changes.some(c => c.success)) {
+                await this.stateManager.saveActiveState(this.getContext());
+            }
+            return this._finishExtraction({ ...result, rejected: prepared.rejected });
+        }
+
+        _finishExtraction(result) {
+            if (!result.success) log(`Extraction: ${result.error}`);
+            this.stateManager.notifyExtraction(result);
+            return result;
+        }
+
+        // Kept on the message with a fingerprint of its text, so an edit invalidates it
+        _cacheExtraction(message, commands) {
+            message.extra = isPlainObject(message.extra) ? message.extra : {};
+            message.extra[MODULE_NAME] = {
+                ...message.extra[MODULE_NAME],
+                extraction: { hash: hashText(message.mes || ''), commands }
+            };
+        }
+
+        // Dice in a message keep their results when a swipe or edit brings the same text back
+        _cacheRolls(message, rolled) {
+            message.extra = isPlainObject(message.extra) ? message.extra : {};
+            const own = isPlainObject(message.extra[MODULE_NAME]) ? message.extra[MODULE_NAME] : {};
+            const rolls = isPlainObject(own.rolls) ? own.rolls : {};
+            message.extra[MODULE_NAME] = { ...own, rolls: { ...rolls, [hashText(message.mes || '')]: rolled } };
+        }
+
+        _getCachedRolls(message) {
+            const own = message.extra && message.extra[MODULE_NAME];
+            const rolled = own && isPlainObject(own.rolls) ? own.rolls[hashText(message.mes || '')] : null;
+            return isPlainObject(rolled) ? rolled : null;
+        }
+
+        _getCachedExtraction(message) {
+            const cached = message.extra && message.extra[MODULE_NAME] && message.extra[MODULE_NAME].extraction;
+            if (!isPlainObject(cached) || cached.hash !== hashText(message.mes || '')) return null;
+            return Array.isArray(cached.commands) ? cached.commands : null;
+        }
+
+        /** @returns {Promise<boolean>} whether the state changed (and was saved) */
+        async onMessageReceived(messageIndex) {
+            const context = this.getContext();
+            if (!context) return false;
+
+            try {
+                const chat = context.chat;
+                if (!chat || !chat[messageIndex]) return false;
+                if (!this.stateManager.isSourceEnabled(chat[messageIndex])) return false;
+
+                // A regenerate can land on an index we already applied
+                const reverted = this.stateManager.revertMessage(toString(context.chatId, ''), messageIndex);
+                const applied = this._applyChatMessage(context, messageIndex, reverted);
+                if (reverted || applied) {
+                    await this.stateManager.saveActiveState(context);
+                }
+                return reverted || applied;
+            } catch (error) {
+                logError('Error processing message:', error);
+                return false;
+            }
+        }
+
+        async onMessageSwiped(messageIndex) {
+            const context = this.getContext();
+            if (!context || !context.chat || !context.chat[messageIndex]) return false;
+
+            try {
+                const ref = this.getMessageRef(context, messageIndex);
+                const entry = this.stateManager.getJournalEntry(ref.chatId, messageIndex);
+                if (entry && entry.swipeId === ref.swipeId) return false;
+
+                const reverted = this.stateManager.revertMessage(ref.chatId, messageIndex);
+                // Swiping back to an existing swipe re-applies it; a fresh swipe arrives via MESSAGE_RECEIVED
+                const applied = this._applyChatMessage(context, messageIndex, reverted);
+                if (reverted || applied) {
+                    log(`Swipe on message ${messageIndex}: stats re-synced`);
+                    await this.stateManager.saveActiveState(context);
+                }
+                return reverted || applied;
+            } catch (error) {
+                logError('Error handling swipe:', error);
+                return false;
+            }
+        }
+
+        async onMessageDeleted(chatLength) {
+            const context = this.getContext();
+            if (!context) return false;
+
+            try {
+                // the event only reports the new length, so find the deleted messages by key
+                const keys = (context.chat || []).slice(0, toNumber(chatLength, Infinity)).map(messageKey);
+                const count = this.stateManager.revertDeletedMessages(toString(context.chatId, ''), keys);
+                if (count > 0) {
+                    log(`Reverted stat changes of ${count} deleted message(s)`);
+                    await this.stateManager.saveActiveState(context);
+                }
+                return count > 0;
+            } catch (error) {
+                logError('Error handling message deletion:', error);
+                return false;
+            }
+        }
+
+        async onMessageEdited(messageIndex) {
+            const context = this.getContext();
+            if (!context || !context.chat || !context.chat[messageIndex]) return false;
+
+            try {
+                const reverted = this.stateManager.revertMessage(toString(context.chatId, ''), messageIndex);
+                const applied = this._applyChatMessage(context, messageIndex, reverted);
+                if (reverted || applied) {
+                    await this.stateManager.saveActiveState(context);
+                }
+                return reverted || applied;
+            } catch (error) {
+                logError('Error handling message edit:', error);
+                return false;
+            }
+        }
+
+        /**
+         * Generation interceptor: when consumeUserCommands is on, the model sees
+         * non-AI messages without the commands that were already applied. Messages
+         * are swapped for copies so the stored chat keeps its source text.
+         * @param {object[]} chat - the prompt's message list, modified in place
+         */
+        interceptGeneration(chat) {
+            const { settings, parser } = this.stateManager;
+            if (!settings.enabled || !settings.consumeUserCommands || !Array.isArray(chat)) return;
+            for (let i = 0; i < chat.length; i++) {
+                const message = chat[i];
+                if (!message || getMessageSource(message) === MessageSource.AI) continue;
+                if (!this.stateManager.isSourceEnabled(message) || !parser.hasCommands(message.mes)) continue;
+                chat[i] = { ...message, mes: parser.stripCommands(message.mes).replace(/[ \t]{2,}/g, ' ').trim() };
+            }
+        }
+
+        async _runSlashCommand(command) {
+            const context = this.getContext();
+            if (!context || !isNonEmptyString(command)) return;
+            try {
+                if (typeof context.executeSlashCommandsWithOptions === 'function') {
+                    await context.executeSlashCommandsWithOptions(command);
+                } else if (typeof context.executeSlashCommands === 'function') {
+                    await context.executeSlashCommands(command);
+                }
+            } catch (error) {
+                logError('Failed to run slash command:', error);
+            }
+        }
+
+        _onRuleFired(eventType, data) {
+            if (eventType !== 'rule_fired') return;
+            if (data.action.type === RuleActionType.SLASH_COMMAND) {
+                this._runSlashCommand(data.action.text);
+            }
+        }
+
+        _emit(eventName, payload) {
+            const context = this.getContext();
+            const eventSource = context ? context.eventSource : null;
+            if (!eventSource || typeof eventSource.emit !== 'function') return;
+            Promise.resolve(eventSource.emit(eventName, payload))
+                .catch(error => logError(`Listener for ${eventName} failed:`, error));
+        }
+
+        _bindApiEvents() {
+            const stateManager = this.stateManager;
+            stateManager.onStatChange((stat, result) => this._emit(API_EVENTS.STAT_CHANGED, {
+                statId: stat.id,
+                entityId: result.entityId || DEFAULT_ENTITY_ID,
+                name: stat.name,
+                oldValue: result.oldValue,
+                newValue: result.newValue,
+                actualChange: result.actualChange,
+                source: result.source || 'message'
+            }));
+            stateManager.onStateChange((eventType) => {
+                const activeState = stateManager.getActiveState();
+                this._emit(API_EVENTS.STATE_CHANGED, {
+                    type: eventType,
+                    scope: stateManager.settings.stateScope,
+                    turn: activeState ? activeState.turnCount : 0
+                });
+            });
+        }
+    }
+
+    // ========================================
+    // Public API
+    // ========================================
+
+    function statSnapshot(stat, entityId) {
+        return { ...stat.toJSON(), entityId, finalValue: stat.finalValue };
+    }
+
+    /**
+     * Builds window.SimBuilder - the supported surface for other extensions.
+     * Class namespaces mirror the sections of this file. The functions act on
+     * the core's active state and return plain copies; mutations notify listeners
+     * and rules but are only persisted by save().
+     * @param {SimulationCore} core
+     */
+    function createPublicApi(core) {
+        const { stateManager } = core;
+        return Object.freeze({
+            VERSION,
+            events: API_EVENTS,
+
+            Utils: Object.freeze({ toNumber, toString, clamp, sanitizeId, uniqueId, deepClone, SafeMath }),
+            Stat: Object.freeze({ Stat, StatManager, StatType, StatDisplayMode, RegenCondition }),
+            StatModifier: Object.freeze({ StatModifier, ModifierType, ModifierCollection }),
+            Parser: Object.freeze({
+                StatParser,
+                ParseResultType,
+                ParserSyntax,
+                PhraseExtractor,
+                PhraseMode,
+                PhraseOperation,
+                CommandDisplay,
+                prepareCommandDisplay,
+                fillCommandChips,
+                parseStatCommands: (text, config) => new StatParser(config).parseValid(text)
+            }),
+            Expression: Object.freeze({ ExpressionEvaluator }),
+            Rules: Object.freeze({ Rule, RuleSet, RuleActionType }),
+            Journal: Object.freeze({ ChangeJournal }),
+            History: Object.freeze({ SimulationState }),
+            Inventory: Object.freeze({ Inventory }),
+            Templates: Object.freeze({ TemplateLibrary, captureDefinition, applyDefinition }),
+            Import: Object.freeze({ SCHEMA_VERSION, ImportMode, validateExport, migrateExport, mergeImport, diffStats, parseCsv, parseYaml, toYaml, statsToRows, rowsToStats }),
+            Clock: Object.freeze({ WorldClock, DayPhase }),
+            Extraction: Object.freeze({ buildExtractionPrompt, parseExtractionResponse }),
+            Prompt: Object.freeze({ PromptInjector }),
+            Core: Object.freeze({ SimulationCore, StateManager, StateScope, MessageSource, UnknownStatPolicy, MODULE_NAME }),
+
+            /** @returns {object|null} JSON of the active SimulationState */
+            getState() {
+                const activeState = stateManager.getActiveState();
+                return activeState ? activeState.toJSON() : null;
+            },
+
+            /** @param {string} ref "hp" or "alice.hp" */
+            getStat(ref, entityId) {
+                const resolved = stateManager.resolveStat(ref, { entityId });
+                return resolved ? statSnapshot(resolved.stat, resolved.entityId) : null;
+            },
+
+            getStats(entityId = DEFAULT_ENTITY_ID) {
+                const activeState = stateManager.getActiveState();
+                const sheet = activeState ? activeState.getSheet(entityId) : null;
+                return sheet ? sheet.getAll().map(stat => statSnapshot(stat, isMainEntity(entityId) ? DEFAULT_ENTITY_ID : sanitizeId(entityId))) : [];
+            },
+
+            getEntities() {
+                return stateManager.getEntities().map(({ entityId, name }) => ({ entityId, name }));
+            },
+
+            setStat: (ref, value, entityId) => stateManager.changeStat(ref, value, { entityId }),
+            modifyStat: (ref, delta, entityId) => stateManager.changeStat(ref, delta, { entityId, modify: true }),
+            tick: () => stateManager.tick(),
+            save: () => core.save(),
+
+            /** @returns {Function} unsubscribe */
+            onStatChange: (listener) => stateManager.onStatChange(listener),
+            /** @returns {Function} unsubscribe */
+            onStateChange: (listener) => stateManager.onStateChange(listener),
+
+            registerParser: (id, parseFn) => stateManager.parser.registerParser(id, parseFn),
+            unregisterParser: (id) => stateManager.parser.unregisterParser(id)
+        });
+    }
+
+    return Object.freeze({
+        SimulationCore, createPublicApi, API_EVENTS, VERSION, log, logError,
+        isNonEmptyString, toString, toNumber, sanitizeId, uniqueId, StatDisplayMode, StatType,
+        RegenCondition, ModifierType, Stat, StatManager, Item, DEFAULT_ENTITY_ID,
+        isMainEntity, RuleCondition, RuleActionType, RuleMode, Rule, CLOCK_RULE_TARGETS,
+        WorldClock, ImportMode, TransferFormat, detectTransferFormat, getCurrentCharacter, ParseResultType,
+        StateScope, CommandDisplay, DISPLAY_NAME, MODULE_NAME, DEFAULT_SETTINGS, SimulationState,
+        MessageSource, getMessageSource, UnknownStatPolicy, findClosestStat, StatParser, ParserSyntax,
+        PhraseMode, PhraseOperation, PhraseExtractor, StateManager, PromptInjector,
+        prepareCommandDisplay, fillCommandChips
+    });
+});
@@ -4,644 +4,20 @@
  * Compatible with SillyTavern's extension loading system
  */
 
+import './core.js';
+
 (function() {
     'use strict';
 
-    const VERSION = '1.0.0';
-    const DISPLAY_NAME = 'Simulation Builder';
-    const MODULE_NAME = 'simulation_builder';
-
-    // ========================================
-    // Utility Functions
-    // ========================================
-    
-    function log(...args) {
-        console.log(`[${DISPLAY_NAME}]`, ...args);
-    }
-
-    function logError(...args) {
-        console.error(`[${DISPLAY_NAME}]`, ...args);
-    }
-
-    function isPlainObject(val) {
-        return val !== null && typeof val === 'object' && !Array.isArray(val);
-    }
-
-    function deepClone(obj) {
-        if (obj === null || typeof obj !== 'object') return obj;
-        try {
-            return JSON.parse(JSON.stringify(obj));
-        } catch (e) {
-            return obj;
-        }
-    }
-
-    function isNonEmptyString(val) {
-        return typeof val === 'string' && val.trim().length > 0;
-    }
-
-    function toString(val, defaultVal = '') {
-        if (typeof val === 'string') return val;
-        if (val === null || val === undefined) return defaultVal;
-        return String(val);
-    }
-
-    function toNumber(val, defaultVal = 0) {
-        const num = parseFloat(val);
-        return isNaN(num) ? defaultVal : num;
-    }
-
-    function generateId(prefix = 'id') {
-        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    }
-
-    function sanitizeId(str) {
-        return toString(str, 'stat')
-            .toLowerCase()
-            .replace(/[^a-z0-9_-]/g, '_')
-            .replace(/_+/g, '_')
-            .substring(0, 32);
-    }
-
-    function safeJsonParse(str, defaultVal = null) {
-        try {
-            return JSON.parse(str);
-        } catch (e) {
-            return defaultVal;
-        }
-    }
-
-    // ========================================
-    // Stat Display Modes
-    // ========================================
-    
-    const StatDisplayMode = Object.freeze({
-        VALUE: 'value',
-        FRACTION: 'fraction',
-        PERCENT: 'percent',
-        BAR: 'bar',
-        HIDDEN: 'hidden'
-    });
-
-    // ========================================
-    // Stat Class
-    // ========================================
-    
-    class Stat {
-        constructor(config = {}) {
-            this.id = isNonEmptyString(config.id) ? sanitizeId(config.id) : generateId('stat');
-            this.name = toString(config.name, 'Unnamed Stat');
-            this.baseValue = toNumber(config.baseValue, 100);
-            this.currentValue = toNumber(config.currentValue, this.baseValue);
-            this.minValue = toNumber(config.minValue, 0);
-            this.maxValue = toNumber(config.maxValue, 100);
-            this.color = toString(config.color, '#4a90d9');
-            this.displayMode = config.displayMode || StatDisplayMode.FRACTION;
-            this.showInUI = config.showInUI !== false;
-            this.category = toString(config.category, '');
-            this.lastChange = 0;
-        }
-
-        get finalValue() {
-            return Math.max(this.minValue, Math.min(this.maxValue, this.currentValue));
-        }
-
-        get percentage() {
-            const range = this.maxValue - this.minValue;
-            if (range <= 0) return 100;
-            return ((this.finalValue - this.minValue) / range) * 100;
-        }
-
-        modify(delta) {
-            const oldValue = this.currentValue;
-            this.currentValue = Math.max(this.minValue, Math.min(this.maxValue, this.currentValue + delta));
-            this.lastChange = this.currentValue - oldValue;
-            return { oldValue, newValue: this.currentValue, actualChange: this.lastChange };
-        }
-
-        set(value) {
-            const oldValue = this.currentValue;
-            this.currentValue = Math.max(this.minValue, Math.min(this.maxValue, value));
-            this.lastChange = this.currentValue - oldValue;
-            return { oldValue, newValue: this.currentValue, actualChange: this.lastChange };
-        }
-
-        reset() {
-            return this.set(this.baseValue);
-        }
-
-        setBounds(min, max) {
-            this.minValue = toNumber(min, 0);
-            this.maxValue = toNumber(max, 100);
-            if (this.minValue > this.maxValue) {
-                [this.minValue, this.maxValue] = [this.maxValue, this.minValue];
-            }
-            this.currentValue = Math.max(this.minValue, Math.min(this.maxValue, this.currentValue));
-        }
-
-        getDisplayString() {
-            switch (this.displayMode) {
-                case StatDisplayMode.VALUE:
-                    return `${Math.round(this.finalValue)}`;
-                case StatDisplayMode.FRACTION:
-                    return `${Math.round(this.finalValue)}/${Math.round(this.maxValue)}`;
-                case StatDisplayMode.PERCENT:
-                    return `${Math.round(this.percentage)}%`;
-                case StatDisplayMode.BAR:
-                    return '';
-                default:
-                    return `${Math.round(this.finalValue)}`;
-            }
-        }
-
-        toJSON() {
-            return {
-                id: this.id,
-                name: this.name,
-                baseValue: this.baseValue,
-                currentValue: this.currentValue,
-                minValue: this.minValue,
-                maxValue: this.maxValue,
-                color: this.color,
-                displayMode: this.displayMode,
-                showInUI: this.showInUI,
-                category: this.category
-            };
-        }
-
-        static fromJSON(data) {
-            return new Stat(data);
-        }
-    }
-
-    // ========================================
-    // Stat Manager
-    // ========================================
-    
-    class StatManager {
-        constructor() {
-            this.stats = new Map();
-        }
-
-        add(stat) {
-            const s = stat instanceof Stat ? stat : new Stat(stat);
-            this.stats.set(s.id, s);
-            return s;
-        }
-
-        remove(statId) {
-            return this.stats.delete(sanitizeId(statId));
-        }
-
-        get(statId) {
-            return this.stats.get(sanitizeId(statId));
-        }
-
-        has(statId) {
-            return this.stats.has(sanitizeId(statId));
-        }
-
-        getAll() {
-            return Array.from(this.stats.values());
-        }
-
-        getVisible() {
-            return this.getAll().filter(s => s.showInUI && s.displayMode !== StatDisplayMode.HIDDEN);
-        }
-
-        clear() {
-            this.stats.clear();
-        }
-
-        resetAll() {
-            for (const stat of this.stats.values()) {
-                stat.reset();
-            }
-        }
-
-        toJSON() {
-            return { stats: this.getAll().map(s => s.toJSON()) };
-        }
-
-        fromJSON(data) {
-            this.clear();
-            if (isPlainObject(data) && Array.isArray(data.stats)) {
-                for (const statData of data.stats) {
-                    const stat = Stat.fromJSON(statData);
-                    this.stats.set(stat.id, stat);
-                }
-            }
-            return this;
-        }
-    }
-
-    // ========================================
-    // Simulation State
-    // ========================================
-    
-    class SimulationState {
-        constructor(id) {
-            this.id = isNonEmptyString(id) ? id : generateId('sim');
-            this.name = 'New Simulation';
-            this.createdAt = Date.now();
-            this.updatedAt = Date.now();
-            this.turnCount = 0;
-            this.statManager = new StatManager();
-        }
-
-        tick() {
-            this.turnCount++;
-            this.updatedAt = Date.now();
-            return { turn: this.turnCount };
-        }
-
-        reset() {
-            this.turnCount = 0;
-            this.updatedAt = Date.now();
-            this.statManager.resetAll();
-        }
-
-        toJSON() {
-            return {
-                id: this.id,
-                name: this.name,
-                createdAt: this.createdAt,
-                updatedAt: this.updatedAt,
-                turnCount: this.turnCount,
-                statManager: this.statManager.toJSON()
-            };
-        }
-
-        static fromJSON(data) {
-            if (!isPlainObject(data)) {
-                return new SimulationState();
-            }
-            const state = new SimulationState(data.id);
-            state.name = toString(data.name, 'Loaded Simulation');
-            state.createdAt = data.createdAt || Date.now();
-            state.updatedAt = data.updatedAt || Date.now();
-            state.turnCount = data.turnCount || 0;
-            if (data.statManager) {
-                state.statManager.fromJSON(data.statManager);
-            }
-            return state;
-        }
-    }
-
-    // ========================================
-    // Parser
-    // ========================================
-    
-    const ParseResultType = Object.freeze({
-        MODIFY: 'modify',
-        SET: 'set'
-    });
-
-    class StatParser {
-        constructor(config = {}) {
-            this.openTag = config.openTag || '{{';
-            this.closeTag = config.closeTag || '}}';
-            this.separator = config.separator || ':';
-            this.caseSensitive = config.caseSensitive || false;
-        }
-
-        hasCommands(text) {
-            if (!text || typeof text !== 'string') return false;
-            const pattern = new RegExp(
-                this._escapeRegex(this.openTag) + 
-                '[^' + this._escapeRegex(this.closeTag.charAt(0)) + ']+' + 
-                this._escapeRegex(this.closeTag),
-                'g'
-            );
-            return pattern.test(text);
-        }
-
-        parseValid(text) {
-            if (!text || typeof text !== 'string') return [];
-            
-            const results = [];
-            const pattern = new RegExp(
-                this._escapeRegex(this.openTag) + 
-                '([^' + this._escapeRegex(this.closeTag.charAt(0)) + ']+)' + 
-                this._escapeRegex(this.closeTag),
-                'g'
-            );
-
-            let match;
-            while ((match = pattern.exec(text)) !== null) {
-                const content = match[1].trim();
-                const sepIndex = content.indexOf(this.separator);
-                
-                if (sepIndex === -1) continue;
-
-                const statId = content.substring(0, sepIndex).trim();
-                let valueStr = content.substring(sepIndex + 1).trim();
-                
-                if (!statId || !valueStr) continue;
-
-                let type = ParseResultType.MODIFY;
-                
-                if (valueStr.startsWith('=')) {
-                    type = ParseResultType.SET;
-                    valueStr = valueStr.substring(1);
-                }
-
-                const value = parseFloat(valueStr);
-                if (isNaN(value)) continue;
-
-                results.push({
-                    statId: this.caseSensitive ? statId : statId.toLowerCase(),
-                    value,
-                    type,
-                    raw: match[0]
-                });
-            }
-
-            return results;
-        }
-
-        _escapeRegex(str) {
-            return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        }
-
-        setConfig(config) {
-            if (config.openTag) this.openTag = config.openTag;
-            if (config.closeTag) this.closeTag = config.closeTag;
-            if (config.separator) this.separator = config.separator;
-            if (typeof config.caseSensitive === 'boolean') this.caseSensitive = config.caseSensitive;
-        }
-    }
-
-    // ========================================
-    // Token Modes
-    // ========================================
-    
-    const TokenMode = Object.freeze({
-        ZERO: 'zero',
-        MINIMAL: 'minimal',
-        FULL: 'full'
-    });
-
-    const StateScope = Object.freeze({
-        GLOBAL: 'global',
-        PER_CHAT: 'per_chat'
-    });
-
-    // ========================================
-    // Default Settings
-    // ========================================
-    
-    const DEFAULT_SETTINGS = Object.freeze({
-        enabled: true,
-        tokenMode: TokenMode.MINIMAL,
-        stateScope: StateScope.PER_CHAT,
-        showStatusWindow: true,
-        autoApplyChanges: true,
-        showChangeNotifications: true,
-        parserConfig: {
-            openTag: '{{',
-            closeTag: '}}',
-            separator: ':',
-            caseSensitive: false
-        }
-    });
-
-    // ========================================
-    // State Manager
-    // ========================================
-    
-    class StateManager {
-        constructor() {
-            this.currentState = null;
-            this.globalState = null;
-            this.settings = deepClone(DEFAULT_SETTINGS);
-            this.parser = new StatParser(this.settings.parserConfig);
-            this._stateChangeListeners = [];
-            this._statChangeListeners = [];
-            this._initialized = false;
-        }
-
-        getActiveState() {
-            if (this.settings.stateScope === StateScope.GLOBAL) {
-                return this.globalState;
-            }
-            return this.currentState;
-        }
-
-        initialize(context) {
-            if (!context) {
-                logError('StateManager.initialize: no context provided');
-                return false;
-            }
-
-            try {
-                this._loadSettings(context);
-                this._loadGlobalState(context);
-                this._loadStateForChat(context);
-                this._initialized = true;
-                log('StateManager initialized');
-                return true;
-            } catch (error) {
-                logError('StateManager initialization failed:', error);
-                return false;
-            }
-        }
-
-        _loadSettings(context) {
-            const { extensionSettings } = context;
-            if (!extensionSettings[MODULE_NAME]) {
-                extensionSettings[MODULE_NAME] = deepClone(DEFAULT_SETTINGS);
-            }
-            const saved = extensionSettings[MODULE_NAME];
-            this.settings = { ...deepClone(DEFAULT_SETTINGS), ...saved };
-            if (this.settings.parserConfig) {
-                this.parser.setConfig(this.settings.parserConfig);
-            }
-        }
-
-        _loadGlobalState(context) {
-            const { extensionSettings } = context;
-            const GLOBAL_STATE_KEY = 'simulation_builder_global';
-            if (extensionSettings[GLOBAL_STATE_KEY]) {
-                try {
-                    this.globalState = SimulationState.fromJSON(extensionSettings[GLOBAL_STATE_KEY]);
-                } catch (error) {
-                    this.globalState = new SimulationState('global');
-                }
-            } else {
-                this.globalState = new SimulationState('global');
-                this.globalState.name = 'Global State';
-            }
-        }
-
-        _loadStateForChat(context) {
-            const { chatMetadata } = context;
-            if (chatMetadata && chatMetadata[MODULE_NAME]) {
-                try {
-                    this.currentState = SimulationState.fromJSON(chatMetadata[MODULE_NAME]);
-                } catch (error) {
-                    this.currentState = new SimulationState();
-                }
-            } else {
-                this.currentState = new SimulationState();
-            }
-        }
-
-        saveSettings(context) {
-            if (!context) return;
-            const { extensionSettings, saveSettingsDebounced } = context;
-            extensionSettings[MODULE_NAME] = deepClone(this.settings);
-            if (typeof saveSettingsDebounced === 'function') {
-                saveSettingsDebounced();
-            }
-        }
-
-        saveGlobalState(context) {
-            if (!context || !this.globalState) return;
-            const { extensionSettings, saveSettingsDebounced } = context;
-            const GLOBAL_STATE_KEY = 'simulation_builder_global';
-            this.globalState.updatedAt = Date.now();
-            extensionSettings[GLOBAL_STATE_KEY] = this.globalState.toJSON();
-            if (typeof saveSettingsDebounced === 'function') {
-                saveSettingsDebounced();
-            }
-        }
-
-        async saveState(context) {
-            if (!context || !this.currentState) return false;
-            try {
-                const { chatMetadata, saveMetadata } = context;
-                this.currentState.updatedAt = Date.now();
-                chatMetadata[MODULE_NAME] = this.currentState.toJSON();
-                if (typeof saveMetadata === 'function') {
-                    await saveMetadata();
-                }
-                return true;
-            } catch (error) {
-                logError('Failed to save state:', error);
-                return false;
-            }
-        }
-
-        processMessage(message) {
-            const activeState = this.getActiveState();
-            if (!activeState) {
-                return { success: false, error: 'No active state', changes: [] };
-            }
-            if (!this.settings.enabled) {
-                return { success: true, changes: [], disabled: true };
-            }
-
-            const commands = this.parser.parseValid(message);
-            const changes = [];
-
-            for (const cmd of commands) {
-                const stat = activeState.statManager.get(cmd.statId);
-                if (!stat) {
-                    changes.push({ statId: cmd.statId, success: false, error: 'Stat not found' });
-                    continue;
-                }
-
-                let result;
-                if (cmd.type === ParseResultType.SET) {
-                    result = stat.set(cmd.value);
-                } else {
-                    result = stat.modify(cmd.value);
-                }
-
-                changes.push({
-                    statId: cmd.statId,
-                    statName: stat.name,
-                    success: true,
-                    ...result,
-                    commandType: cmd.type
-                });
-
-                this._notifyStatChange(stat, result);
-            }
-
-            return { success: true, changes, commandCount: commands.length };
-        }
-
-        tick() {
-            const activeState = this.getActiveState();
-            if (!activeState) {
-                return { success: false, error: 'No active state' };
-            }
-            const result = activeState.tick();
-            this._notifyStateChange('tick', result);
-            return { success: true, ...result };
-        }
-
-        reset() {
-            const activeState = this.getActiveState();
-            if (!activeState) return;
-            activeState.reset();
-            this._notifyStateChange('reset', {});
-        }
-
-        setStateScope(scope) {
-            if (scope === StateScope.GLOBAL || scope === StateScope.PER_CHAT) {
-                this.settings.stateScope = scope;
-                this._notifyStateChange('scope_changed', { scope });
-            }
-        }
-
-        getVisibleStats() {
-            const activeState = this.getActiveState();
-            if (!activeState) return [];
-            return activeState.statManager.getVisible();
-        }
-
-        onStateChange(listener) {
-            if (typeof listener !== 'function') return () => {};
-            this._stateChangeListeners.push(listener);
-            return () => {
-                const idx = this._stateChangeListeners.indexOf(listener);
-                if (idx > -1) this._stateChangeListeners.splice(idx, 1);
-            };
-        }
-
-        onStatChange(listener) {
-            if (typeof listener !== 'function') return () => {};
-            this._statChangeListeners.push(listener);
-            return () => {
-                const idx = this._statChangeListeners.indexOf(listener);
-                if (idx > -1) this._statChangeListeners.splice(idx, 1);
-            };
-        }
-
-        _notifyStateChange(eventType, data) {
-            for (const listener of this._stateChangeListeners) {
-                try { listener(eventType, data); } catch (e) { logError('State change listener error:', e); }
-            }
-        }
-
-        _notifyStatChange(stat, result) {
-            for (const listener of this._statChangeListeners) {
-                try { listener(stat, result); } catch (e) { logError('Stat change listener error:', e); }
-            }
-        }
-
-        exportState() {
-            const activeState = this.getActiveState();
-            if (!activeState) return '{}';
-            return JSON.stringify(activeState.toJSON(), null, 2);
-        }
-
-        importState(jsonString) {
-            const data = safeJsonParse(jsonString, null);
-            if (!data) return false;
-            try {
-                this.currentState = SimulationState.fromJSON(data);
-                this._notifyStateChange('import', {});
-                return true;
-            } catch (error) {
-                logError('Import failed:', error);
-                return false;
-            }
-        }
-    }
+    const {
+        VERSION, log, logError, isNonEmptyString, toString, toNumber,
+        sanitizeId, uniqueId, StatDisplayMode, StatType, RegenCondition, ModifierType, Stat,
+        StatManager, Item, DEFAULT_ENTITY_ID, isMainEntity, RuleCondition, RuleActionType,
+        RuleMode, Rule, CLOCK_RULE_TARGETS, WorldClock, ImportMode, TransferFormat,
+        detectTransferFormat, getCurrentCharacter, ParseResultType, ParserSyntax, PhraseOperation,
+        PhraseExtractor, MessageSource, UnknownStatPolicy, StateScope, CommandDisplay, prepareCommandDisplay,
+        fillCommandChips, SimulationCore, createPublicApi
+    } = globalThis.SimBuilderCore;
 
     // ========================================
     // UI Controller
@@ -652,6 +28,9 @@
         SETTINGS_PANEL: 'simbuilder-settings',
         STATUS_WINDOW: 'simbuilder-status',
         STAT_LIST: 'simbuilder-stat-list',
+        TIMELINE: 'simbuilder-timeline',
+        CLOCK: 'simbuilder-clock',
+        WARNINGS: 'simbuilder-warnings',
         NOTIFICATION: 'simbuilder-notification'
     });
 
@@ -661,6 +40,9 @@
             this.statusWindow = null;
             this.isStatusWindowVisible = true;
             this.isSettingsPanelOpen = false;
+            this.isTimelineOpen = false;
+            this.timelineTurn = null;
+            this.activeEntityId = DEFAULT_ENTITY_ID;
             this._unsubscribeStatChange = null;
             this._unsubscribeStateChange = null;
         }
@@ -703,18 +85,32 @@
             header.className = 'simbuilder-status-header';
             header.innerHTML = `
                 <span class="simbuilder-status-title">📊 상태</span>
+                <span class="simbuilder-clock" id="${UI_IDS.CLOCK}"></span>
                 <div class="simbuilder-status-controls">
+                    <button class="simbuilder-btn simbuilder-btn-icon" data-action="timeline" title="Timeline">🕘</button>
                     <button class="simbuilder-btn simbuilder-btn-icon" data-action="settings" title="Settings">⚙️</button>
                     <button class="simbuilder-btn simbuilder-btn-icon" data-action="toggle" title="Toggle">▼</button>
                 </div>
             `;
 
+            const timeline = document.createElement('div');
+            timeline.className = 'simbuilder-timeline';
+            timeline.id = UI_IDS.TIMELINE;
+            timeline.style.display = 'none';
+
             const content = document.createElement('div');
             content.className = 'simbuilder-status-content';
             content.id = UI_IDS.STAT_LIST;
 
+            const warnings = document.createElement('div');
+            warnings.className = 'simbuilder-warnings';
+            warnings.id = UI_IDS.WARNINGS;
+            warnings.style.display = 'none';
+
             this.statusWindow.appendChild(header);
+            this.statusWindow.appendChild(timeline);
             this.statusWindow.appendChild(content);
+            this.statusWindow.appendChild(warnings);
             this.container.appendChild(this.statusWindow);
 
             this._attachStatusWindowEvents();
@@ -729,10 +125,71 @@
                 switch (action) {
                     case 'toggle': this.toggleStatusWindow(); break;
                     case 'settings': this.toggleSettingsPanel(); break;
+                    case 'timeline': this.toggleTimeline(); break;
+                    case 'rewind': this._rewindToSelectedTurn(); break;
+                    case 'clear-warnings': stateManager.clearWarnings(); break;
                 }
             });
         }
 
+        toggleTimeline() {
+            this.isTimelineOpen = !this.isTimelineOpen;
+            const timeline = document.getElementById(UI_IDS.TIMELINE);
+            if (timeline) timeline.style.display = this.isTimelineOpen ? 'block' : 'none';
+            this.renderTimeline();
+        }
+
+        renderTimeline() {
+            const timeline = document.getElementById(UI_IDS.TIMELINE);
+            if (!timeline || !this.isTimelineOpen) return;
+
+            const activeState = stateManager.getActiveState();
+            const turns = activeState ? activeState.history.getTurns() : [];
+            if (turns.length === 0) {
+                timeline.innerHTML = '<small class="simbuilder-help-text">기록된 턴이 없습니다.</small>';
+                return;
+            }
+
+            const selected = turns.includes(this.timelineTurn) ? this.timelineTurn : turns[turns.length - 1];
+            this.timelineTurn = selected;
+            timeline.innerHTML = `
+                <div class="simbuilder-timeline-header">
+                    <span>턴 <strong>${selected}</strong> / ${activeState.turnCount}</span>
+                    <button class="simbuilder-btn simbuilder-btn-small" data-action="rewind" ${selected === activeState.turnCount ? 'disabled' : ''}>이 턴으로 되돌리기</button>
+                </div>
+                <input type="range" class="simbuilder-timeline-slider" min="0" max="${turns.length - 1}" value="${turns.indexOf(selected)}">
+                <div class="simbuilder-timeline-preview">${this._renderSnapshotPreview(activeState.history.get(selected), activeState)}</div>
+            `;
+
+            timeline.querySelector('.simbuilder-timeline-slider').addEventListener('input', (e) => {
+                this.timelineTurn = turns[toNumber(e.target.value, turns.length - 1)];
+                this.renderTimeline();
+            });
+        }
+
+        _renderSnapshotPreview(snapshot, activeState) {
+            if (!snapshot) return '';
+            const preview = new StatManager().fromJSON(snapshot.statManager);
+            return preview.getVisible().map(stat => {
+                const current = activeState.statManager.get(stat.id);
+                const diff = current ? Math.round(stat.finalValue - current.finalValue) : 0;
+                const diffText = diff === 0 ? '' : ` <span class="simbuilder-timeline-diff">(${diff > 0 ? '+' : ''}${diff})</span>`;
+                return `<div class="simbuilder-timeline-row"><span>${this._escapeHtml(stat.name)}</span><span>${this._escapeHtml(stat.getDisplayString())}${diffText}</span></div>`;
+            }).join('');
+        }
+
+        _rewindToSelectedTurn() {
+            const turn = this.timelineTurn;
+            if (!confirm(`턴 ${turn}(으)로 되돌리시겠습니까? 이후 기록은 삭제됩니다.`)) return;
+            const result = stateManager.rewindTo(turn);
+            if (result.success) {
+                this._saveState();
+                this.showNotification(`턴 ${result.turn}(으)로 되돌림`, 'info');
+            } else {
+                this.showNotification('되돌리기 실패', 'negative');
+            }
+        }
+
         _setupListeners() {
             this._unsubscribeStatChange = stateManager.onStatChange((stat, result) => {
                 this.updateStat(stat);
@@ -742,22 +199,96 @@
             });
 
             this._unsubscribeStateChange = stateManager.onStateChange((eventType, data) => {
-                if (eventType === 'new' || eventType === 'import' || eventType === 'reset') {
+                if (['new', 'import', 'reset', 'tick', 'revert', 'rewind', 'entity_added', 'entity_removed', 'inventory', 'template_applied', 'card_loaded', 'stat_created'].includes(eventType)) {
                     this.render();
                 }
-            });
-        }
-
+                if (eventType === 'warnings') {
+                    this.renderWarnings();
+                }
+                if (eventType === 'time') {
+                    this.renderClock();
+                }
+                if (eventType === 'rule_fired' && data.action.type === RuleActionType.NOTIFY) {
+                    this.showNotification(data.action.text || data.rule.name, 'info');
+                }
+                if (eventType === 'extraction' && !data.success && !data.stale) {
+                    this.showNotification(`변화 추출 실패: ${data.error}`, 'negative');
+                } else if (eventType === 'extraction' && data.rejected && data.rejected.length > 0) {
+                    this.showNotification(`추출 결과 ${data.rejected.length}개 무시됨`, 'info');
+                }
+            });
+        }
+
         render() {
             this.renderStatList();
+            this.renderTimeline();
+            this.renderClock();
+            this.renderWarnings();
             this.updateVisibility();
         }
 
+        renderWarnings() {
+            const el = document.getElementById(UI_IDS.WARNINGS);
+            if (!el) return;
+            const activeState = stateManager.getActiveState();
+            const warnings = activeState ? activeState.warnings : [];
+            if (warnings.length === 0) {
+                el.style.display = 'none';
+                el.innerHTML = '';
+                return;
+            }
+
+            const describe = (warning) => {
+                if (warning.kind === 'created') return `새 통계 '${warning.target}' 생성`;
+                if (warning.kind === 'aliased') return `'${warning.target}'(으)로 적용`;
+                return warning.error === 'Stat not found' ? '없는 통계' : warning.error;
+            };
+            el.style.display = '';
+            el.innerHTML = `
+                <div class="simbuilder-warnings-header">
+                    <span>⚠️ 경고 ${warnings.length}</span>
+                    <button class="simbuilder-btn simbuilder-btn-small" data-action="clear-warnings">지우기</button>
+                </div>
+                ${warnings.slice().reverse().map(warning => `
+                    <div class="simbuilder-warning simbuilder-warning-${warning.kind}">
+                        <code>${this._escapeHtml(warning.raw || warning.statId)}</code>
+                        <span>${this._escapeHtml(describe(warning))}</span>
+                        <small>턴 ${warning.turn}</small>
+                    </div>
+                `).join('')}
+            `;
+        }
+
+        renderClock() {
+            const el = document.getElementById(UI_IDS.CLOCK);
+            if (!el) return;
+            const activeState = stateManager.getActiveState();
+            const clock = activeState ? activeState.clock : null;
+            if (!clock || !clock.enabled) {
+                el.style.display = 'none';
+                return;
+            }
+            const phaseLabels = { dawn: '새벽', day: '낮', dusk: '저녁', night: '밤' };
+            el.style.display = '';
+            el.textContent = `🕘 ${clock.monthName} ${clock.dayOfMonth}일 ${clock.formatTime()} · ${phaseLabels[clock.phase]}`;
+            el.title = `${clock.year}년 · ${clock.season} · ${clock.dayNumber}일차`;
+        }
+
+        _getActiveSheet() {
+            const activeState = stateManager.getActiveState();
+            if (!activeState) return null;
+            const sheet = activeState.getSheet(this.activeEntityId);
+            if (sheet) return sheet;
+            this.activeEntityId = DEFAULT_ENTITY_ID;
+            return activeState.statManager;
+        }
+
         renderStatList() {
             const statList = document.getElementById(UI_IDS.STAT_LIST);
             if (!statList) return;
 
-            const stats = stateManager.getVisibleStats();
+            const sheet = this._getActiveSheet();
+            const stats = sheet ? sheet.getVisible() : [];
 
             if (stats.length === 0) {
                 statList.innerHTML = `
@@ -772,10 +303,15 @@
                 if (addBtn) {
                     addBtn.addEventListener('click', () => this.showAddStatDialog());
                 }
+                const inventory = this._getActiveInventory();
+                if (inventory && inventory.size > 0) {
+                    statList.appendChild(this._createInventoryElement(inventory));
+                }
                 return;
             }
 
             statList.innerHTML = '';
+            statList.appendChild(this._createEntityTabs());
             for (const stat of stats) {
                 const statElement = this._createStatElement(stat);
                 statList.appendChild(statElement);
@@ -786,6 +322,253 @@
             addButton.textContent = '+ 통계 추가';
             addButton.addEventListener('click', () => this.showAddStatDialog());
             statList.appendChild(addButton);
+
+            const inventory = this._getActiveInventory();
+            if (inventory) statList.appendChild(this._createInventoryElement(inventory));
+        }
+
+        _getActiveInventory() {
+            const activeState = stateManager.getActiveState();
+            if (!activeState) return null;
+            return activeState.getInventory(this.activeEntityId) || activeState.inventory;
+        }
+
+        _createInventoryElement(inventory) {
+            const element = document.createElement('div');
+            element.className = 'simbuilder-inventory';
+            const rows = inventory.getAll().map(item => {
+                const effects = item.effects.length > 0
+                    ? `<span class="simbuilder-item-effects">${this._escapeHtml(item.effects.map(Item.describeEffect).join(', '))}</span>`
+                    : '';
+                const equip = item.equippable
+                    ? `<button class="simbuilder-btn simbuilder-btn-small simbuilder-flag${item.equipped ? ' active' : ''}" data-action="equip-item" data-item="${item.id}">${item.equipped ? '장착됨' : '장착'}</button>`
+                    : '';
+                return `
+                    <div class="simbuilder-item${item.isActive ? '' : ' simbuilder-item-inactive'}" title="${this._escapeHtml(item.description)}">
+                        <span class="simbuilder-item-name">${this._escapeHtml(item.name)}</span>
+                        <span class="simbuilder-item-quantity">×${item.quantity}</span>
+                        ${effects}
+                        <div class="simbuilder-item-controls">
+                            ${equip}
+                            <button class="simbuilder-btn simbuilder-btn-small" data-action="drop-item" data-item="${item.id}">-</button>
+                            <button class="simbuilder-btn simbuilder-btn-small simbuilder-btn-edit" data-action="edit-item" data-item="${item.id}">✏️</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            element.innerHTML = `
+                <div class="simbuilder-inventory-header">🎒 소지품</div>
+                ${rows || '<small class="simbuilder-help-text">소지품이 없습니다.</small>'}
+                <button class="simbuilder-btn simbuilder-btn-add" data-action="add-item">+ 아이템 추가</button>
+            `;
+
+            element.addEventListener('click', (e) => {
+                const target = e.target.closest('[data-action]');
+                if (!target) return;
+                e.stopPropagation();
+                this._handleItemAction(target.dataset.action, target.dataset.item);
+            });
+            return element;
+        }
+
+        _handleItemAction(action, itemId) {
+            const inventory = this._getActiveInventory();
+            if (!inventory) return;
+            const item = inventory.get(itemId);
+
+            switch (action) {
+                case 'add-item':
+                    this._showItemDialog(null);
+                    return;
+                case 'edit-item':
+                    if (item) this._showItemDialog(item);
+                    return;
+                case 'equip-item':
+                    if (!item) return;
+                    item.equipped = !item.equipped;
+                    break;
+                case 'drop-item':
+                    if (!item) return;
+                    inventory.remove(item.id, 1);
+                    break;
+                default:
+                    return;
+            }
+            stateManager.refreshItemEffects(this.activeEntityId);
+            this._saveState();
+        }
+
+        _showItemDialog(item) {
+            const isEdit = item !== null;
+            const defaults = item || { name: '', quantity: 1, description: '', equippable: false, effects: [] };
+            const effectLines = defaults.effects.map(Item.describeEffect).join('\n');
+
+            const dialogHtml = `
+                <div class="simbuilder-dialog-overlay" id="simbuilder-item-dialog">
+                    <div class="simbuilder-dialog">
+                        <div class="simbuilder-dialog-header">
+                            <h3>${isEdit ? '아이템 편집' : '아이템 추가'}</h3>
+                            <button class="simbuilder-btn simbuilder-btn-icon" data-action="close">✕</button>
+                        </div>
+                        <div class="simbuilder-dialog-content">
+                            <div class="simbuilder-form-row">
+                                <div class="simbuilder-form-group">
+                                    <label>이름</label>
+                                    <input type="text" id="item-name" value="${this._escapeHtml(defaults.name)}" placeholder="예: 포션, 녹슨 열쇠">
+                                </div>
+                                <div class="simbuilder-form-group">
+                                    <label>수량</label>
+                                    <input type="number" id="item-quantity" min="1" value="${defaults.quantity}">
+                                </div>
+                            </div>
+                            <div class="simbuilder-form-group">
+                                <label>설명</label>
+                                <input type="text" id="item-description" value="${this._escapeHtml(defaults.description)}">
+                            </div>
+                            <div class="simbuilder-form-group">
+                                <label><input type="checkbox" id="item-equippable" ${defaults.equippable ? 'checked' : ''}> 장착해야 효과 적용</label>
+                            </div>
+                            <div class="simbuilder-form-group">
+                                <label>효과 (한 줄에 하나)</label>
+                                <textarea id="item-effects" rows="3" placeholder="str +5&#10;def 10%&#10;speed *0.8">${this._escapeHtml(effectLines)}</textarea>
+                            </div>
+                            <small class="simbuilder-help-text">소지하는 동안 통계에 적용되는 수정치입니다.</small>
+                        </div>
+                        <div class="simbuilder-dialog-footer">
+                            ${isEdit ? '<button class="simbuilder-btn simbuilder-btn-danger" data-action="delete">삭제</button>' : ''}
+                            <button class="simbuilder-btn" data-action="cancel">취소</button>
+                            <button class="simbuilder-btn simbuilder-btn-primary" data-action="save">저장</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            const dialogContainer = document.createElement('div');
+            dialogContainer.innerHTML = dialogHtml;
+            document.body.appendChild(dialogContainer.firstElementChild);
+
+            const dialog = document.getElementById('simbuilder-item-dialog');
+            const closeDialog = () => dialog.remove();
+            const inventory = this._getActiveInventory();
+
+            dialog.addEventListener('click', (e) => {
+                if (e.target === dialog) {
+                    closeDialog();
+                    return;
+                }
+                const action = e.target.dataset.action;
+                switch (action) {
+                    case 'close':
+                    case 'cancel':
+                        closeDialog();
+                        break;
+                    case 'delete':
+                        inventory.remove(item.id, item.quantity);
+                        stateManager.refreshItemEffects(this.activeEntityId);
+                        this._saveState();
+                        closeDialog();
+                        break;
+                    case 'save': {
+                        const name = document.getElementById('item-name').value.trim();
+                        if (!name) {
+                            this.showNotification('이름을 입력하세요', 'negative');
+                            return;
+                        }
+                        const effects = [];
+                        for (const line of document.getElementById('item-effects').value.split('\n')) {
+                            if (!line.trim()) continue;
+                            const effect = this._parseItemEffect(line);
+                            if (!effect) {
+                                this.showNotification(`잘못된 효과: ${line.trim()}`, 'negative');
+                                return;
+                            }
+                            effects.push(effect);
+                        }
+                        const data = {
+                            name,
+                            description: document.getElementById('item-description').value.trim(),
+                            equippable: document.getElementById('item-equippable').checked,
+                            effects
+                        };
+                        const quantity = Math.max(1, Math.floor(toNumber(document.getElementById('item-quantity').value, 1)));
+                        if (isEdit) {
+                            Object.assign(item, data, { quantity, equipped: data.equippable && item.equipped });
+                        } else {
+                            inventory.add(data, quantity);
+                        }
+                        stateManager.refreshItemEffects(this.activeEntityId);
+                        this._saveState();
+                        closeDialog();
+                        break;
+                    }
+                }
+            });
+        }
+
+        // "str +5", "def 10%", "speed *0.8" or "luck =7"
+        _parseItemEffect(line) {
+            const [statId, ...rest] = line.trim().split(/\s+/);
+            const modifier = stateManager.parser.parseModifier(rest.join(''));
+            if (!statId || !modifier || modifier.value.value === null) return null;
+            return Item.normalizeEffect({ statId, type: modifier.type, value: modifier.value.value });
+        }
+
+        _createEntityTabs() {
+            const tabs = document.createElement('div');
+            tabs.className = 'simbuilder-entity-tabs';
+            tabs.innerHTML = stateManager.getEntities().map(({ entityId, name }) => {
+                const isActive = entityId === this.activeEntityId;
+                const label = entityId === DEFAULT_ENTITY_ID ? '메인' : name;
+                const remove = isActive && entityId !== DEFAULT_ENTITY_ID
+                    ? ' <span class="simbuilder-entity-remove" data-action="remove-entity" title="캐릭터 삭제">✕</span>'
+                    : '';
+                return `<button class="simbuilder-entity-tab${isActive ? ' active' : ''}" data-entity="${this._escapeHtml(entityId)}">${this._escapeHtml(label)}${remove}</button>`;
+            }).join('') + '<button class="simbuilder-entity-tab simbuilder-entity-tab-add" data-action="add-entity" title="캐릭터 추가">+</button>';
+
+            tabs.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const action = e.target.closest('[data-action]');
+                if (action && action.dataset.action === 'add-entity') {
+                    this._addEntity();
+                    return;
+                }
+                if (action && action.dataset.action === 'remove-entity') {
+                    this._removeEntity(this.activeEntityId);
+                    return;
+                }
+                const tab = e.target.closest('[data-entity]');
+                if (tab) {
+                    this.activeEntityId = tab.dataset.entity;
+                    this.renderStatList();
+                }
+            });
+            return tabs;
+        }
+
+        _addEntity() {
+            const name = prompt('캐릭터 이름:');
+            if (!isNonEmptyString(name)) return;
+            const result = stateManager.addEntity({ name: name.trim() });
+            if (!result.success) {
+                this.showNotification(`캐릭터 추가 실패: ${result.error}`, 'negative');
+                return;
+            }
+            this.activeEntityId = result.entity.id;
+            this.renderStatList();
+            this._saveState();
+            this.showNotification(`캐릭터 추가됨: ${result.entity.name}`, 'positive');
+        }
+
+        _removeEntity(entityId) {
+            const activeState = stateManager.getActiveState();
+            const entity = activeState ? activeState.entities.get(entityId) : null;
+            if (!entity || !confirm(`${entity.name}의 통계를 삭제하시겠습니까?`)) return;
+            stateManager.removeEntity(entityId);
+            this.activeEntityId = DEFAULT_ENTITY_ID;
+            this.renderStatList();
+            this._saveState();
+            this.showNotification(`캐릭터 삭제됨: ${entity.name}`, 'negative');
         }
 
         _createStatElement(stat) {
@@ -796,22 +579,37 @@
             const percentage = stat.percentage;
             const displayValue = stat.getDisplayString();
 
-            element.innerHTML = `
-                <div class="simbuilder-stat-header">
-                    <span class="simbuilder-stat-name">${this._escapeHtml(stat.name)}</span>
-                    <span class="simbuilder-stat-value">${this._escapeHtml(displayValue)}</span>
-                </div>
-                <div class="simbuilder-stat-bar-container">
-                    <div class="simbuilder-stat-bar" style="width: ${percentage}%; background-color: ${stat.color};"></div>
-                </div>
-                <div class="simbuilder-stat-controls">
-                    <button class="simbuilder-btn simbuilder-btn-small" data-action="decrease" data-stat="${stat.id}">-</button>
-                    <button class="simbuilder-btn simbuilder-btn-small" data-action="increase" data-stat="${stat.id}">+</button>
-                    <button class="simbuilder-btn simbuilder-btn-small simbuilder-btn-edit" data-action="edit" data-stat="${stat.id}">✏️</button>
-                </div>
-            `;
+            if (!stat.isNumeric) {
+                element.classList.add(`simbuilder-stat-${stat.type}`);
+                element.innerHTML = `
+                    <div class="simbuilder-stat-header">
+                        <span class="simbuilder-stat-name">${this._escapeHtml(stat.name)}</span>
+                        <span class="simbuilder-stat-value">${this._escapeHtml(displayValue)}</span>
+                    </div>
+                    <div class="simbuilder-stat-controls">
+                        ${this._renderTypedControl(stat)}
+                        <button class="simbuilder-btn simbuilder-btn-small simbuilder-btn-edit" data-action="edit" data-stat="${stat.id}">✏️</button>
+                    </div>
+                `;
+            } else {
+                element.innerHTML = `
+                    <div class="simbuilder-stat-header">
+                        <span class="simbuilder-stat-name">${this._escapeHtml(stat.name)}${this._renderDerivedBadge(stat)}</span>
+                        <span class="simbuilder-stat-value">${this._escapeHtml(displayValue)}</span>
+                    </div>
+                    <div class="simbuilder-stat-modifiers">${this._renderModifiers(stat)}</div>
+                    <div class="simbuilder-stat-bar-container">
+                        <div class="simbuilder-stat-bar" style="width: ${percentage}%; background-color: ${stat.color};"></div>
+                    </div>
+                    <div class="simbuilder-stat-controls">
+                        <button class="simbuilder-btn simbuilder-btn-small" data-action="decrease" data-stat="${stat.id}">-</button>
+                        <button class="simbuilder-btn simbuilder-btn-small" data-action="increase" data-stat="${stat.id}">+</button>
+                        <button class="simbuilder-btn simbuilder-btn-small simbuilder-btn-edit" data-action="edit" data-stat="${stat.id}">✏️</button>
+                    </div>
+                `;
+            }
 
-            element.querySelectorAll('[data-action]').forEach(btn => {
+            element.querySelectorAll('button[data-action]').forEach(btn => {
                 btn.addEventListener('click', (e) => {
                     e.stopPropagation();
                     const action = btn.dataset.action;
@@ -819,25 +617,69 @@
                     this._handleStatAction(action, statId);
                 });
             });
+            const choice = element.querySelector('select[data-action="choose"]');
+            if (choice) {
+                choice.addEventListener('change', () => this._handleStatAction('choose', stat.id, choice.value));
+            }
 
             return element;
         }
 
-        _handleStatAction(action, statId) {
-            const activeState = stateManager.getActiveState();
-            if (!activeState) return;
+        _renderTypedControl(stat) {
+            switch (stat.type) {
+                case StatType.BOOLEAN:
+                    return `<button class="simbuilder-btn simbuilder-btn-small simbuilder-flag${stat.currentValue ? ' active' : ''}" data-action="toggle-flag" data-stat="${stat.id}">${stat.currentValue ? 'ON' : 'OFF'}</button>`;
+                case StatType.ENUM:
+                    return `<select class="simbuilder-stat-choice" data-action="choose" data-stat="${stat.id}">${stat.options.map(o =>
+                        `<option value="${this._escapeHtml(o)}" ${o === stat.currentValue ? 'selected' : ''}>${this._escapeHtml(o)}</option>`
+                    ).join('')}</select>`;
+                default:
+                    return '';
+            }
+        }
 
-            const stat = activeState.statManager.get(statId);
+        _renderDerivedBadge(stat) {
+            if (!stat.isDerived) return '';
+            const parts = [];
+            if (stat.formula) parts.push(`= ${stat.formula}`);
+            if (stat.maxFormula) parts.push(`max = ${stat.maxFormula}`);
+            return ` <span class="simbuilder-stat-derived" title="${this._escapeHtml(parts.join('\n'))}">ƒ</span>`;
+        }
+
+        _renderModifiers(stat) {
+            if (!stat.isModified) return '';
+            const base = `<span class="simbuilder-stat-base" title="기본값">기본 ${Math.round(stat.currentValue)}</span>`;
+            const chips = stat.modifiers.getActive().map(m => {
+                const turns = m.isPermanent() ? '∞' : `${m.remainingDuration}턴`;
+                const cls = m.getEffectiveValue() < 0 || (m.type === ModifierType.MULTIPLY && m.value < 1)
+                    ? 'simbuilder-modifier-negative'
+                    : 'simbuilder-modifier-positive';
+                return `<span class="simbuilder-modifier ${cls}" title="${this._escapeHtml(m.name)}">${this._escapeHtml(m.describe())} · ${turns}</span>`;
+            });
+            return base + chips.join('');
+        }
+
+        _handleStatAction(action, statId, value) {
+            const sheet = this._getActiveSheet();
+            const stat = sheet ? sheet.get(statId) : null;
             if (!stat) return;
 
             switch (action) {
+                case 'toggle-flag':
+                case 'choose':
+                    stat.set(action === 'toggle-flag' ? !stat.currentValue : value);
+                    this.updateStat(stat);
+                    stateManager.notifyEdit(stat.id);
+                    break;
                 case 'increase':
                     stat.modify(1);
                     this.updateStat(stat);
+                    stateManager.notifyEdit(stat.id);
                     break;
                 case 'decrease':
                     stat.modify(-1);
                     this.updateStat(stat);
+                    stateManager.notifyEdit(stat.id);
                     break;
                 case 'edit':
                     this.showEditStatDialog(stat);
@@ -846,6 +688,10 @@
         }
 
         updateStat(stat) {
+            // every entity has a stat with this id; only the shown sheet is on screen
+            const sheet = this._getActiveSheet();
+            if (!sheet || sheet.get(stat.id) !== stat) return;
+
             const element = document.querySelector(`[data-stat-id="${stat.id}"]`);
             if (!element) {
                 this.renderStatList();
@@ -858,6 +704,15 @@
             const valueEl = element.querySelector('.simbuilder-stat-value');
             if (valueEl) valueEl.textContent = displayValue;
 
+            if (!stat.isNumeric) {
+                // typed controls carry their state in markup, so redraw the row
+                element.replaceWith(this._createStatElement(stat));
+                return;
+            }
+
+            const modifiersEl = element.querySelector('.simbuilder-stat-modifiers');
+            if (modifiersEl) modifiersEl.innerHTML = this._renderModifiers(stat);
+
             const barEl = element.querySelector('.simbuilder-stat-bar');
             if (barEl) {
                 barEl.style.width = `${percentage}%`;
@@ -868,11 +723,110 @@
             setTimeout(() => element.classList.remove('simbuilder-stat-changed'), 300);
         }
 
+        renderMessageCommands(messageIndex) {
+            const mesText = document.querySelector(`#chat .mes[mesid="${messageIndex}"] .mes_text`);
+            if (mesText) this._renderCommandsInElement(mesText, messageIndex);
+        }
+
+        renderAllMessageCommands() {
+            document.querySelectorAll('#chat .mes[mesid]').forEach(mes => this.renderMessageCommands(mes.getAttribute('mesid')));
+        }
+
+        // Works from the stored message text: the rendered HTML has lost XML tags to the sanitizer
+        // and may have split a command across markup
+        _renderCommandsInElement(mesText, messageIndex) {
+            const context = getContext();
+            const message = context?.chat?.[messageIndex];
+            if (!message || typeof message.mes !== 'string' || typeof context.messageFormatting !== 'function') return;
+
+            const display = prepareCommandDisplay(stateManager.parser, message.mes, stateManager.settings.commandDisplay);
+            const changed = display.text !== message.mes;
+            // SillyTavern's own rendering is right unless we have to change it or undo our earlier change
+            if (!changed && !mesText.dataset.simbuilderRendered) return;
+
+            const html = context.messageFormatting(display.text, message.name, message.is_system, message.is_user, Number(messageIndex));
+            mesText.innerHTML = fillCommandChips(html, display.commands, cmd => this._formatCommandChip(cmd));
+            if (changed) {
+                mesText.dataset.simbuilderRendered = 'true';
+            } else {
+                delete mesText.dataset.simbuilderRendered;
+            }
+        }
+
+        _formatDuration(days, minutes) {
+            const hours = Math.floor(minutes / 60);
+            const rest = minutes % 60;
+            return [days && `${days}일`, hours && `${hours}시간`, rest && `${rest}분`].filter(Boolean).join(' ') || '0분';
+        }
+
+        _formatCommandChip(cmd) {
+            const activeState = stateManager.getActiveState();
+            const stat = activeState ? activeState.statManager.get(cmd.statId) : null;
+            const entity = activeState && cmd.entityId ? activeState.entities.get(sanitizeId(cmd.entityId)) : null;
+            const statName = stat ? stat.name : cmd.statId.toUpperCase();
+            const name = cmd.entityId ? `${entity ? entity.name : cmd.entityId} ${statName}` : statName;
+            if (cmd.type === ParseResultType.TIME) {
+                const negative = cmd.days < 0 || cmd.minutes < 0;
+                const text = cmd.minutes !== undefined
+                    ? `🕘 ${negative ? '−' : '+'}${this._formatDuration(Math.abs(cmd.days), Math.abs(cmd.minutes))}`
+                    : `🕘 ${String(cmd.hour).padStart(2, '0')}:${String(cmd.minute).padStart(2, '0')}`;
+                return `<span class="simbuilder-chip simbuilder-chip-info" title="${this._escapeHtml(cmd.raw)}">${this._escapeHtml(text)}</span>`;
+            }
+            if (cmd.type === ParseResultType.ITEM) {
+                const owner = cmd.entityId ? `${entity ? entity.name : cmd.entityId} ` : '';
+                const amount = Math.abs(cmd.quantity) > 1 ? ` ×${Math.abs(cmd.quantity)}` : '';
+                const text = `🎒 ${owner}${cmd.quantity < 0 ? '−' : '+'}${cmd.itemName}${amount}`;
+                return `<span class="simbuilder-chip simbuilder-chip-${cmd.quantity < 0 ? 'negative' : 'positive'}" title="${this._escapeHtml(cmd.raw)}">${this._escapeHtml(text)}</span>`;
+            }
+            if ((stat && !stat.isNumeric) || (cmd.value === null && !cmd.expression)) {
+                const text = `${name}: ${cmd.text}`;
+                return `<span class="simbuilder-chip simbuilder-chip-info" title="${this._escapeHtml(cmd.raw)}">${this._escapeHtml(text)}</span>`;
+            }
+            if (cmd.expression) {
+                const negative = cmd.expression.startsWith('-');
+                const tone = cmd.type === ParseResultType.SET ? 'info' : (negative ? 'negative' : 'positive');
+                const prefix = cmd.type === ParseResultType.SET ? '= ' : '';
+                const text = `${name} ${prefix}${cmd.expression.replace(/^-/, '−')}`;
+                return `<span class="simbuilder-chip simbuilder-chip-${tone}" title="${this._escapeHtml(cmd.raw)}">${this._escapeHtml(text)}</span>`;
+            }
+            const abs = Math.abs(cmd.value);
+            let text;
+            let tone = cmd.value < 0 ? 'negative' : 'positive';
+            switch (cmd.type) {
+                case ParseResultType.SET:
+                    text = `${name} = ${cmd.value}`;
+                    tone = 'info';
+                    break;
+                case ParseResultType.MODIFIER:
+                    text = `${name} ${cmd.value < 0 ? '−' : '+'}${abs}${cmd.modifierType === ModifierType.PERCENT ? '%' : ''} (${cmd.duration}턴)`;
+                    break;
+                default:
+                    text = `${name} ${cmd.value < 0 ? '−' : '+'}${abs}`;
+            }
+            return `<span class="simbuilder-chip simbuilder-chip-${tone}" title="${this._escapeHtml(cmd.raw)}">${this._escapeHtml(text)}</span>`;
+        }
+
         showStatChangeNotification(stat, result) {
+            const activeState = stateManager.getActiveState();
+            const entity = activeState && !isMainEntity(result.entityId) ? activeState.entities.get(result.entityId) : null;
+            const prefix = entity ? `${entity.name} ` : '';
+            const sourceLabels = {
+                regen: '턴 경과',
+                extraction: '추출',
+                [MessageSource.USER]: '사용자',
+                [MessageSource.SYSTEM]: '시스템',
+                [MessageSource.NARRATOR]: '내레이터'
+            };
+            const source = sourceLabels[result.source] ? ` (${sourceLabels[result.source]})` : '';
+            if (!stat.isNumeric) {
+                if (result.oldValue === result.newValue) return;
+                this.showNotification(`${prefix}${stat.name}: ${stat.getDisplayString()}${source}`, 'info');
+                return;
+            }
             const change = result.actualChange || result.newValue - result.oldValue;
             if (change === 0) return;
             const sign = change > 0 ? '+' : '';
-            const message = `${stat.name}: ${sign}${change}`;
+            const message = `${prefix}${stat.name}: ${sign}${change}${source}`;
             this.showNotification(message, change > 0 ? 'positive' : 'negative');
         }
 
@@ -898,38 +852,71 @@
                 const activeState = stateManager.getActiveState();
                 if (!activeState) return;
 
+                const isNumeric = data.type === StatType.NUMBER;
                 const stat = new Stat({
-                    id: sanitizeId(data.name),
+                    id: uniqueId(data.name, (id) => activeState.statManager.has(id)),
                     name: data.name,
-                    baseValue: data.maxValue,
-                    currentValue: data.currentValue,
+                    type: data.type,
+                    options: data.options,
+                    baseValue: isNumeric ? data.maxValue : data.value,
+                    currentValue: isNumeric ? data.currentValue : data.value,
                     minValue: data.minValue,
                     maxValue: data.maxValue,
                     color: data.color,
-                    displayMode: data.displayMode
+                    displayMode: data.displayMode,
+                    aliases: data.aliases,
+                    regen: isNumeric ? data.regen : null
                 });
 
                 activeState.statManager.add(stat);
+                const formulaResult = activeState.statManager.setFormulas(stat.id, data);
                 this.renderStatList();
+                stateManager.notifyEdit(stat.id);
+                if (!formulaResult.success) {
+                    this.showNotification(`수식 오류: ${formulaResult.error}`, 'negative');
+                    return;
+                }
                 this.showNotification(`추가됨: ${stat.name}`, 'positive');
             });
         }
 
         showEditStatDialog(stat) {
             this._showStatDialog(stat, '통계 편집', (data) => {
-                stat.name = data.name;
-                stat.setBounds(data.minValue, data.maxValue);
-                stat.currentValue = data.currentValue;
-                stat.color = data.color;
-                stat.displayMode = data.displayMode;
+                const activeState = stateManager.getActiveState();
+                // name, bounds and formulas are shared definitions kept on the main sheet
+                const definition = activeState ? activeState.statManager.get(stat.id) || stat : stat;
+                definition.name = data.name;
+                definition.aliases = data.aliases;
+                let formulaResult = { success: true };
+                if (definition.isNumeric) {
+                    definition.color = data.color;
+                    definition.displayMode = data.displayMode;
+                    definition.regen = data.regen;
+                    definition.setBounds(data.minValue, data.maxValue);
+                    if (activeState) formulaResult = activeState.statManager.setFormulas(stat.id, data);
+                } else if (definition.type === StatType.ENUM) {
+                    definition.options = data.options;
+                    if (definition.coerce(definition.baseValue) === undefined) definition.baseValue = data.options[0];
+                    if (definition.coerce(definition.currentValue) === undefined) definition.currentValue = data.options[0];
+                }
+                if (activeState) activeState.syncEntities();
+                const sheet = this._getActiveSheet();
+                const target = sheet ? sheet.get(stat.id) : null;
+                if (target) target.set(target.isNumeric ? data.currentValue : data.value);
 
-                this.updateStat(stat);
+                this.renderStatList();
+                stateManager.notifyEdit(stat.id);
+                if (!formulaResult.success) {
+                    this.showNotification(`수식 오류: ${formulaResult.error}`, 'negative');
+                    return;
+                }
                 this.showNotification(`수정됨: ${stat.name}`, 'info');
             }, () => {
                 const activeState = stateManager.getActiveState();
                 if (!activeState) return;
                 activeState.statManager.remove(stat.id);
                 this.renderStatList();
+                stateManager.notifyEdit(stat.id);
                 this.showNotification(`삭제됨: ${stat.name}`, 'negative');
             });
         }
@@ -938,12 +925,19 @@
             const isEdit = stat !== null;
             const defaults = stat || {
                 name: '',
+                type: StatType.NUMBER,
+                options: [],
                 currentValue: 100,
                 minValue: 0,
                 maxValue: 100,
                 color: '#4a90d9',
-                displayMode: StatDisplayMode.FRACTION
+                displayMode: StatDisplayMode.FRACTION,
+                formula: '',
+                maxFormula: '',
+                regen: null,
+                aliases: []
             };
+            const regen = defaults.regen || { amount: '', percent: false, condition: RegenCondition.ALWAYS, threshold: 0, phase: '' };
 
             const dialogHtml = `
                 <div class="simbuilder-dialog-overlay" id="simbuilder-dialog">
@@ -953,11 +947,37 @@
                             <button class="simbuilder-btn simbuilder-btn-icon" data-action="close">✕</button>
                         </div>
                         <div class="simbuilder-dialog-content">
+                            <div class="simbuilder-form-row">
+                                <div class="simbuilder-form-group">
+                                    <label>이름</label>
+                                    <input type="text" id="stat-name" value="${this._escapeHtml(defaults.name)}" placeholder="예: HP, MP, 스태미나">
+                                </div>
+                                <div class="simbuilder-form-group">
+                                    <label>종류</label>
+                                    <select id="stat-type" ${isEdit ? 'disabled' : ''}>
+                                        <option value="number" ${defaults.type === StatType.NUMBER ? 'selected' : ''}>숫자</option>
+                                        <option value="boolean" ${defaults.type === StatType.BOOLEAN ? 'selected' : ''}>플래그</option>
+                                        <option value="enum" ${defaults.type === StatType.ENUM ? 'selected' : ''}>선택지</option>
+                                        <option value="text" ${defaults.type === StatType.TEXT ? 'selected' : ''}>텍스트</option>
+                                    </select>
+                                </div>
+                            </div>
                             <div class="simbuilder-form-group">
-                                <label>이름</label>
-                                <input type="text" id="stat-name" value="${this._escapeHtml(defaults.name)}" placeholder="예: HP, MP, 스태미나">
+                                <label>별칭 (쉼표로 구분)</label>
+                                <input type="text" id="stat-aliases" value="${this._escapeHtml(defaults.aliases.join(', '))}" placeholder="예: 체력, health">
                             </div>
-                            <div class="simbuilder-form-row">
+                            <div class="simbuilder-form-group" data-stat-types="boolean">
+                                <label><input type="checkbox" id="stat-flag" ${defaults.type === StatType.BOOLEAN && defaults.currentValue ? 'checked' : ''}> 켜짐</label>
+                            </div>
+                            <div class="simbuilder-form-group" data-stat-types="enum">
+                                <label>선택지 (쉼표로 구분)</label>
+                                <input type="text" id="stat-options" value="${this._escapeHtml(defaults.options.join(', '))}" placeholder="예: calm, angry, sad">
+                            </div>
+                            <div class="simbuilder-form-group" data-stat-types="enum,text">
+                                <label>현재값</label>
+                                <input type="text" id="stat-text" value="${defaults.type === StatType.NUMBER ? '' : this._escapeHtml(toString(defaults.currentValue))}" placeholder="예: angry, tavern">
+                            </div>
+                            <div class="simbuilder-form-row" data-stat-types="number">
                                 <div class="simbuilder-form-group">
                                     <label>현재값</label>
                                     <input type="number" id="stat-current" value="${defaults.currentValue}">
@@ -971,7 +991,7 @@
                                     <input type="number" id="stat-max" value="${defaults.maxValue}">
                                 </div>
                             </div>
-                            <div class="simbuilder-form-row">
+                            <div class="simbuilder-form-row" data-stat-types="number">
                                 <div class="simbuilder-form-group">
                                     <label>색상</label>
                                     <input type="color" id="stat-color" value="${defaults.color}">
@@ -986,6 +1006,47 @@
                                     </select>
                                 </div>
                             </div>
+                            <div class="simbuilder-form-row" data-stat-types="number">
+                                <div class="simbuilder-form-group">
+                                    <label>현재값 수식</label>
+                                    <input type="text" id="stat-formula" value="${this._escapeHtml(defaults.formula)}" placeholder="예: str * 2">
+                                </div>
+                                <div class="simbuilder-form-group">
+                                    <label>최대값 수식</label>
+                                    <input type="text" id="stat-max-formula" value="${this._escapeHtml(defaults.maxFormula)}" placeholder="예: con * 10 + level * 5">
+                                </div>
+                            </div>
+                            <small class="simbuilder-help-text" data-stat-types="number">다른 통계 ID를 참조하는 수식입니다. 비워두면 직접 입력한 값을 사용합니다.</small>
+                            <div class="simbuilder-form-row" data-stat-types="number">
+                                <div class="simbuilder-form-group">
+                                    <label>턴당 변화</label>
+                                    <input type="number" id="stat-regen" step="any" value="${regen.amount}" placeholder="예: -1, 5">
+                                </div>
+                                <div class="simbuilder-form-group">
+                                    <label>조건</label>
+                                    <select id="stat-regen-condition">
+                                        <option value="always" ${regen.condition === RegenCondition.ALWAYS ? 'selected' : ''}>항상</option>
+                                        <option value="above" ${regen.condition === RegenCondition.ABOVE ? 'selected' : ''}>다음 값보다 클 때</option>
+                                        <option value="below" ${regen.condition === RegenCondition.BELOW ? 'selected' : ''}>다음 값보다 작을 때</option>
+                                    </select>
+                                </div>
+                                <div class="simbuilder-form-group">
+                                    <label>기준값</label>
+                                    <input type="number" id="stat-regen-threshold" value="${regen.threshold}">
+                                </div>
+                            </div>
+                            <div class="simbuilder-form-row" data-stat-types="number">
+                                <div class="simbuilder-form-group">
+                                    <label><input type="checkbox" id="stat-regen-percent" ${regen.percent ? 'checked' : ''}> 최대값 대비 퍼센트(%)로 적용</label>
+                                </div>
+                                <div class="simbuilder-form-group">
+                                    <select id="stat-regen-phase" title="세계 시계가 켜져 있을 때만 적용">
+                                        <option value="" ${!regen.phase ? 'selected' : ''}>하루 종일</option>
+                                        <option value="day" ${regen.phase === 'day' ? 'selected' : ''}>낮에만</option>
+                                        <option value="night" ${regen.phase === 'night' ? 'selected' : ''}>밤에만</option>
+                                    </select>
+                                </div>
+                            </div>
                         </div>
                         <div class="simbuilder-dialog-footer">
                             ${isEdit && onDelete ? '<button class="simbuilder-btn simbuilder-btn-danger" data-action="delete">삭제</button>' : ''}
@@ -1002,6 +1063,14 @@
 
             const dialog = document.getElementById('simbuilder-dialog');
             const closeDialog = () => dialog.remove();
+            const typeSelect = document.getElementById('stat-type');
+            const applyType = () => {
+                dialog.querySelectorAll('[data-stat-types]').forEach(el => {
+                    el.style.display = el.dataset.statTypes.split(',').includes(typeSelect.value) ? '' : 'none';
+                });
+            };
+            typeSelect.addEventListener('change', applyType);
+            applyType();
 
             dialog.addEventListener('click', (e) => {
                 const action = e.target.dataset.action;
@@ -1018,13 +1087,34 @@
                             this.showNotification('이름을 입력하세요', 'negative');
                             return;
                         }
+                        const type = typeSelect.value;
+                        const options = document.getElementById('stat-options').value.split(',').map(o => o.trim()).filter(Boolean);
+                        if (type === StatType.ENUM && options.length === 0) {
+                            this.showNotification('선택지를 입력하세요', 'negative');
+                            return;
+                        }
                         onSave({
                             name,
+                            type,
+                            options,
+                            aliases: document.getElementById('stat-aliases').value.split(',').map(a => a.trim()).filter(Boolean),
+                            value: type === StatType.BOOLEAN
+                                ? document.getElementById('stat-flag').checked
+                                : document.getElementById('stat-text').value.trim(),
                             currentValue: toNumber(document.getElementById('stat-current').value, 100),
                             minValue: toNumber(document.getElementById('stat-min').value, 0),
                             maxValue: toNumber(document.getElementById('stat-max').value, 100),
                             color: document.getElementById('stat-color').value,
-                            displayMode: document.getElementById('stat-display').value
+                            displayMode: document.getElementById('stat-display').value,
+                            formula: document.getElementById('stat-formula').value.trim(),
+                            maxFormula: document.getElementById('stat-max-formula').value.trim(),
+                            regen: Stat.normalizeRegen({
+                                amount: document.getElementById('stat-regen').value,
+                                percent: document.getElementById('stat-regen-percent').checked,
+                                condition: document.getElementById('stat-regen-condition').value,
+                                phase: document.getElementById('stat-regen-phase').value,
+                                threshold: document.getElementById('stat-regen-threshold').value
+                            })
                         });
                         closeDialog();
                         break;
@@ -1071,6 +1161,23 @@
             if (existing) existing.remove();
 
             const settings = stateManager.settings;
+            const calendarState = stateManager.getActiveState()?.clock || new WorldClock();
+            const calendar = calendarState.calendar;
+            const chatSyntaxes = stateManager.getActiveState()?.parserSyntaxes || null;
+            const activeSyntaxes = stateManager.getParserSyntaxes();
+            const syntaxLabels = {
+                [ParserSyntax.TAG]: '태그 {{hp:-10}}',
+                [ParserSyntax.XML]: 'XML &lt;stat id="hp" delta="-10"/&gt;',
+                [ParserSyntax.JSON_BLOCK]: 'JSON 블록 ```sim',
+                [ParserSyntax.BRACKET]: '대괄호 [hp -10]'
+            };
+            const messageSources = Array.isArray(settings.messageSources) ? settings.messageSources : [MessageSource.AI];
+            const sourceLabels = {
+                [MessageSource.AI]: 'AI',
+                [MessageSource.USER]: '사용자',
+                [MessageSource.SYSTEM]: '시스템',
+                [MessageSource.NARRATOR]: '내레이터 (/sys)'
+            };
 
             const panel = document.createElement('div');
             panel.id = UI_IDS.SETTINGS_PANEL;
@@ -1103,6 +1210,56 @@
                         </label>
                     </div>
 
+                    <div class="simbuilder-form-group">
+                        <label>명령 태그 표시</label>
+                        <select id="setting-command-display" class="simbuilder-select">
+                            <option value="show" ${settings.commandDisplay === 'show' ? 'selected' : ''}>원본 그대로</option>
+                            <option value="hide" ${settings.commandDisplay === 'hide' ? 'selected' : ''}>숨기기</option>
+                            <option value="chip" ${settings.commandDisplay === 'chip' ? 'selected' : ''}>변경 칩으로 표시</option>
+                        </select>
+                        <small class="simbuilder-help-text">메시지 원문은 유지되며 화면 표시만 바뀝니다.</small>
+                    </div>
+
+                    <div class="simbuilder-form-group">
+                        <label>명령 문법</label>
+                        ${Object.values(ParserSyntax).map(syntax => `
+                            <label>
+                                <input type="checkbox" data-syntax="${syntax}" ${activeSyntaxes.includes(syntax) ? 'checked' : ''}>
+                                ${syntaxLabels[syntax]}
+                            </label>
+                        `).join('')}
+                        <label>
+                            <input type="checkbox" id="setting-syntax-chat" ${chatSyntaxes ? 'checked' : ''}>
+                            이 채팅에만 적용
+                        </label>
+                        <small class="simbuilder-help-text">여러 문법을 함께 켤 수 있습니다. 프롬프트 예시는 첫 번째 문법으로 작성됩니다.</small>
+                    </div>
+
+                    <div class="simbuilder-form-group">
+                        <label>명령을 읽을 메시지</label>
+                        ${Object.values(MessageSource).map(source => `
+                            <label>
+                                <input type="checkbox" data-message-source="${source}" ${messageSources.includes(source) ? 'checked' : ''}>
+                                ${sourceLabels[source]}
+                            </label>
+                        `).join('')}
+                        <label>
+                            <input type="checkbox" id="setting-consume-commands" ${settings.consumeUserCommands ? 'checked' : ''}>
+                            AI 외 메시지의 명령을 프롬프트에서 제거
+                        </label>
+                    </div>
+
+                    <div class="simbuilder-form-group">
+                        <label>없는 통계에 대한 명령</label>
+                        <select id="setting-unknown-stat" class="simbuilder-select">
+                            <option value="reject" ${settings.unknownStatPolicy === UnknownStatPolicy.REJECT ? 'selected' : ''}>무시</option>
+                            <option value="create" ${settings.unknownStatPolicy === UnknownStatPolicy.CREATE ? 'selected' : ''}>새 통계 자동 생성</option>
+                            <option value="alias" ${settings.unknownStatPolicy === UnknownStatPolicy.ALIAS ? 'selected' : ''}>가장 비슷한 통계에 적용</option>
+                            <option value="feedback" ${settings.unknownStatPolicy === UnknownStatPolicy.FEEDBACK ? 'selected' : ''}>무시하고 다음 프롬프트에 올바른 ID 안내</option>
+                        </select>
+                        <small class="simbuilder-help-text">무시되거나 바뀐 명령은 상태 창의 경고 목록에 표시됩니다.</small>
+                    </div>
+
                     <hr class="simbuilder-divider" />
 
                     <div class="simbuilder-form-group">
@@ -1114,8 +1271,131 @@
                         <small class="simbuilder-help-text">전역: 모든 채팅에서 동일한 통계. 채팅별: 채팅마다 다른 통계.</small>
                     </div>
 
+                    <div class="simbuilder-form-row">
+                        <div class="simbuilder-form-group">
+                            <label>기록 턴 수</label>
+                            <input type="number" id="setting-history-limit" min="1" value="${settings.historyLimit}">
+                        </div>
+                        <div class="simbuilder-form-group">
+                            <label>기록 용량 (KB)</label>
+                            <input type="number" id="setting-history-kb" min="0" value="${settings.historyMaxKB}">
+                        </div>
+                    </div>
+                    <small class="simbuilder-help-text">턴 기록은 채팅 메타데이터에 저장됩니다. 0KB는 용량 제한 없음.</small>
+
+                    <hr class="simbuilder-divider" />
+
+                    <div class="simbuilder-form-group">
+                        <label>규칙</label>
+                        <div id="simbuilder-rule-list" class="simbuilder-rule-list"></div>
+                        <button class="simbuilder-btn simbuilder-btn-add" data-action="add-rule">+ 규칙 추가</button>
+                    </div>
+
+                    <hr class="simbuilder-divider" />
+
+                    <div class="simbuilder-form-group">
+                        <label>문장 패턴</label>
+                        <select id="setting-phrase-mode" class="simbuilder-select">
+                            <option value="off" ${settings.phraseMode === 'off' ? 'selected' : ''}>사용 안 함</option>
+                            <option value="fallback" ${settings.phraseMode === 'fallback' ? 'selected' : ''}>명령이 없을 때만</option>
+                            <option value="always" ${settings.phraseMode === 'always' ? 'selected' : ''}>명령과 함께 항상</option>
+                        </select>
+                        <div id="simbuilder-phrase-list" class="simbuilder-rule-list"></div>
+                        <button class="simbuilder-btn simbuilder-btn-add" data-action="add-phrase">+ 패턴 추가</button>
+                        <small class="simbuilder-help-text">정규식 안에 {amount}, {stat}, {entity}를 쓸 수 있습니다. 통계는 ID, 이름, 별칭으로 찾습니다.</small>
+                    </div>
+                    <div class="simbuilder-form-group">
+                        <label>
+                            <input type="checkbox" id="setting-extraction" ${stateManager.getActiveState()?.extractionEnabled ? 'checked' : ''}>
+                            보조 생성으로 변화 추출 (이 채팅)
+                        </label>
+                        <label>
+                            <input type="checkbox" id="setting-extraction-review" ${settings.extractionReview ? 'checked' : ''}>
+                            적용 전 검토
+                        </label>
+                        <small class="simbuilder-help-text">명령이 없는 AI 메시지를 백그라운드 생성으로 한 번 더 읽어 통계 변화를 찾습니다. 추가 토큰이 사용됩니다.</small>
+                    </div>
+                    <div class="simbuilder-form-group">
+                        <label>패턴 테스트</label>
+                        <textarea id="setting-phrase-sample" rows="2" placeholder="She loses 10 HP. 체력이 5 감소했다."></textarea>
+                        <ul id="simbuilder-phrase-test" class="simbuilder-phrase-test"></ul>
+                    </div>
+
+                    <hr class="simbuilder-divider" />
+
+                    <div class="simbuilder-form-group">
+                        <label><input type="checkbox" id="setting-clock-enabled" ${calendarState.enabled ? 'checked' : ''}> 세계 시계 사용</label>
+                        <small class="simbuilder-help-text">턴마다 시간이 흐르며 {{time:+2h}}, {{time:=08:00}} 명령으로 조정할 수 있습니다.</small>
+                    </div>
+                    <div class="simbuilder-form-row" data-clock-settings>
+                        <div class="simbuilder-form-group">
+                            <label>턴당 분</label>
+                            <input type="number" id="setting-clock-turn" min="0" value="${calendar.minutesPerTurn}">
+                        </div>
+                        <div class="simbuilder-form-group">
+                            <label>하루 시간 수</label>
+                            <input type="number" id="setting-clock-hours" min="1" value="${calendar.hoursPerDay}">
+                        </div>
+                        <div class="simbuilder-form-group">
+                            <label>한 달 일수</label>
+                            <input type="number" id="setting-clock-days" min="1" value="${calendar.daysPerMonth}">
+                        </div>
+                    </div>
+                    <div class="simbuilder-form-row" data-clock-settings>
+                        <div class="simbuilder-form-group">
+                            <label>낮 시작 (시)</label>
+                            <input type="number" id="setting-clock-day-start" min="0" value="${calendar.dayStartHour}">
+                        </div>
+                        <div class="simbuilder-form-group">
+                            <label>밤 시작 (시)</label>
+                            <input type="number" id="setting-clock-night-start" min="0" value="${calendar.nightStartHour}">
+                        </div>
+                    </div>
+                    <div class="simbuilder-form-group" data-clock-settings>
+                        <label>달 이름 (쉼표로 구분)</label>
+                        <input type="text" id="setting-clock-months" value="${this._escapeHtml(calendar.monthNames.join(', '))}">
+                    </div>
+
+                    <hr class="simbuilder-divider" />
+
+                    <div class="simbuilder-form-group">
+                        <label>템플릿</label>
+                        <div id="simbuilder-template-list" class="simbuilder-template-list"></div>
+                        <button class="simbuilder-btn simbuilder-btn-add" data-action="save-template">+ 현재 통계를 템플릿으로 저장</button>
+                        <small class="simbuilder-help-text">★ 기본 템플릿은 새 채팅에 자동으로 적용됩니다.</small>
+                    </div>
+
+                    <div class="simbuilder-form-group">
+                        <label>캐릭터 카드</label>
+                        <div class="simbuilder-settings-actions">
+                            <button class="simbuilder-btn" data-action="export-card">카드에 저장</button>
+                            <button class="simbuilder-btn" data-action="load-card">카드에서 불러오기</button>
+                        </div>
+                        <small class="simbuilder-help-text">카드에 저장된 정의는 이 캐릭터와의 새 채팅에 자동으로 적용됩니다.</small>
+                    </div>
+
                     <hr class="simbuilder-divider" />
 
+                    <div class="simbuilder-form-row">
+                        <div class="simbuilder-form-group">
+                            <label>내보내기 형식</label>
+                            <select id="setting-export-format" class="simbuilder-select">
+                                <option value="json" ${settings.exportFormat === 'json' ? 'selected' : ''}>JSON (전체)</option>
+                                <option value="csv" ${settings.exportFormat === 'csv' ? 'selected' : ''}>CSV (통계 표)</option>
+                                <option value="yaml" ${settings.exportFormat === 'yaml' ? 'selected' : ''}>YAML (통계 표)</option>
+                            </select>
+                        </div>
+                        <div class="simbuilder-form-group">
+                            <label>가져오기 방식</label>
+                            <select id="setting-import-mode" class="simbuilder-select">
+                                <option value="replace" ${settings.importMode === 'replace' ? 'selected' : ''}>전체 교체</option>
+                                <option value="definitions" ${settings.importMode === 'definitions' ? 'selected' : ''}>정의만 병합</option>
+                                <option value="values" ${settings.importMode === 'values' ? 'selected' : ''}>값만 병합</option>
+                                <option value="missing" ${settings.importMode === 'missing' ? 'selected' : ''}>없는 통계만 추가</option>
+                            </select>
+                        </div>
+                    </div>
+
                     <div class="simbuilder-settings-actions">
                         <button class="simbuilder-btn" data-action="export">내보내기</button>
                         <button class="simbuilder-btn" data-action="import">가져오기</button>
@@ -1124,39 +1404,595 @@
                 </div>
             `;
 
-            this.container.appendChild(panel);
-
-            panel.querySelector('#setting-enabled').addEventListener('change', (e) => {
-                settings.enabled = e.target.checked;
-                this._saveSettings();
-                this.updateVisibility();
-            });
-
-            panel.querySelector('#setting-token-mode').addEventListener('change', (e) => {
-                settings.tokenMode = e.target.value;
-                this._saveSettings();
-            });
-
-            panel.querySelector('#setting-notifications').addEventListener('change', (e) => {
-                settings.showChangeNotifications = e.target.checked;
-                this._saveSettings();
-            });
+            this.container.appendChild(panel);
+
+            panel.querySelector('#setting-enabled').addEventListener('change', (e) => {
+                settings.enabled = e.target.checked;
+                this._saveSettings();
+                this.updateVisibility();
+                core.refreshPromptInjection();
+            });
+
+            panel.querySelector('#setting-token-mode').addEventListener('change', (e) => {
+                settings.tokenMode = e.target.value;
+                this._saveSettings();
+                core.refreshPromptInjection();
+            });
+
+            panel.querySelector('#setting-notifications').addEventListener('change', (e) => {
+                settings.showChangeNotifications = e.target.checked;
+                this._saveSettings();
+            });
+
+            const clockInputs = panel.querySelectorAll('[data-clock-settings]');
+            const showClockInputs = () => clockInputs.forEach(el => {
+                el.style.display = panel.querySelector('#setting-clock-enabled').checked ? '' : 'none';
+            });
+            const onClockChange = () => {
+                const activeState = stateManager.getActiveState();
+                if (!activeState) return;
+                const clock = activeState.clock;
+                clock.enabled = panel.querySelector('#setting-clock-enabled').checked;
+                clock.calendar = WorldClock.normalizeCalendar({
+                    ...clock.calendar,
+                    minutesPerTurn: panel.querySelector('#setting-clock-turn').value,
+                    hoursPerDay: panel.querySelector('#setting-clock-hours').value,
+                    daysPerMonth: panel.querySelector('#setting-clock-days').value,
+                    dayStartHour: panel.querySelector('#setting-clock-day-start').value,
+                    nightStartHour: panel.querySelector('#setting-clock-night-start').value,
+                    monthNames: panel.querySelector('#setting-clock-months').value.split(',')
+                });
+                showClockInputs();
+                this._saveState();
+                this.renderClock();
+                core.refreshPromptInjection();
+            };
+            panel.querySelectorAll('#setting-clock-enabled, [data-clock-settings] input').forEach(el => {
+                el.addEventListener('change', onClockChange);
+            });
+            showClockInputs();
+
+            panel.querySelector('#setting-export-format').addEventListener('change', (e) => {
+                settings.exportFormat = e.target.value;
+                this._saveSettings();
+            });
+
+            panel.querySelector('#setting-import-mode').addEventListener('change', (e) => {
+                settings.importMode = e.target.value;
+                this._saveSettings();
+            });
+
+            panel.querySelector('#setting-command-display').addEventListener('change', (e) => {
+                settings.commandDisplay = e.target.value;
+                this._saveSettings();
+                this.renderAllMessageCommands();
+            });
+
+            const syntaxInputs = panel.querySelectorAll('[data-syntax]');
+            const onSyntaxChange = (e) => {
+                const syntaxes = Array.from(syntaxInputs).filter(input => input.checked).map(input => input.dataset.syntax);
+                if (syntaxes.length === 0) {
+                    e.target.checked = true;
+                    this.showNotification('최소 하나의 문법이 필요합니다', 'negative');
+                    return;
+                }
+                const activeState = stateManager.getActiveState();
+                if (panel.querySelector('#setting-syntax-chat').checked && activeState) {
+                    activeState.parserSyntaxes = syntaxes;
+                } else {
+                    if (activeState) activeState.parserSyntaxes = null;
+                    settings.parserSyntaxes = syntaxes;
+                    this._saveSettings();
+                }
+                this._saveState();
+                this.renderAllMessageCommands();
+                core.refreshPromptInjection();
+            };
+            syntaxInputs.forEach(input => input.addEventListener('change', onSyntaxChange));
+            panel.querySelector('#setting-syntax-chat').addEventListener('change', onSyntaxChange);
+
+            const sourceInputs = panel.querySelectorAll('[data-message-source]');
+            sourceInputs.forEach(input => input.addEventListener('change', () => {
+                settings.messageSources = Array.from(sourceInputs).filter(i => i.checked).map(i => i.dataset.messageSource);
+                this._saveSettings();
+            }));
+            panel.querySelector('#setting-consume-commands').addEventListener('change', (e) => {
+                settings.consumeUserCommands = e.target.checked;
+                this._saveSettings();
+            });
+
+            panel.querySelector('#setting-unknown-stat').addEventListener('change', (e) => {
+                settings.unknownStatPolicy = e.target.value;
+                this._saveSettings();
+            });
+
+            const onHistoryLimitChange = () => {
+                settings.historyLimit = Math.max(1, Math.floor(toNumber(panel.querySelector('#setting-history-limit').value, 30)));
+                settings.historyMaxKB = Math.max(0, toNumber(panel.querySelector('#setting-history-kb').value, 256));
+                this._saveSettings();
+                stateManager.trimHistory();
+                this._saveState();
+                this.renderTimeline();
+            };
+            panel.querySelector('#setting-history-limit').addEventListener('change', onHistoryLimitChange);
+            panel.querySelector('#setting-history-kb').addEventListener('change', onHistoryLimitChange);
+
+            panel.querySelector('#setting-scope').addEventListener('change', (e) => {
+                stateManager.setStateScope(e.target.value);
+                this._saveSettings();
+                this.render();
+                this.showNotification(`범위: ${e.target.value === 'global' ? '전역' : '채팅별'}`, 'info');
+            });
+
+            panel.querySelectorAll('[data-action]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    switch (btn.dataset.action) {
+                        case 'export': this._exportState(); break;
+                        case 'import': this._importState(); break;
+                        case 'reset': this._resetState(); break;
+                        case 'add-rule': this._showRuleDialog(null); break;
+                        case 'add-phrase': this._addPhrasePattern(); break;
+                        case 'save-template': this._saveTemplate(); break;
+                        case 'export-card': this._exportToCard(); break;
+                        case 'load-card': this._loadFromCard(); break;
+                    }
+                });
+            });
+
+            panel.querySelector('#setting-phrase-mode').addEventListener('change', (e) => {
+                settings.phraseMode = e.target.value;
+                this._saveSettings();
+            });
+            panel.querySelector('#setting-phrase-sample').addEventListener('input', () => this._renderPhraseTest());
+
+            panel.querySelector('#setting-extraction').addEventListener('change', (e) => {
+                const activeState = stateManager.getActiveState();
+                if (!activeState) return;
+                activeState.extractionEnabled = e.target.checked;
+                this._saveState();
+            });
+            panel.querySelector('#setting-extraction-review').addEventListener('change', (e) => {
+                settings.extractionReview = e.target.checked;
+                this._saveSettings();
+            });
+
+            this._renderRuleList();
+            this._renderPhraseList();
+            this._renderTemplateList();
+        }
+
+        _renderPhraseList() {
+            const list = document.getElementById('simbuilder-phrase-list');
+            if (!list) return;
+
+            const patterns = stateManager.settings.phrasePatterns || [];
+            const activeState = stateManager.getActiveState();
+            const stats = activeState ? activeState.statManager.getAll() : [];
+            if (patterns.length === 0) {
+                list.innerHTML = '<small class="simbuilder-help-text">등록된 패턴이 없습니다.</small>';
+                this._renderPhraseTest();
+                return;
+            }
+
+            const operationLabels = {
+                [PhraseOperation.SUBTRACT]: '감소',
+                [PhraseOperation.ADD]: '증가',
+                [PhraseOperation.SET]: '설정'
+            };
+            list.innerHTML = patterns.map(entry => {
+                const validation = stateManager.phrases.validate(entry);
+                return `
+                    <div class="simbuilder-rule simbuilder-phrase ${entry.enabled === false ? 'simbuilder-rule-disabled' : ''}" data-phrase-id="${this._escapeHtml(entry.id)}">
+                        <input type="checkbox" data-phrase-field="enabled" ${entry.enabled === false ? '' : 'checked'}>
+                        <input type="text" data-phrase-field="pattern" value="${this._escapeHtml(entry.pattern)}"
+                            class="${validation.success ? '' : 'simbuilder-phrase-invalid'}" title="${this._escapeHtml(validation.error || '')}">
+                        <select data-phrase-field="operation">
+                            ${Object.values(PhraseOperation).map(op =>
+                                `<option value="${op}" ${op === entry.operation ? 'selected' : ''}>${operationLabels[op]}</option>`
+                            ).join('')}
+                        </select>
+                        <select data-phrase-field="stat">
+                            <option value="">{stat}</option>
+                            ${stats.map(stat =>
+                                `<option value="${this._escapeHtml(stat.id)}" ${stat.id === entry.stat ? 'selected' : ''}>${this._escapeHtml(stat.name)}</option>`
+                            ).join('')}
+                        </select>
+                        <button class="simbuilder-btn simbuilder-btn-small" data-phrase-field="delete">🗑️</button>
+                    </div>
+                `;
+            }).join('');
+
+            list.querySelectorAll('[data-phrase-field]').forEach(el => {
+                const phraseId = el.closest('[data-phrase-id]').dataset.phraseId;
+                const field = el.dataset.phraseField;
+                if (field === 'delete') {
+                    el.addEventListener('click', () => {
+                        stateManager.settings.phrasePatterns = patterns.filter(entry => entry.id !== phraseId);
+                        this._saveSettings();
+                        this._renderPhraseList();
+                    });
+                    return;
+                }
+                el.addEventListener('change', () => {
+                    const entry = patterns.find(p => p.id === phraseId);
+                    if (!entry) return;
+                    entry[field] = field === 'enabled' ? el.checked : el.value;
+                    this._saveSettings();
+                    this._renderPhraseList();
+                });
+            });
+            this._renderPhraseTest();
+        }
+
+        _addPhrasePattern() {
+            const settings = stateManager.settings;
+            settings.phrasePatterns = (settings.phrasePatterns || []).concat(
+                PhraseExtractor.normalize({ pattern: '(?:takes?|took) {amount} damage', operation: PhraseOperation.SUBTRACT })
+            );
+            this._saveSettings();
+            this._renderPhraseList();
+        }
+
+        // Shows what each pattern would do with the sample text, without applying anything
+        _renderPhraseTest() {
+            const output = document.getElementById('simbuilder-phrase-test');
+            const sample = document.getElementById('setting-phrase-sample');
+            if (!output || !sample) return;
+            if (!sample.value.trim()) {
+                output.innerHTML = '';
+                return;
+            }
+
+            const results = stateManager.matchPhrases(sample.value);
+            if (results.length === 0) {
+                output.innerHTML = '<li class="simbuilder-help-text">일치하는 패턴이 없습니다.</li>';
+                return;
+            }
+            output.innerHTML = results.map(({ raw, statName, command }) => {
+                if (!command) {
+                    return `<li class="simbuilder-phrase-miss">"${this._escapeHtml(raw)}" → 알 수 없는 통계: ${this._escapeHtml(statName)}</li>`;
+                }
+                const target = command.entityId ? `${command.entityId}.${command.statId}` : command.statId;
+                const change = command.type === ParseResultType.SET
+                    ? `= ${command.value}`
+                    : `${command.value >= 0 ? '+' : ''}${command.value}`;
+                return `<li>"${this._escapeHtml(raw)}" → <code>${this._escapeHtml(target)} ${change}</code></li>`;
+            }).join('');
+        }
+
+        _renderTemplateList() {
+            const list = document.getElementById('simbuilder-template-list');
+            if (!list) return;
+
+            const templates = stateManager.templates.getAll();
+            if (templates.length === 0) {
+                list.innerHTML = '<small class="simbuilder-help-text">저장된 템플릿이 없습니다.</small>';
+                return;
+            }
+
+            const defaultId = stateManager.templates.defaultId;
+            list.innerHTML = templates.map(template => `
+                <div class="simbuilder-template" data-template-id="${this._escapeHtml(template.id)}">
+                    <button class="simbuilder-btn simbuilder-btn-small simbuilder-template-default${template.id === defaultId ? ' active' : ''}" data-template-action="default" title="기본 템플릿">★</button>
+                    <span class="simbuilder-template-name">${this._escapeHtml(template.name)}</span>
+                    <small class="simbuilder-help-text">${template.stats.length}개 통계</small>
+                    <button class="simbuilder-btn simbuilder-btn-small" data-template-action="apply">적용</button>
+                    <button class="simbuilder-btn simbuilder-btn-small" data-template-action="rename" title="이름 변경">✏️</button>
+                    <button class="simbuilder-btn simbuilder-btn-small" data-template-action="duplicate" title="복제">⧉</button>
+                    <button class="simbuilder-btn simbuilder-btn-small" data-template-action="delete" title="삭제">🗑</button>
+                </div>
+            `).join('');
+
+            list.querySelectorAll('[data-template-action]').forEach(el => {
+                const templateId = el.closest('[data-template-id]').dataset.templateId;
+                el.addEventListener('click', () => this._handleTemplateAction(el.dataset.templateAction, templateId));
+            });
+        }
+
+        _handleTemplateAction(action, templateId) {
+            const library = stateManager.templates;
+            const template = library.get(templateId);
+            if (!template) return;
+
+            switch (action) {
+                case 'default':
+                    library.setDefault(library.defaultId === templateId ? null : templateId);
+                    break;
+                case 'apply': {
+                    let result = stateManager.applyTemplate(templateId);
+                    if (!result.success && result.error === 'State is not empty') {
+                        if (!confirm(`현재 통계를 "${template.name}" 템플릿으로 덮어쓰시겠습니까?`)) return;
+                        result = stateManager.applyTemplate(templateId, { force: true });
+                    }
+                    if (!result.success) {
+                        this.showNotification(`템플릿 적용 실패: ${result.error}`, 'negative');
+                        return;
+                    }
+                    this._saveState();
+                    this._renderRuleList();
+                    this.showNotification(`템플릿 적용됨: ${template.name}`, 'positive');
+                    return;
+                }
+                case 'rename': {
+                    const name = prompt('템플릿 이름:', template.name);
+                    if (!library.rename(templateId, name)) return;
+                    break;
+                }
+                case 'duplicate':
+                    library.duplicate(templateId, `${template.name} 사본`);
+                    break;
+                case 'delete':
+                    if (!confirm(`"${template.name}" 템플릿을 삭제하시겠습니까?`)) return;
+                    library.remove(templateId);
+                    break;
+                default:
+                    return;
+            }
+            this._saveTemplates();
+            this._renderTemplateList();
+        }
+
+        async _exportToCard() {
+            const context = getContext();
+            const result = await stateManager.exportToCard(context);
+            if (!result.success) {
+                this.showNotification(`카드 저장 실패: ${result.error}`, 'negative');
+                return;
+            }
+            this._saveState();
+            this.showNotification(`${result.character} 카드에 저장됨`, 'positive');
+        }
+
+        _loadFromCard() {
+            const context = getContext();
+            let result = stateManager.loadFromCard(context);
+            if (!result.success && result.error === 'State is not empty') {
+                if (!confirm('현재 통계를 캐릭터 카드의 정의로 덮어쓰시겠습니까?')) return;
+                result = stateManager.loadFromCard(context, { force: true });
+            }
+            if (!result.success) {
+                this.showNotification(`카드 불러오기 실패: ${result.error}`, 'negative');
+                return;
+            }
+            this._saveState();
+            this._renderRuleList();
+            this.showNotification('카드에서 불러옴', 'positive');
+        }
+
+        /**
+         * Asks whether a card definition the chat has not seen yet should replace its stats.
+         * Either answer is remembered for this version of the card.
+         */
+        offerCardDefinition(context) {
+            if (!stateManager.getPendingCardDefinition(context)) return false;
+            const name = getCurrentCharacter(context)?.name || '';
+            if (confirm(`${name} 카드에 시뮬레이션 정의가 있습니다. 현재 채팅의 통계를 덮어쓰시겠습니까?`)) {
+                stateManager.loadFromCard(context, { force: true });
+                this.showNotification('카드에서 불러옴', 'positive');
+            } else {
+                stateManager.dismissCardDefinition(context);
+            }
+            this._saveState();
+            return true;
+        }
+
+        _saveTemplate() {
+            const name = prompt('템플릿 이름:');
+            if (!isNonEmptyString(name)) return;
+            const result = stateManager.saveTemplate(name);
+            if (!result.success) {
+                this.showNotification(result.error === 'No stats to save' ? '저장할 통계가 없습니다' : `저장 실패: ${result.error}`, 'negative');
+                return;
+            }
+            this._saveTemplates();
+            this._renderTemplateList();
+            this.showNotification(`템플릿 저장됨: ${result.template.name}`, 'positive');
+        }
+
+        _renderRuleList() {
+            const list = document.getElementById('simbuilder-rule-list');
+            if (!list) return;
+
+            const activeState = stateManager.getActiveState();
+            const rules = activeState ? activeState.rules.getAll() : [];
+            if (rules.length === 0) {
+                list.innerHTML = '<small class="simbuilder-help-text">등록된 규칙이 없습니다.</small>';
+                return;
+            }
+
+            list.innerHTML = rules.map(rule => `
+                <div class="simbuilder-rule ${rule.enabled ? '' : 'simbuilder-rule-disabled'}" data-rule-id="${this._escapeHtml(rule.id)}">
+                    <label class="simbuilder-rule-name">
+                        <input type="checkbox" data-rule-action="toggle" ${rule.enabled ? 'checked' : ''}>
+                        ${this._escapeHtml(rule.name)}
+                    </label>
+                    <span class="simbuilder-rule-summary">${this._escapeHtml(this._describeRule(rule))}</span>
+                    <button class="simbuilder-btn simbuilder-btn-small" data-rule-action="edit">✏️</button>
+                </div>
+            `).join('');
+
+            list.querySelectorAll('[data-rule-action]').forEach(el => {
+                const ruleId = el.closest('[data-rule-id]').dataset.ruleId;
+                const rule = activeState.rules.get(ruleId);
+                if (!rule) return;
+                if (el.dataset.ruleAction === 'toggle') {
+                    el.addEventListener('change', () => {
+                        rule.enabled = el.checked;
+                        this._saveState();
+                        this._renderRuleList();
+                    });
+                } else {
+                    el.addEventListener('click', () => this._showRuleDialog(rule));
+                }
+            });
+        }
+
+        _describeRule(rule) {
+            const conditionLabels = {
+                [RuleCondition.CROSSES_BELOW]: `< ${rule.threshold}`,
+                [RuleCondition.CROSSES_ABOVE]: `> ${rule.threshold}`,
+                [RuleCondition.REACHES]: `→ ${rule.threshold}`,
+                [RuleCondition.CHANGES]: '변경'
+            };
+            const once = rule.mode === RuleMode.ONCE ? (rule.fired ? ' (발동됨)' : ' (1회)') : '';
+            return `${rule.statId} ${conditionLabels[rule.condition]}${once}`;
+        }
+
+        _showRuleDialog(rule) {
+            const activeState = stateManager.getActiveState();
+            if (!activeState) return;
+
+            const isEdit = rule !== null;
+            const action = (rule && rule.actions[0]) || { type: RuleActionType.NOTIFY, statId: '', value: 0, text: '' };
+            const defaults = rule || {
+                name: '',
+                statId: '',
+                condition: RuleCondition.CROSSES_BELOW,
+                threshold: 0,
+                mode: RuleMode.ONCE
+            };
+            const statOptions = (selected) => activeState.statManager.getAll().map(s =>
+                `<option value="${this._escapeHtml(s.id)}" ${s.id === selected ? 'selected' : ''}>${this._escapeHtml(s.name)}</option>`
+            ).join('');
+            const option = (value, label, selected) =>
+                `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+            const clockOptions = (selected) => activeState.clock.enabled || selected in CLOCK_RULE_TARGETS
+                ? option('time_hour', '🕘 시각 (시)', selected) + option('time_day', '🕘 날짜 (일차)', selected)
+                : '';
+            const extraActions = rule && rule.actions.length > 1
+                ? `<small class="simbuilder-help-text">이 규칙에는 추가 동작 ${rule.actions.length - 1}개가 있으며 그대로 유지됩니다.</small>`
+                : '';
+
+            const dialogHtml = `
+                <div class="simbuilder-dialog-overlay" id="simbuilder-rule-dialog">
+                    <div class="simbuilder-dialog">
+                        <div class="simbuilder-dialog-header">
+                            <h3>${isEdit ? '규칙 편집' : '규칙 추가'}</h3>
+                            <button class="simbuilder-btn simbuilder-btn-icon" data-action="close">✕</button>
+                        </div>
+                        <div class="simbuilder-dialog-content">
+                            <div class="simbuilder-form-group">
+                                <label>이름</label>
+                                <input type="text" id="rule-name" value="${this._escapeHtml(defaults.name)}" placeholder="예: 빈사 경고">
+                            </div>
+                            <div class="simbuilder-form-row">
+                                <div class="simbuilder-form-group">
+                                    <label>통계</label>
+                                    <select id="rule-stat">${statOptions(defaults.statId)}${clockOptions(defaults.statId)}</select>
+                                </div>
+                                <div class="simbuilder-form-group">
+                                    <label>조건</label>
+                                    <select id="rule-condition">
+                                        ${option(RuleCondition.CROSSES_BELOW, '아래로 내려갈 때', defaults.condition)}
+                                        ${option(RuleCondition.CROSSES_ABOVE, '위로 올라갈 때', defaults.condition)}
+                                        ${option(RuleCondition.REACHES, '도달할 때', defaults.condition)}
+                                        ${option(RuleCondition.CHANGES, '변경될 때', defaults.condition)}
+                                    </select>
+                                </div>
+                                <div class="simbuilder-form-group">
+                                    <label>기준값</label>
+                                    <input type="number" id="rule-threshold" value="${defaults.threshold}">
+                                </div>
+                            </div>
+                            <div class="simbuilder-form-group">
+                                <label>반복</label>
+                                <select id="rule-mode">
+                                    ${option(RuleMode.ONCE, '한 번만', defaults.mode)}
+                                    ${option(RuleMode.REPEAT, '매번', defaults.mode)}
+                                </select>
+                            </div>
+                            <div class="simbuilder-form-row">
+                                <div class="simbuilder-form-group">
+                                    <label>동작</label>
+                                    <select id="rule-action-type">
+                                        ${option(RuleActionType.NOTIFY, '알림 표시', action.type)}
+                                        ${option(RuleActionType.SET_STAT, '통계 설정', action.type)}
+                                        ${option(RuleActionType.MODIFY_STAT, '통계 증감', action.type)}
+                                        ${option(RuleActionType.PROMPT_NOTE, '프롬프트 메모', action.type)}
+                                        ${option(RuleActionType.SLASH_COMMAND, '슬래시 명령', action.type)}
+                                    </select>
+                                </div>
+                                <div class="simbuilder-form-group">
+                                    <label>대상 통계</label>
+                                    <select id="rule-action-stat">${statOptions(action.statId)}</select>
+                                </div>
+                                <div class="simbuilder-form-group">
+                                    <label>값</label>
+                                    <input type="text" id="rule-action-value" value="${this._escapeHtml(String(action.value))}" placeholder="예: -10, 2d6">
+                                </div>
+                            </div>
+                            <div class="simbuilder-form-group">
+                                <label>텍스트 / 명령</label>
+                                <input type="text" id="rule-action-text" value="${this._escapeHtml(action.text)}" placeholder="예: 쓰러지기 직전입니다! 또는 /echo 위험">
+                            </div>
+                            ${extraActions}
+                        </div>
+                        <div class="simbuilder-dialog-footer">
+                            ${isEdit ? '<button class="simbuilder-btn simbuilder-btn-danger" data-action="delete">삭제</button>' : ''}
+                            <button class="simbuilder-btn" data-action="cancel">취소</button>
+                            <button class="simbuilder-btn simbuilder-btn-primary" data-action="save">저장</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            const dialogContainer = document.createElement('div');
+            dialogContainer.innerHTML = dialogHtml;
+            document.body.appendChild(dialogContainer.firstElementChild);
 
-            panel.querySelector('#setting-scope').addEventListener('change', (e) => {
-                stateManager.setStateScope(e.target.value);
-                this._saveSettings();
-                this.render();
-                this.showNotification(`범위: ${e.target.value === 'global' ? '전역' : '채팅별'}`, 'info');
-            });
+            const dialog = document.getElementById('simbuilder-rule-dialog');
+            const closeDialog = () => dialog.remove();
 
-            panel.querySelectorAll('[data-action]').forEach(btn => {
-                btn.addEventListener('click', () => {
-                    switch (btn.dataset.action) {
-                        case 'export': this._exportState(); break;
-                        case 'import': this._importState(); break;
-                        case 'reset': this._resetState(); break;
+            dialog.addEventListener('click', (e) => {
+                if (e.target === dialog) {
+                    closeDialog();
+                    return;
+                }
+                const dialogAction = e.target.dataset.action;
+                switch (dialogAction) {
+                    case 'close':
+                    case 'cancel':
+                        closeDialog();
+                        break;
+                    case 'save': {
+                        const name = document.getElementById('rule-name').value.trim();
+                        const statId = document.getElementById('rule-stat').value;
+                        if (!name || !statId) {
+                            this.showNotification('이름과 통계를 입력하세요', 'negative');
+                            return;
+                        }
+                        const newAction = Rule.normalizeAction({
+                            type: document.getElementById('rule-action-type').value,
+                            statId: document.getElementById('rule-action-stat').value,
+                            value: document.getElementById('rule-action-value').value,
+                            text: document.getElementById('rule-action-text').value.trim()
+                        });
+                        const config = {
+                            id: rule ? rule.id : undefined,
+                            name,
+                            enabled: rule ? rule.enabled : true,
+                            statId,
+                            condition: document.getElementById('rule-condition').value,
+                            threshold: toNumber(document.getElementById('rule-threshold').value, 0),
+                            mode: document.getElementById('rule-mode').value,
+                            fired: rule ? rule.fired : false,
+                            actions: [newAction, ...(rule ? rule.actions.slice(1) : [])]
+                        };
+                        activeState.rules.add(config);
+                        this._saveState();
+                        this._renderRuleList();
+                        this.showNotification(`규칙 저장됨: ${name}`, 'positive');
+                        closeDialog();
+                        break;
                     }
-                });
+                    case 'delete':
+                        activeState.rules.remove(rule.id);
+                        this._saveState();
+                        this._renderRuleList();
+                        this.showNotification(`규칙 삭제됨: ${rule.name}`, 'negative');
+                        closeDialog();
+                        break;
+                }
             });
         }
 
@@ -1172,14 +2008,30 @@
             }
         }
 
+        _saveState() {
+            const context = getContext();
+            if (context) {
+                stateManager.saveActiveState(context);
+            }
+        }
+
+        _saveTemplates() {
+            const context = getContext();
+            if (context) {
+                stateManager.saveTemplates(context);
+            }
+        }
+
         _exportState() {
-            const json = stateManager.exportState();
-            const blob = new Blob([json], { type: 'application/json' });
+            const format = stateManager.settings.exportFormat || TransferFormat.JSON;
+            const text = stateManager.exportState(format);
+            const types = { json: 'application/json', csv: 'text/csv', yaml: 'application/yaml' };
+            const blob = new Blob([text], { type: types[format] || 'text/plain' });
             const url = URL.createObjectURL(blob);
 
             const a = document.createElement('a');
             a.href = url;
-            a.download = `simulation-${Date.now()}.json`;
+            a.download = `simulation-${Date.now()}.${format}`;
             a.click();
 
             URL.revokeObjectURL(url);
@@ -1189,7 +2041,7 @@
         _importState() {
             const input = document.createElement('input');
             input.type = 'file';
-            input.accept = '.json';
+            input.accept = '.json,.csv,.yaml,.yml';
 
             input.addEventListener('change', async (e) => {
                 const file = e.target.files[0];
@@ -1197,11 +2049,14 @@
 
                 try {
                     const text = await file.text();
-                    if (stateManager.importState(text)) {
-                        this.render();
-                        this.showNotification('가져오기 완료', 'positive');
+                    const prepared = stateManager.prepareImport(text, {
+                        format: detectTransferFormat(file.name),
+                        mode: stateManager.settings.importMode || ImportMode.REPLACE
+                    });
+                    if (prepared.success) {
+                        this._showImportPreview(prepared);
                     } else {
-                        this.showNotification('가져오기 실패', 'negative');
+                        this._showImportErrors(prepared.errors);
                     }
                 } catch (error) {
                     logError('Import error:', error);
@@ -1212,6 +2067,162 @@
             input.click();
         }
 
+        _formatDiffValue(value) {
+            if (value === undefined || value === null || value === '') return '—';
+            return this._escapeHtml(toString(value));
+        }
+
+        _showImportPreview(prepared) {
+            const labels = { added: '추가', changed: '변경', removed: '삭제' };
+            const fieldLabels = {
+                name: '이름', type: '유형', minValue: '최소', maxValue: '최대',
+                currentValue: '현재', color: '색상', category: '카테고리', displayMode: '표시'
+            };
+            const rows = prepared.diff.map(entry => `
+                <tr class="simbuilder-diff-${entry.kind}">
+                    <td>${labels[entry.kind]}</td>
+                    <td>${this._escapeHtml(entry.name)} <small>(${this._escapeHtml(entry.statId)})</small></td>
+                    <td>${entry.fields.map(f =>
+                        `${fieldLabels[f.field] || f.field}: ${this._formatDiffValue(f.from)} → ${this._formatDiffValue(f.to)}`
+                    ).join('<br>')}</td>
+                </tr>
+            `).join('');
+            const migrated = prepared.migratedFrom ? `<small class="simbuilder-help-text">v${prepared.migratedFrom} 형식에서 변환됨</small>` : '';
+
+            const dialogContainer = document.createElement('div');
+            dialogContainer.innerHTML = `
+                <div class="simbuilder-dialog-overlay" id="simbuilder-import-preview">
+                    <div class="simbuilder-dialog">
+                        <div class="simbuilder-dialog-header">
+                            <h3>가져오기 미리보기</h3>
+                            <button class="simbuilder-btn simbuilder-btn-icon" data-action="close">✕</button>
+                        </div>
+                        <div class="simbuilder-dialog-content">
+                            ${migrated}
+                            ${rows
+                                ? `<table class="simbuilder-import-diff"><tbody>${rows}</tbody></table>`
+                                : '<small class="simbuilder-help-text">통계 변경 사항이 없습니다.</small>'}
+                        </div>
+                        <div class="simbuilder-dialog-footer">
+                            <button class="simbuilder-btn" data-action="close">취소</button>
+                            <button class="simbuilder-btn simbuilder-btn-primary" data-action="apply">적용</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(dialogContainer.firstElementChild);
+
+            const dialog = document.getElementById('simbuilder-import-preview');
+            dialog.addEventListener('click', async (e) => {
+                const action = e.target.dataset.action;
+                if (e.target === dialog || action === 'close') {
+                    dialog.remove();
+                    return;
+                }
+                if (action !== 'apply') return;
+                dialog.remove();
+                stateManager.commitImport(prepared);
+                await stateManager.saveActiveState(getContext());
+                this.render();
+                this._renderRuleList();
+                this.showNotification('가져오기 완료', 'positive');
+            });
+        }
+
+        _showImportErrors(errors) {
+            logError('Import rejected:', errors);
+            const rows = errors.map(e => `
+                <li><code>${this._escapeHtml(e.path || '(root)')}</code> ${this._escapeHtml(e.message)}</li>
+            `).join('');
+
+            const dialogContainer = document.createElement('div');
+            dialogContainer.innerHTML = `
+                <div class="simbuilder-dialog-overlay" id="simbuilder-import-errors">
+                    <div class="simbuilder-dialog">
+                        <div class="simbuilder-dialog-header">
+                            <h3>가져오기 실패</h3>
+                            <button class="simbuilder-btn simbuilder-btn-icon" data-action="close">✕</button>
+                        </div>
+                        <div class="simbuilder-dialog-content">
+                            <small class="simbuilder-help-text">파일에 다음 문제가 있어 아무것도 변경되지 않았습니다.</small>
+                            <ul class="simbuilder-import-errors">${rows}</ul>
+                        </div>
+                        <div class="simbuilder-dialog-footer">
+                            <button class="simbuilder-btn simbuilder-btn-primary" data-action="close">확인</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(dialogContainer.firstElementChild);
+
+            const dialog = document.getElementById('simbuilder-import-errors');
+            dialog.addEventListener('click', (e) => {
+                if (e.target === dialog || e.target.dataset.action === 'close') dialog.remove();
+            });
+        }
+
+        /**
+         * Lets the user pick which extracted changes to apply.
+         * @returns {Promise<object[]>} the checked commands; none when cancelled
+         */
+        showExtractionReview({ messageIndex, commands, rejected }) {
+            const describe = (command) => {
+                const resolved = stateManager.resolveStat(command.statId, { entityId: command.entityId });
+                const name = resolved ? resolved.stat.name : command.statId;
+                const entity = command.entityId ? `${command.entityId}.` : '';
+                let change;
+                if (command.type === ParseResultType.SET) change = `= ${command.text}`;
+                else if (command.type === ParseResultType.MODIFIER) change = `${command.value} (${command.duration}턴)`;
+                else change = command.text;
+                return `${this._escapeHtml(entity + name)} <code>${this._escapeHtml(toString(change))}</code>`;
+            };
+            const rows = commands.map((command, i) => `
+                <label><input type="checkbox" data-extraction-index="${i}" checked> ${describe(command)}</label>
+            `).join('');
+            const skipped = rejected.length > 0
+                ? `<ul class="simbuilder-import-errors">${rejected.map(r => `
+                    <li><code>${this._escapeHtml(JSON.stringify(r.entry))}</code> ${this._escapeHtml(r.reason)}</li>
+                `).join('')}</ul>`
+                : '';
+
+            const dialogContainer = document.createElement('div');
+            dialogContainer.innerHTML = `
+                <div class="simbuilder-dialog-overlay" id="simbuilder-extraction-review">
+                    <div class="simbuilder-dialog">
+                        <div class="simbuilder-dialog-header">
+                            <h3>추출된 변화 (#${messageIndex})</h3>
+                            <button class="simbuilder-btn simbuilder-btn-icon" data-action="close">✕</button>
+                        </div>
+                        <div class="simbuilder-dialog-content">
+                            <div class="simbuilder-form-group">${rows}</div>
+                            ${skipped}
+                        </div>
+                        <div class="simbuilder-dialog-footer">
+                            <button class="simbuilder-btn" data-action="close">무시</button>
+                            <button class="simbuilder-btn simbuilder-btn-primary" data-action="apply">적용</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(dialogContainer.firstElementChild);
+
+            const dialog = document.getElementById('simbuilder-extraction-review');
+            return new Promise(resolve => {
+                dialog.addEventListener('click', (e) => {
+                    const action = e.target.dataset.action;
+                    if (e.target === dialog || action === 'close') {
+                        dialog.remove();
+                        resolve([]);
+                    } else if (action === 'apply') {
+                        const checked = Array.from(dialog.querySelectorAll('[data-extraction-index]:checked'))
+                            .map(input => commands[Number(input.dataset.extractionIndex)]);
+                        dialog.remove();
+                        resolve(checked);
+                    }
+                });
+            });
+        }
+
         _resetState() {
             if (confirm('정말 초기화하시겠습니까? 이 작업은 되돌릴 수 없습니다.')) {
                 stateManager.reset();
@@ -1237,8 +2248,13 @@
     // Global Instances
     // ========================================
     
-    const stateManager = new StateManager();
+    const core = new SimulationCore(getContext);
+    const { stateManager } = core;
     const uiController = new UIController();
+    core.reviewExtraction = (proposal) => uiController.showExtractionReview(proposal);
+
+    // Named in manifest.json; SillyTavern calls it with the prompt's chat before each generation
+    globalThis.simBuilderGenerateInterceptor = (chat) => core.interceptGeneration(chat);
 
     // ========================================
     // Context Helper
@@ -1259,28 +2275,149 @@
     // Slash Commands
     // ========================================
     
+    // "alice.Rusty Key" → { entityId: 'alice', name: 'Rusty Key' }; no prefix means the main sheet
+    function splitEntityRef(ref) {
+        const str = toString(ref).trim();
+        const dotIndex = str.indexOf('.');
+        if (dotIndex <= 0) return { entityId: DEFAULT_ENTITY_ID, name: str };
+        return { entityId: sanitizeId(str.substring(0, dotIndex)), name: str.substring(dotIndex + 1).trim() };
+    }
+
+    const MAX_SLASH_TICKS = 100;
+
     function registerSlashCommands() {
         const context = getContext();
         if (!context) return;
 
         try {
-            if (typeof SlashCommandParser === 'undefined' || typeof SlashCommand === 'undefined') {
+            // Extensions get the slash command classes from the context, not from globals
+            const {
+                SlashCommandParser, SlashCommand, SlashCommandArgument,
+                SlashCommandNamedArgument, SlashCommandEnumValue, ARGUMENT_TYPE
+            } = context;
+            if (!SlashCommandParser || !SlashCommand) {
                 log('SlashCommandParser not available, skipping command registration');
                 return;
             }
 
+            // Argument metadata only drives autocomplete, so older clients still get the commands
+            const hasArgumentTypes = Boolean(SlashCommandArgument && SlashCommandNamedArgument && ARGUMENT_TYPE);
+            const ArgType = hasArgumentTypes ? ARGUMENT_TYPE : {};
+            const unnamedArgs = (...list) => hasArgumentTypes ? list.map(props => SlashCommandArgument.fromProps(props)) : [];
+            const namedArgs = (...list) => hasArgumentTypes ? list.map(props => SlashCommandNamedArgument.fromProps(props)) : [];
+            const hasEnumValues = typeof SlashCommandEnumValue === 'function';
+
+            const statEnumProvider = hasEnumValues ? () => {
+                const activeState = stateManager.getActiveState();
+                return activeState ? activeState.statManager.getAll().map(s => new SlashCommandEnumValue(s.id, s.name)) : [];
+            } : undefined;
+            const entityEnumProvider = hasEnumValues
+                ? () => stateManager.getEntities().map(e => new SlashCommandEnumValue(e.entityId, e.name || e.entityId))
+                : undefined;
+
+            const statRefArg = { description: '통계 ID (alice.hp 형식 가능)', typeList: [ArgType.STRING], isRequired: true, enumProvider: statEnumProvider };
+            const entityArg = { name: 'entity', description: '캐릭터 ID (기본: main)', typeList: [ArgType.STRING], enumProvider: entityEnumProvider };
+            const scopeArg = { name: 'scope', description: '읽을 상태 범위 (기본: 현재 설정)', typeList: [ArgType.STRING], enumList: ['chat', 'global'] };
+
+            const parseScope = (value) => ({ global: StateScope.GLOBAL, chat: StateScope.PER_CHAT })[String(value || '').trim().toLowerCase()];
+
+            // Scripting commands return '' on failure so STscript can test the pipe
+            const fail = (message) => {
+                uiController.showNotification(message, 'negative');
+                return '';
+            };
+
+            const describeStat = (stat, entityId) => ({
+                id: stat.id,
+                entity: entityId,
+                name: stat.name,
+                type: stat.type,
+                value: stat.isNumeric ? stat.finalValue : stat.currentValue,
+                ...(stat.isNumeric ? { base: stat.currentValue, min: stat.minValue, max: stat.maxValue } : {}),
+                ...(stat.type === StatType.ENUM ? { options: stat.options.slice() } : {}),
+                category: stat.category,
+                color: stat.color,
+                display: stat.displayMode
+            });
+
             // /simstat - show stats
             SlashCommandParser.addCommandObject(SlashCommand.fromProps({
                 name: 'simstat',
-                callback: (args, value) => {
-                    const stats = stateManager.getVisibleStats();
+                callback: (args) => {
+                    const state = stateManager.getState(parseScope(args.scope));
+                    if (!state) {
+                        return '활성 시뮬레이션이 없습니다.';
+                    }
+                    const stats = state.statManager.getVisible();
                     if (stats.length === 0) {
                         return '통계가 설정되지 않았습니다.';
                     }
-                    return stats.map(s => `${s.name}: ${s.getDisplayString()}`).join('\n');
+                    const lines = stats.map(s => `${s.name}: ${s.getDisplayString()}`);
+                    for (const { entityId, name, statManager } of state.getSheets()) {
+                        if (entityId === DEFAULT_ENTITY_ID) continue;
+                        lines.push(`[${name}]`, ...statManager.getVisible().map(s => `${s.name}: ${s.getDisplayString()}`));
+                    }
+                    return lines.join('\n');
                 },
+                namedArgumentList: namedArgs(scopeArg),
                 returns: 'Current stat values',
-                helpString: '모든 통계를 표시합니다.'
+                helpString: '모든 통계를 표시합니다. 사용법: /simstat, /simstat scope=global'
+            }));
+
+            // /simget - raw value for scripts
+            SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+                name: 'simget',
+                callback: (args, value) => {
+                    const ref = String(value || '').trim();
+                    const resolved = stateManager.resolveStat(ref, {
+                        entityId: args.entity || DEFAULT_ENTITY_ID,
+                        state: stateManager.getState(parseScope(args.scope))
+                    });
+                    if (!resolved) {
+                        return fail(`통계를 찾을 수 없음: ${ref}`);
+                    }
+                    const record = describeStat(resolved.stat, resolved.entityId);
+                    const field = String(args.field || 'value').toLowerCase();
+                    if (!Object.prototype.hasOwnProperty.call(record, field)) {
+                        return fail(`알 수 없는 필드: ${field}`);
+                    }
+                    const result = record[field];
+                    return Array.isArray(result) ? JSON.stringify(result) : String(result);
+                },
+                unnamedArgumentList: unnamedArgs(statRefArg),
+                namedArgumentList: namedArgs(
+                    entityArg,
+                    scopeArg,
+                    { name: 'field', description: '반환할 값 (기본: value)', typeList: [ArgType.STRING], defaultValue: 'value', enumList: ['value', 'base', 'min', 'max', 'name', 'type', 'category', 'color', 'display', 'options'] }
+                ),
+                returns: 'Raw stat value',
+                helpString: '통계 값을 그대로 반환합니다. 사용법: /simget hp, /simget entity=alice hp, /simget field=max hp | /echo'
+            }));
+
+            // /simlist - stats as JSON
+            SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+                name: 'simlist',
+                callback: (args) => {
+                    const state = stateManager.getState(parseScope(args.scope));
+                    if (!state) {
+                        return fail('활성 시뮬레이션이 없습니다.');
+                    }
+                    const entityId = args.entity || DEFAULT_ENTITY_ID;
+                    const sheet = state.getSheet(entityId);
+                    if (!sheet) {
+                        return fail(`캐릭터를 찾을 수 없음: ${entityId}`);
+                    }
+                    const category = args.category === undefined ? null : String(args.category);
+                    const stats = sheet.getAll().filter(s => category === null || s.category === category);
+                    return JSON.stringify(stats.map(s => describeStat(s, isMainEntity(entityId) ? DEFAULT_ENTITY_ID : sanitizeId(entityId))));
+                },
+                namedArgumentList: namedArgs(
+                    entityArg,
+                    scopeArg,
+                    { name: 'category', description: '이 분류의 통계만', typeList: [ArgType.STRING] }
+                ),
+                returns: 'JSON array of stats',
+                helpString: '통계 목록을 JSON 배열로 반환합니다. 사용법: /simlist, /simlist entity=alice category=전투'
             }));
 
             // /simset - set stat value
@@ -1298,24 +2435,29 @@
                     }
 
                     const statId = parts[0].toLowerCase();
-                    const newValue = parseFloat(parts[1]);
+                    const resolved = stateManager.resolveStat(statId, { entityId: args.entity || DEFAULT_ENTITY_ID });
+                    if (!resolved) {
+                        return `통계를 찾을 수 없음: ${statId}`;
+                    }
+                    const { stat } = resolved;
 
-                    if (isNaN(newValue)) {
+                    const newValue = stat.coerce(parts.slice(1).join(' '));
+                    if (newValue === undefined) {
                         return '잘못된 값입니다.';
                     }
 
-                    const stat = activeState.statManager.get(statId);
-                    if (!stat) {
-                        return `통계를 찾을 수 없음: ${statId}`;
+                    // same path as the API, so rules and stat-change listeners see manual edits
+                    const result = stateManager.changeStat(statId, newValue, { entityId: args.entity || DEFAULT_ENTITY_ID, source: 'command' });
+                    if (!result.success) {
+                        return `변경 실패: ${result.error}`;
                     }
-
-                    const result = stat.set(newValue);
-                    uiController.updateStat(stat);
                     
                     return `${stat.name}: ${result.oldValue} → ${result.newValue}`;
                 },
+                unnamedArgumentList: unnamedArgs({ ...statRefArg, description: '통계 ID와 값' }),
+                namedArgumentList: namedArgs(entityArg),
                 returns: 'Result of stat change',
-                helpString: '통계를 특정 값으로 설정합니다. 사용법: /simset hp 50'
+                helpString: '통계를 특정 값으로 설정합니다. 사용법: /simset hp 50, /simset alice.hp 50, /simset mood angry'
             }));
 
             // /simmod - modify stat
@@ -1339,19 +2481,27 @@
                         return '잘못된 값입니다.';
                     }
 
-                    const stat = activeState.statManager.get(statId);
-                    if (!stat) {
+                    const resolved = stateManager.resolveStat(statId, { entityId: args.entity || DEFAULT_ENTITY_ID });
+                    if (!resolved) {
                         return `통계를 찾을 수 없음: ${statId}`;
                     }
+                    const { stat } = resolved;
+                    if (!stat.isNumeric) {
+                        return `숫자 통계가 아닙니다: ${stat.name} (/simset 사용)`;
+                    }
 
-                    const result = stat.modify(delta);
-                    uiController.updateStat(stat);
+                    const result = stateManager.changeStat(statId, delta, { entityId: args.entity || DEFAULT_ENTITY_ID, modify: true, source: 'command' });
+                    if (!result.success) {
+                        return `변경 실패: ${result.error}`;
+                    }
                     
                     const sign = delta >= 0 ? '+' : '';
                     return `${stat.name}: ${sign}${delta} (${result.oldValue} → ${result.newValue})`;
                 },
+                unnamedArgumentList: unnamedArgs({ ...statRefArg, description: '통계 ID와 증감값' }),
+                namedArgumentList: namedArgs(entityArg),
                 returns: 'Result of stat modification',
-                helpString: '통계를 증감합니다. 사용법: /simmod hp -10'
+                helpString: '통계를 증감합니다. 사용법: /simmod hp -10 또는 /simmod alice.hp -10'
             }));
 
             // /simreset - reset simulation
@@ -1385,7 +2535,7 @@
                     const currentVal = parts[2] ? parseFloat(parts[2]) : maxVal;
 
                     const stat = new Stat({
-                        id: sanitizeId(name),
+                        id: uniqueId(name, (id) => activeState.statManager.has(id)),
                         name: name,
                         baseValue: maxVal,
                         currentValue: currentVal,
@@ -1395,13 +2545,276 @@
 
                     activeState.statManager.add(stat);
                     uiController.renderStatList();
+                    stateManager.notifyEdit(stat.id);
                     
                     return `추가됨: ${stat.name} (${currentVal}/${maxVal})`;
                 },
+                unnamedArgumentList: unnamedArgs({ description: '이름 [최대값] [현재값]', typeList: [ArgType.STRING], isRequired: true }),
                 returns: 'Confirmation message',
                 helpString: '새 통계를 추가합니다. 사용법: /simadd 힘 10 5'
             }));
 
+            // /simdel - remove a stat definition
+            SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+                name: 'simdel',
+                callback: async (args, value) => {
+                    const statId = sanitizeId(String(value || '').trim());
+                    if (!stateManager.removeStat(statId)) {
+                        return fail(`통계를 찾을 수 없음: ${statId}`);
+                    }
+                    uiController.renderStatList();
+                    await stateManager.saveActiveState(getContext());
+                    return statId;
+                },
+                unnamedArgumentList: unnamedArgs({ ...statRefArg, description: '삭제할 통계 ID' }),
+                returns: 'ID of the removed stat',
+                helpString: '통계를 삭제합니다. 모든 캐릭터 시트에서 함께 삭제됩니다. 사용법: /simdel stamina'
+            }));
+
+            // /simedit - change a stat definition
+            SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+                name: 'simedit',
+                callback: async (args, value) => {
+                    const statId = String(value || '').trim();
+                    const changes = {};
+                    if (args.min !== undefined) changes.min = args.min;
+                    if (args.max !== undefined) changes.max = args.max;
+                    if (args.color !== undefined) changes.color = String(args.color);
+                    if (args.category !== undefined) changes.category = String(args.category);
+                    if (args.display !== undefined) changes.displayMode = String(args.display).toLowerCase();
+                    if (args.name !== undefined) changes.name = String(args.name);
+                    if (Object.keys(changes).length === 0) {
+                        return fail('사용법: /simedit [min=] [max=] [color=] [category=] [display=] [name=] <statId>');
+                    }
+
+                    const result = stateManager.editStat(statId, changes);
+                    if (!result.success) {
+                        return fail(`통계 수정 실패: ${result.error}`);
+                    }
+                    uiController.renderStatList();
+                    await stateManager.saveActiveState(getContext());
+                    return JSON.stringify(describeStat(result.stat, DEFAULT_ENTITY_ID));
+                },
+                unnamedArgumentList: unnamedArgs({ ...statRefArg, description: '수정할 통계 ID' }),
+                namedArgumentList: namedArgs(
+                    { name: 'min', description: '최소값', typeList: [ArgType.NUMBER] },
+                    { name: 'max', description: '최대값', typeList: [ArgType.NUMBER] },
+                    { name: 'color', description: '색상 (#rrggbb)', typeList: [ArgType.STRING] },
+                    { name: 'category', description: '분류', typeList: [ArgType.STRING] },
+                    { name: 'display', description: '표시 방식', typeList: [ArgType.STRING], enumList: Object.values(StatDisplayMode) },
+                    { name: 'name', description: '표시 이름', typeList: [ArgType.STRING] }
+                ),
+                returns: 'JSON of the updated stat',
+                helpString: '통계 정의를 수정합니다. 사용법: /simedit max=150 color=#ff0000 hp, /simedit display=percent category=전투 mp'
+            }));
+
+            // /simtick - advance turns without a message
+            SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+                name: 'simtick',
+                callback: async (args, value) => {
+                    const raw = String(value || '').trim();
+                    const count = raw ? parseInt(raw, 10) : 1;
+                    if (isNaN(count) || count < 1 || count > MAX_SLASH_TICKS) {
+                        return fail(`사용법: /simtick [1-${MAX_SLASH_TICKS}]`);
+                    }
+                    let result = null;
+                    for (let i = 0; i < count; i++) {
+                        result = stateManager.tick();
+                        if (!result.success) return fail('활성 시뮬레이션이 없습니다.');
+                    }
+                    await stateManager.saveActiveState(getContext());
+                    return String(result.turn);
+                },
+                unnamedArgumentList: unnamedArgs({ description: '진행할 턴 수 (기본: 1)', typeList: [ArgType.NUMBER] }),
+                returns: 'Turn number after ticking',
+                helpString: '턴을 진행합니다. 재생/감소, 버프 만료, 시계가 함께 적용됩니다. 사용법: /simtick, /simtick 3'
+            }));
+
+            // /siment - manage per-character stat sheets
+            SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+                name: 'siment',
+                callback: async (args, value) => {
+                    const [action = 'list', id = '', ...nameParts] = String(value || '').trim().split(/\s+/);
+                    switch (action.toLowerCase()) {
+                        case 'add': {
+                            if (!id) return '사용법: /siment add <id> [이름]';
+                            const result = stateManager.addEntity({ id, name: nameParts.join(' ') || id });
+                            if (!result.success) return `캐릭터 추가 실패: ${result.error}`;
+                            await stateManager.saveActiveState(getContext());
+                            return `캐릭터 추가됨: ${result.entity.name} (${result.entity.id})`;
+                        }
+                        case 'remove': {
+                            if (!stateManager.removeEntity(id)) return `캐릭터를 찾을 수 없음: ${id}`;
+                            await stateManager.saveActiveState(getContext());
+                            return `캐릭터 삭제됨: ${id}`;
+                        }
+                        case 'list': {
+                            const entities = stateManager.getEntities().filter(e => e.entityId !== DEFAULT_ENTITY_ID);
+                            if (entities.length === 0) return '등록된 캐릭터가 없습니다.';
+                            return entities.map(e => `${e.name} (${e.entityId})`).join('\n');
+                        }
+                        default:
+                            return '사용법: /siment [list|add|remove] <id> [이름]';
+                    }
+                },
+                unnamedArgumentList: unnamedArgs({ description: 'list | add <id> [이름] | remove <id>', typeList: [ArgType.STRING] }),
+                returns: 'Result of entity operation',
+                helpString: '캐릭터별 통계 시트를 관리합니다. 사용법: /siment add alice 앨리스, /siment remove alice, /siment list'
+            }));
+
+            // /siminv - inventory
+            SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+                name: 'siminv',
+                callback: async (args, value) => {
+                    const activeState = stateManager.getActiveState();
+                    if (!activeState) {
+                        return '활성 시뮬레이션이 없습니다.';
+                    }
+
+                    const [action = 'list', ...rest] = String(value || '').trim().split(/\s+/);
+                    let quantity = 1;
+                    if (rest.length > 1 && /^\d+$/.test(rest[rest.length - 1])) {
+                        quantity = parseInt(rest.pop(), 10);
+                    }
+                    const { entityId, name } = splitEntityRef(rest.join(' '));
+                    const inventory = activeState.getInventory(entityId);
+                    if (!inventory) {
+                        return `캐릭터를 찾을 수 없음: ${entityId}`;
+                    }
+
+                    switch (action.toLowerCase()) {
+                        case 'list': {
+                            // "/siminv list alice" names an entity rather than an item
+                            const listed = name ? activeState.getInventory(name) : inventory;
+                            if (!listed) return `캐릭터를 찾을 수 없음: ${name}`;
+                            if (listed.size === 0) return '소지품이 없습니다.';
+                            return listed.getAll().map(item => item.describe()).join('\n');
+                        }
+                        case 'add': {
+                            if (!name) return '사용법: /siminv add <아이템> [수량]';
+                            const result = inventory.add({ name }, quantity);
+                            stateManager.refreshItemEffects(entityId);
+                            await stateManager.saveActiveState(getContext());
+                            return `추가됨: ${result.item.name} (${result.oldValue} → ${result.newValue})`;
+                        }
+                        case 'remove': {
+                            const result = inventory.remove(name, quantity);
+                            if (!result) return `아이템을 찾을 수 없음: ${name}`;
+                            stateManager.refreshItemEffects(entityId);
+                            await stateManager.saveActiveState(getContext());
+                            return `제거됨: ${result.item.name} (${result.oldValue} → ${result.newValue})`;
+                        }
+                        case 'equip':
+                        case 'unequip': {
+                            const item = inventory.get(name);
+                            if (!item) return `아이템을 찾을 수 없음: ${name}`;
+                            if (!item.equippable) return `장착할 수 없는 아이템입니다: ${item.name}`;
+                            item.equipped = action.toLowerCase() === 'equip';
+                            stateManager.refreshItemEffects(entityId);
+                            await stateManager.saveActiveState(getContext());
+                            return `${item.name}: ${item.equipped ? '장착' : '해제'}`;
+                        }
+                        default:
+                            return '사용법: /siminv [list|add|remove|equip|unequip] <아이템> [수량]';
+                    }
+                },
+                unnamedArgumentList: unnamedArgs({ description: '동작, 아이템, 수량', typeList: [ArgType.STRING] }),
+                returns: 'Inventory contents or result of change',
+                helpString: '소지품을 관리합니다. 사용법: /siminv, /siminv add 포션 2, /siminv remove alice.열쇠, /siminv equip 검'
+            }));
+
+            // /simtemplate - template library
+            SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+                name: 'simtemplate',
+                callback: async (args, value) => {
+                    const [action = 'list', ref = '', ...rest] = String(value || '').trim().split(/\s+/);
+                    const library = stateManager.templates;
+                    const context = getContext();
+                    const template = library.find(ref);
+                    const name = rest.join(' ');
+
+                    switch (action.toLowerCase()) {
+                        case 'list': {
+                            if (library.size === 0) return '저장된 템플릿이 없습니다.';
+                            return library.getAll()
+                                .map(t => `${t.id === library.defaultId ? '★ ' : ''}${t.name} (${t.stats.length}개 통계)`)
+                                .join('\n');
+                        }
+                        case 'save': {
+                            const result = stateManager.saveTemplate([ref, ...rest].join(' '));
+                            if (!result.success) return `템플릿 저장 실패: ${result.error}`;
+                            stateManager.saveTemplates(context);
+                            return `템플릿 저장됨: ${result.template.name}`;
+                        }
+                        case 'apply': {
+                            if (!template) return `템플릿을 찾을 수 없음: ${ref}`;
+                            const result = stateManager.applyTemplate(template.id, { force: name === 'force' });
+                            if (!result.success) {
+                                return result.error === 'State is not empty'
+                                    ? '통계가 이미 있습니다. 덮어쓰려면: /simtemplate apply <이름> force'
+                                    : `템플릿 적용 실패: ${result.error}`;
+                            }
+                            await stateManager.saveActiveState(context);
+                            return `템플릿 적용됨: ${template.name}`;
+                        }
+                        case 'rename': {
+                            if (!template || !name) return '사용법: /simtemplate rename <템플릿> <새 이름>';
+                            library.rename(template.id, name);
+                            stateManager.saveTemplates(context);
+                            return `이름 변경됨: ${template.name}`;
+                        }
+                        case 'duplicate': {
+                            if (!template) return `템플릿을 찾을 수 없음: ${ref}`;
+                            const copy = library.duplicate(template.id, name || `${template.name} 사본`);
+                            stateManager.saveTemplates(context);
+                            return `복제됨: ${copy.name}`;
+                        }
+                        case 'delete': {
+                            if (!template) return `템플릿을 찾을 수 없음: ${ref}`;
+                            library.remove(template.id);
+                            stateManager.saveTemplates(context);
+                            return `삭제됨: ${template.name}`;
+                        }
+                        case 'default': {
+                            if (ref.toLowerCase() === 'none') {
+                                library.setDefault(null);
+                                stateManager.saveTemplates(context);
+                                return '기본 템플릿이 해제되었습니다.';
+                            }
+                            if (!template) return `템플릿을 찾을 수 없음: ${ref}`;
+                            library.setDefault(template.id);
+                            stateManager.saveTemplates(context);
+                            return `기본 템플릿: ${template.name}`;
+                        }
+                        default:
+                            return '사용법: /simtemplate [list|save|apply|rename|duplicate|delete|default] <템플릿> [이름]';
+                    }
+                },
+                unnamedArgumentList: unnamedArgs({ description: '동작, 템플릿, 이름', typeList: [ArgType.STRING] }),
+                returns: 'Template list or result of change',
+                helpString: '템플릿을 관리합니다. 사용법: /simtemplate save RPG, /simtemplate apply RPG, /simtemplate default RPG, /simtemplate rename RPG 판타지'
+            }));
+
+            // /simrewind - restore a past turn
+            SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+                name: 'simrewind',
+                callback: async (args, value) => {
+                    const turn = parseInt(String(value).trim(), 10);
+                    if (isNaN(turn)) {
+                        return '사용법: /simrewind <turn>';
+                    }
+                    const result = stateManager.rewindTo(turn);
+                    if (!result.success) {
+                        return `해당 턴의 기록이 없습니다: ${turn}`;
+                    }
+                    await stateManager.saveActiveState(getContext());
+                    return `턴 ${result.turn}(으)로 되돌렸습니다.`;
+                },
+                unnamedArgumentList: unnamedArgs({ description: '되돌릴 턴', typeList: [ArgType.NUMBER], isRequired: true }),
+                returns: 'Confirmation message',
+                helpString: '시뮬레이션을 지정한 턴의 상태로 되돌립니다. 사용법: /simrewind 5'
+            }));
+
             log('Slash commands registered');
         } catch (error) {
             logError('Failed to register slash commands:', error);
@@ -1412,30 +2825,11 @@
     // Event Handlers
     // ========================================
     
-    async function onMessageReceived(messageIndex) {
-        const context = getContext();
-        if (!context) return;
-
+    function onMessageRendered(messageIndex) {
         try {
-            const chat = context.chat;
-            if (!chat || !chat[messageIndex]) return;
-
-            const message = chat[messageIndex];
-            if (message.is_user) return;
-
-            const messageText = message.mes || '';
-            if (!stateManager.parser.hasCommands(messageText)) return;
-
-            log('Processing message with stat commands');
-            const result = stateManager.processMessage(messageText);
-
-            if (result.success && result.changes.length > 0) {
-                log(`Applied ${result.changes.length} stat changes`);
-                await stateManager.saveState(context);
-                stateManager.tick();
-            }
+            uiController.renderMessageCommands(messageIndex);
         } catch (error) {
-            logError('Error processing message:', error);
+            logError('Error rendering message commands:', error);
         }
     }
 
@@ -1445,8 +2839,11 @@
 
         try {
             log('Chat changed, reloading state');
-            stateManager.initialize(context);
+            core.initialize();
+            uiController.offerCardDefinition(context);
             uiController.render();
+            uiController.renderAllMessageCommands();
+            core.refreshPromptInjection();
         } catch (error) {
             logError('Error on chat change:', error);
         }
@@ -1492,6 +2889,14 @@
                                 변경 알림 표시
                             </label>
                         </div>
+                        <div class="simbuilder-settings-row">
+                            <label for="simbuilder_command_display">명령 태그 표시:</label>
+                            <select id="simbuilder_command_display">
+                                <option value="show">원본 그대로</option>
+                                <option value="hide">숨기기</option>
+                                <option value="chip">변경 칩으로 표시</option>
+                            </select>
+                        </div>
                         <hr />
                         <div class="simbuilder-settings-info">
                             <p>버전: ${VERSION}</p>
@@ -1501,6 +2906,14 @@
                                 <li><code>{{hp:-10}}</code> - HP 10 감소</li>
                                 <li><code>{{mp:+5}}</code> - MP 5 증가</li>
                                 <li><code>{{hp:=50}}</code> - HP를 50으로 설정</li>
+                                <li><code>{{str:+5 for 3}}</code> - 3턴 동안 STR +5</li>
+                                <li><code>{{hp:-2d6}}</code>, <code>{{hp:-str/2}}</code> - 주사위와 수식</li>
+                            </ul>
+                            <p>다른 문법 (시뮬레이터 설정에서 켤 수 있음):</p>
+                            <ul>
+                                <li><code>&lt;stat id="hp" delta="-10"/&gt;</code> - XML 태그</li>
+                                <li><code>\`\`\`sim [{"id": "hp", "delta": -10}, {"id": "mp", "set": 50}]\`\`\`</code> - JSON 블록</li>
+                                <li><code>[hp -10]</code> - 대괄호</li>
                             </ul>
                         </div>
                     </div>
@@ -1517,6 +2930,7 @@
         const tokenModeSelect = document.getElementById('simbuilder_token_mode');
         const scopeSelect = document.getElementById('simbuilder_scope');
         const notificationsCheckbox = document.getElementById('simbuilder_notifications');
+        const commandDisplaySelect = document.getElementById('simbuilder_command_display');
 
         if (enabledCheckbox) {
             enabledCheckbox.checked = stateManager.settings.enabled;
@@ -1524,6 +2938,7 @@
                 stateManager.settings.enabled = enabledCheckbox.checked;
                 stateManager.saveSettings(context);
                 uiController.updateVisibility();
+                core.refreshPromptInjection();
             });
         }
 
@@ -1532,6 +2947,7 @@
             tokenModeSelect.addEventListener('change', () => {
                 stateManager.settings.tokenMode = tokenModeSelect.value;
                 stateManager.saveSettings(context);
+                core.refreshPromptInjection();
             });
         }
 
@@ -1551,6 +2967,15 @@
                 stateManager.saveSettings(context);
             });
         }
+
+        if (commandDisplaySelect) {
+            commandDisplaySelect.value = stateManager.settings.commandDisplay || CommandDisplay.SHOW;
+            commandDisplaySelect.addEventListener('change', () => {
+                stateManager.settings.commandDisplay = commandDisplaySelect.value;
+                stateManager.saveSettings(context);
+                uiController.renderAllMessageCommands();
+            });
+        }
     }
 
     // ========================================
@@ -1569,7 +2994,7 @@
         try {
             const { eventSource, event_types } = context;
 
-            if (!stateManager.initialize(context)) {
+            if (!core.initialize()) {
                 logError('Failed to initialize state manager');
                 return;
             }
@@ -1593,11 +3018,16 @@
             }
 
             if (eventSource && event_types) {
-                eventSource.on(event_types.MESSAGE_RECEIVED, onMessageReceived);
+                core.bindEvents();
                 eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
+                eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, onMessageRendered);
+                eventSource.on(event_types.USER_MESSAGE_RENDERED, onMessageRendered);
+                eventSource.on(event_types.MESSAGE_UPDATED, onMessageRendered);
                 log('Event listeners registered');
             }
 
+            registerSlashCommands();
+
             log('Initialization complete');
 
         } catch (error) {
@@ -1609,6 +3039,8 @@
     // Entry Point
     // ========================================
     
+    window.SimBuilder = createPublicApi(core);
+
     if (typeof jQuery !== 'undefined') {
         jQuery(async () => {
             await initExtension();
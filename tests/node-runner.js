@@ -0,0 +1,16 @@
+/**
+ * Simulation Builder - Node Test Entry
+ * Runs test-runner.js against the headless core: node tests/node-runner.js
+ * @module Tests
+ */
+
+const { SimulationCore, createPublicApi } = require('../core.js');
+
+global.window = { SimBuilder: createPublicApi(new SimulationCore()) };
+require('./test-runner.js');
+
+window.SimBuilderTests.run().then(() => {
+    const { runner } = window.SimBuilderTests;
+    // the headless core has every module, so a skipped section is a broken test
+    process.exitCode = runner.failed > 0 || runner.skipped.length > 0 ? 1 : 0;
+});
@@ -1,6 +1,7 @@
 /**
  * Simulation Builder - Unit Tests
- * Run these in browser console to verify functionality
+ * Run these in browser console to verify functionality,
+ * or headless with: node tests/node-runner.js
  * @module Tests
  */
 
@@ -9,6 +10,7 @@ const TestRunner = {
     passed: 0,
     failed: 0,
     errors: [],
+    skipped: [],
 
     assert(condition, message) {
         if (condition) {
@@ -37,11 +39,24 @@ const TestRunner = {
         this.assert(pass, message);
     },
 
+    // Sections whose modules are missing are listed in the summary, not passed silently
+    requires(modules, section) {
+        const missing = Object.keys(modules).filter(name => !modules[name]);
+        if (missing.length === 0) return true;
+        this.skipped.push(`${section} (${missing.join(', ')})`);
+        console.warn(`⚠️ ${section}: ${missing.join(', ')} not loaded, skipping...`);
+        return false;
+    },
+
     summary() {
         console.log('\n========================================');
         console.log(`Total: ${this.passed + this.failed}`);
         console.log(`Passed: ${this.passed} ✅`);
         console.log(`Failed: ${this.failed} ❌`);
+        if (this.skipped.length > 0) {
+            console.log(`Skipped sections: ${this.skipped.length} ⚠️`);
+            this.skipped.forEach(s => console.log(`  - ${s}`));
+        }
         if (this.errors.length > 0) {
             console.log('\nFailed tests:');
             this.errors.forEach(e => console.log(`  - ${e}`));
@@ -53,9 +68,24 @@ const TestRunner = {
         this.passed = 0;
         this.failed = 0;
         this.errors = [];
+        this.skipped = [];
     }
 };
 
+/**
+ * Headless core on an in-memory chat, already initialized.
+ * @param {string} chatId
+ * @param {object} [fields] - extra or replaced context fields
+ * @returns {{ core: object, context: object, initialized: boolean }}
+ */
+function createTestCore(chatId, fields = {}) {
+    const { SimulationCore } = window.SimBuilder.Core;
+    const context = { chat: [], chatMetadata: {}, extensionSettings: {}, saveMetadata: async () => {}, ...fields, chatId };
+    const core = new SimulationCore(context);
+    const initialized = core.initialize();
+    return { core, context, initialized };
+}
+
 // Import test (simulated for browser)
 async function runTests() {
     console.log('🧪 Starting Simulation Builder Tests...\n');
@@ -86,7 +116,7 @@ async function runTests() {
     // Test: clamp
     (() => {
         const { clamp } = window.SimBuilder?.Utils || {};
-        if (!clamp) return;
+        if (!TestRunner.requires({ clamp }, 'Utils')) return;
 
         TestRunner.assertEqual(clamp(50, 0, 100), 50, 'clamp: value in range');
         TestRunner.assertEqual(clamp(-10, 0, 100), 0, 'clamp: below min');
@@ -97,7 +127,7 @@ async function runTests() {
     // Test: SafeMath
     (() => {
         const { SafeMath } = window.SimBuilder?.Utils || {};
-        if (!SafeMath) return;
+        if (!TestRunner.requires({ SafeMath }, 'Utils')) return;
 
         TestRunner.assertEqual(SafeMath.add(0.1, 0.2), 0.3, 'SafeMath.add: 0.1 + 0.2 = 0.3');
         TestRunner.assertEqual(SafeMath.subtract(0.3, 0.1), 0.2, 'SafeMath.subtract: 0.3 - 0.1 = 0.2');
@@ -167,6 +197,23 @@ async function runTests() {
         TestRunner.assertEqual(collection.applyAll(100), 50, 'ModifierCollection: override wins');
     })();
 
+    (() => {
+        const { SimulationCore } = window.SimBuilder?.Core || {};
+        if (!TestRunner.requires({ SimulationCore }, 'StatModifier')) return;
+
+        const { core } = createTestCore('modifier-chat');
+        const { stateManager } = core;
+        const str = stateManager.getActiveState().statManager.add({ id: 'str', name: 'STR', baseValue: 10, maxValue: 100 });
+
+        stateManager.processMessage('Blessed {{str:+5 for 2}}');
+        TestRunner.assertEqual(str.finalValue, 15, 'StatModifier: timed modifier applied from message');
+        TestRunner.assertEqual(str.currentValue, 10, 'StatModifier: timed modifier leaves base value');
+        TestRunner.assertEqual(stateManager.tick().expired.length, 0, 'StatModifier: still active after one turn');
+        const { expired } = stateManager.tick();
+        TestRunner.assertEqual(expired[0]?.statId, 'str', 'StatModifier: expiry reported by tick');
+        TestRunner.assertEqual(str.finalValue, 10, 'StatModifier: expired modifier removed');
+    })();
+
     // ========================================
     // Stat Tests
     // ========================================
@@ -233,6 +280,54 @@ async function runTests() {
         TestRunner.assertEqual(stat.getDisplayString(), '100/100', 'Stat: fraction display');
     })();
 
+    // ========================================
+    // Derived Stat Tests
+    // ========================================
+    console.log('\n📦 Testing Derived Stats...');
+
+    (() => {
+        const { StatManager } = window.SimBuilder?.Stat || {};
+        if (!TestRunner.requires({ StatManager }, 'Derived Stats')) return;
+
+        const manager = new StatManager();
+        manager.add({ id: 'con', name: 'CON', baseValue: 10, maxValue: 100 });
+        manager.add({ id: 'level', name: 'Level', baseValue: 1, maxValue: 99 });
+        manager.add({ id: 'hp', name: 'HP', baseValue: 100, maxValue: 100, maxFormula: 'con * 10 + level * 5' });
+        manager.add({ id: 'carry', name: 'Carry', maxValue: 1000, formula: 'con * 2' });
+
+        TestRunner.assertEqual(manager.get('hp').maxValue, 105, 'Derived: maxFormula evaluated on add');
+        TestRunner.assertEqual(manager.get('carry').currentValue, 20, 'Derived: formula evaluated on add');
+
+        manager.modify('con', 5);
+        TestRunner.assertEqual(manager.get('hp').maxValue, 155, 'Derived: recalculated after modify');
+        TestRunner.assertEqual(manager.get('carry').currentValue, 30, 'Derived: dependent follows input');
+
+        const cycle = manager.setFormulas('con', { formula: 'carry / 2' });
+        TestRunner.assert(!cycle.success, 'Derived: cycle rejected');
+        TestRunner.assertEqual(manager.get('con').formula, '', 'Derived: rejected formula not kept');
+
+        const unknown = manager.setFormulas('carry', { formula: 'dex * 2' });
+        TestRunner.assert(!unknown.success, 'Derived: unknown reference rejected');
+
+        manager.resetAll();
+        TestRunner.assertEqual(manager.get('carry').currentValue, 20, 'Derived: recalculated after reset');
+        TestRunner.assertEqual(manager.get('hp').maxValue, 105, 'Derived: max recalculated after reset');
+    })();
+
+    (() => {
+        const { SimulationCore } = window.SimBuilder?.Core || {};
+        if (!TestRunner.requires({ SimulationCore }, 'Derived Stats')) return;
+
+        const { core } = createTestCore('derived-chat');
+        const sheet = core.stateManager.getActiveState().statManager;
+        sheet.add({ id: 'con', name: 'CON', baseValue: 10, maxValue: 100 });
+        sheet.add({ id: 'mhp', name: 'Max HP', maxValue: 1000, formula: 'con * 10' });
+
+        const result = core.stateManager.processMessage('{{mhp:-30}}');
+        TestRunner.assert(!result.changes[0].success, 'Derived: direct command on a formula stat rejected');
+        TestRunner.assertEqual(sheet.get('mhp').currentValue, 100, 'Derived: formula stat stays in sync');
+    })();
+
     // ========================================
     // Parser Tests
     // ========================================
@@ -275,6 +370,21 @@ async function runTests() {
         const stripped = parser.stripCommands('You take {{hp:-10}} damage!');
         TestRunner.assertEqual(stripped, 'You take  damage!', 'Parser: commands stripped');
 
+        // Test: Display modes, applied to the source text before it is formatted
+        const { CommandDisplay, prepareCommandDisplay, fillCommandChips, ParserSyntax } = window.SimBuilder?.Parser || {};
+        if (prepareCommandDisplay) {
+            const source = '*Ouch* {{hp:-10}} <stat id="mp" delta="+5"/>';
+            const xmlParser = new StatParser({ syntaxes: Object.values(ParserSyntax) });
+            TestRunner.assertEqual(prepareCommandDisplay(xmlParser, source, CommandDisplay.SHOW).text, source, 'Parser: show mode keeps text');
+            TestRunner.assertEqual(prepareCommandDisplay(xmlParser, source, CommandDisplay.HIDE).text, '*Ouch*  ', 'Parser: hide mode strips tag and XML commands');
+            const chips = prepareCommandDisplay(xmlParser, source, CommandDisplay.CHIP);
+            TestRunner.assertEqual(chips.commands.length, 2, 'Parser: chip mode keeps each command');
+            TestRunner.assert(!chips.text.includes('{{') && !chips.text.includes('<stat'), 'Parser: chip mode masks commands');
+            const formatted = `<p>${chips.text.replace(/\*(\w+)\*/, '<em>$1</em>')}</p>`;
+            const html = fillCommandChips(formatted, chips.commands, cmd => `[${cmd.statId}]`);
+            TestRunner.assertEqual(html, '<p><em>Ouch</em> [hp] [mp]</p>', 'Parser: chips filled in after formatting');
+        }
+
         // Test: First match rule
         const changes = parser.getStatChanges('{{hp:-10}} {{hp:-20}}');
         TestRunner.assertEqual(changes.get('hp').value, -10, 'Parser: first match wins');
@@ -298,6 +408,599 @@ async function runTests() {
         // Test: Whitespace tolerance
         const result6 = parser.parse('{{ hp : -10 }}')[0];
         TestRunner.assert(result6.isValid, 'Parser: whitespace tolerated');
+
+        // Test: Timed modifiers
+        const timed = parser.parse('{{str:+5 for 3}}')[0];
+        TestRunner.assertEqual(timed.type, ParseResultType.MODIFIER, 'Parser: duration makes a modifier');
+        TestRunner.assertEqual(timed.value, 5, 'Parser: modifier value parsed');
+        TestRunner.assertEqual(timed.duration, 3, 'Parser: modifier duration parsed');
+        const multiply = parser.parse('{{str:*1.5 for 2 turns}}')[0];
+        TestRunner.assertEqual(multiply.modifierType, 'multiply', 'Parser: multiply modifier with "turns"');
+        TestRunner.assertEqual(parser.parseValid('{{str:+5 for 0}}').length, 0, 'Parser: zero duration rejected');
+    })();
+
+    // ========================================
+    // Parser Syntax Tests
+    // ========================================
+    console.log('\n📦 Testing Parser Syntaxes...');
+
+    (() => {
+        const { StatParser, ParseResultType, ParserSyntax } = window.SimBuilder?.Parser || {};
+        if (!TestRunner.requires({ ParserSyntax }, 'Parser Syntaxes')) return;
+
+        const tags = new StatParser();
+        TestRunner.assert(!tags.hasCommands('You rolled {{roll:1d20}} and met {{char}}'), 'Syntax: ST macros ignored');
+        TestRunner.assertEqual(tags.parseValid('{{note:=a}b}}')[0]?.text, 'a}b', 'Syntax: close-tag char inside value');
+        TestRunner.assert(!tags.hasCommands('<stat id="hp" delta="-10"/>'), 'Syntax: inactive syntax ignored');
+
+        const parser = new StatParser({ syntaxes: Object.values(ParserSyntax) });
+        const xml = parser.parseValid('<stat id="hp" delta="-10"/> <stat id="mood" entity="alice" set="angry"/>');
+        TestRunner.assertEqual(xml[0].value, -10, 'Syntax: XML delta');
+        TestRunner.assertEqual(xml[1].entityId, 'alice', 'Syntax: XML entity');
+        TestRunner.assertEqual(xml[1].type, ParseResultType.SET, 'Syntax: XML set');
+
+        const json = parser.parseValid('Text\n```sim\n[{"id": "hp", "delta": -5}, {"id": "str", "delta": 2, "for": 3}]\n```');
+        TestRunner.assertEqual(json.length, 2, 'Syntax: JSON block with several changes');
+        TestRunner.assertEqual(json[1].duration, 3, 'Syntax: JSON modifier duration');
+        TestRunner.assertEqual(parser.parseValid('```sim {"hp": 5, "mp": -3}```')[1].value, -3, 'Syntax: JSON map form');
+        TestRunner.assertEqual(parser.parseValid('```sim {broken```').length, 0, 'Syntax: malformed JSON ignored');
+
+        const bracket = parser.parse('[HP -10] and [Eve - the witch]');
+        TestRunner.assertEqual(bracket.length, 1, 'Syntax: bracket prose ignored');
+        TestRunner.assertEqual(bracket[0].statId, 'hp', 'Syntax: bracket command');
+
+        const mixed = parser.replaceCommands('a {{hp:-1}} b [mp +2] c', (cmd) => cmd.statId);
+        TestRunner.assertEqual(mixed, 'a hp b mp c', 'Syntax: replace across syntaxes');
+        TestRunner.assertEqual(parser.formatRaw('hp', '=50', ParserSyntax.XML), '<stat id="hp" set="50"/>', 'Syntax: XML format');
+    })();
+
+    // ========================================
+    // Phrase Pattern Tests
+    // ========================================
+    console.log('\n📦 Testing Phrase Patterns...');
+
+    (() => {
+        const { PhraseExtractor, PhraseOperation } = window.SimBuilder?.Parser || {};
+        const { StatManager } = window.SimBuilder?.Stat || {};
+        if (!TestRunner.requires({ PhraseExtractor, StatManager }, 'Phrase Patterns')) return;
+
+        const manager = new StatManager();
+        manager.add({ id: 'hp', name: 'HP', aliases: ['체력', 'health'] });
+        TestRunner.assertEqual(manager.find('Health')?.id, 'hp', 'Phrase: stat found by alias');
+
+        const resolve = (name) => {
+            const stat = PhraseExtractor.candidates(name).map(n => manager.find(n)).find(Boolean);
+            return stat ? { statId: stat.id } : null;
+        };
+        const patterns = [
+            { id: 'lose', pattern: 'loses {amount} {stat}', operation: PhraseOperation.SUBTRACT },
+            { id: 'ko', pattern: '{stat}[이가] {amount}\\s*감소', operation: PhraseOperation.SUBTRACT },
+            { id: 'fixed', pattern: 'heals? {amount}', operation: PhraseOperation.ADD, stat: 'hp' }
+        ];
+        const extractor = new PhraseExtractor();
+        const results = extractor.match('She loses 10 HP, loses 3 gold. 체력이 5 감소했다. Heal 2', patterns, resolve);
+        TestRunner.assertEqual(results.length, 4, 'Phrase: all patterns matched');
+        TestRunner.assertEqual(results[0].command.value, -10, 'Phrase: amount captured');
+        TestRunner.assertEqual(results[1].command, null, 'Phrase: unknown stat has no command');
+        TestRunner.assertEqual(results[2].command?.statId, 'hp', 'Phrase: Korean particle stripped');
+        TestRunner.assertEqual(results[3].command?.value, 2, 'Phrase: fixed stat');
+        TestRunner.assert(!extractor.validate({ pattern: 'loses {stat}' }).success, 'Phrase: amount required');
+        TestRunner.assert(!extractor.validate({ pattern: '(broken {amount} {stat}' }).success, 'Phrase: bad regex rejected');
+    })();
+
+    // ========================================
+    // Expression Tests
+    // ========================================
+    console.log('\n📦 Testing Expression Module...');
+
+    (() => {
+        const { ExpressionEvaluator } = window.SimBuilder?.Expression || {};
+        if (!ExpressionEvaluator) {
+            console.warn('Expression not loaded, skipping...');
+            return;
+        }
+
+        // Every die rolls its maximum
+        const evaluator = new ExpressionEvaluator({ random: () => 0.999 });
+        const stats = { str: 10 };
+        const resolve = (id) => stats[id];
+
+        TestRunner.assertEqual(evaluator.evaluate('-2d6').value, -12, 'Expression: dice roll');
+        TestRunner.assertEqual(evaluator.evaluate('+1d20*10').value, 200, 'Expression: dice with multiply');
+        TestRunner.assertEqual(evaluator.evaluate('-str/2', resolve).value, -5, 'Expression: stat reference');
+        TestRunner.assertEqual(evaluator.evaluate('max(1, round(2.6))').value, 3, 'Expression: functions');
+        TestRunner.assertEqual(evaluator.evaluate('(1 + 2) * 3').value, 9, 'Expression: parentheses');
+        TestRunner.assertEqual(evaluator.evaluate('3d6').rolls[0].results.length, 3, 'Expression: rolls reported');
+        TestRunner.assert(!evaluator.isValid('alert(1)'), 'Expression: unknown function rejected');
+        TestRunner.assert(!evaluator.isValid('a.b'), 'Expression: invalid characters rejected');
+
+        let threw = false;
+        try { evaluator.evaluate('1/0'); } catch (e) { threw = true; }
+        TestRunner.assert(threw, 'Expression: division by zero throws');
+    })();
+
+    await (async () => {
+        const { SimulationCore } = window.SimBuilder?.Core || {};
+        if (!TestRunner.requires({ SimulationCore }, 'Expression')) return;
+
+        const { core, context } = createTestCore('dice-chat');
+        const sheet = core.stateManager.getActiveState().statManager;
+        sheet.add({ id: 'gold', name: 'Gold', baseValue: 0, maxValue: 100 });
+        const faces = [0.1, 0.5, 0.9];
+        core.stateManager.parser.evaluator.random = () => faces.shift() ?? 0;
+
+        context.chat.push({ mes: 'Loot {{gold:+1d10*10}}', is_user: false, swipe_id: 0 });
+        await core.onMessageReceived(0);
+        TestRunner.assertEqual(sheet.get('gold').currentValue, 20, 'Expression: dice rolled on first apply');
+        await core.onMessageEdited(0);
+        TestRunner.assertEqual(sheet.get('gold').currentValue, 20, 'Expression: unchanged text reuses its rolls');
+        context.chat[0].mes = 'Loot {{gold:+1d10}}';
+        await core.onMessageEdited(0);
+        TestRunner.assertEqual(sheet.get('gold').currentValue, 6, 'Expression: edited text rolls again');
+    })();
+
+    // ========================================
+    // Rule Tests
+    // ========================================
+    console.log('\n📦 Testing Rules Module...');
+
+    (() => {
+        const { Rule, RuleSet } = window.SimBuilder?.Rules || {};
+        if (!Rule) {
+            console.warn('Rules not loaded, skipping...');
+            return;
+        }
+
+        const below = new Rule({ statId: 'hp', condition: 'crosses_below', threshold: 20, actions: [{ type: 'notify', text: 'low' }] });
+        TestRunner.assert(below.matches('hp', 25, 15), 'Rule: crosses below fires');
+        TestRunner.assert(!below.matches('hp', 15, 10), 'Rule: already below does not fire');
+        TestRunner.assert(!below.matches('mp', 25, 15), 'Rule: other stat ignored');
+
+        const reaches = new Rule({ statId: 'affection', condition: 'reaches', threshold: 100, actions: [{ type: 'notify' }] });
+        TestRunner.assert(reaches.matches('affection', 95, 100), 'Rule: reaches fires at threshold');
+
+        const rules = new RuleSet();
+        const once = rules.add({ statId: 'hp', condition: 'changes', mode: 'once', actions: [{ type: 'notify' }] });
+        TestRunner.assertEqual(rules.findTriggered('hp', 10, 5).length, 1, 'RuleSet: once rule triggers');
+        once.fired = true;
+        TestRunner.assertEqual(rules.findTriggered('hp', 5, 1).length, 0, 'RuleSet: once rule does not repeat');
+        rules.resetFired();
+        TestRunner.assertEqual(rules.findTriggered('hp', 5, 1).length, 1, 'RuleSet: resetFired re-arms rules');
+
+        const restored = new RuleSet().fromJSON(JSON.parse(JSON.stringify(rules.toJSON())));
+        TestRunner.assertEqual(restored.size, 1, 'RuleSet: survives JSON round trip');
+    })();
+
+    // ========================================
+    // Change Journal Tests
+    // ========================================
+    console.log('\n📦 Testing Change Journal...');
+
+    (() => {
+        const { ChangeJournal } = window.SimBuilder?.Journal || {};
+        if (!ChangeJournal) {
+            console.warn('Journal not loaded, skipping...');
+            return;
+        }
+
+        const journal = new ChangeJournal();
+        const first = journal.record({ chatId: 'c', messageIndex: 1, before: { stats: [{ id: 'hp', currentValue: 100 }] }, changes: [{ statId: 'hp', actualChange: -10 }] });
+        journal.record({ chatId: 'c', messageIndex: 3, before: { stats: [{ id: 'hp', currentValue: 90 }] }, changes: [] });
+
+        TestRunner.assertEqual(journal.size, 2, 'Journal: entries recorded');
+        TestRunner.assert(!journal.isLatest(first), 'Journal: older entry is not latest');
+        TestRunner.assertEqual(journal.findFrom('c', 2).length, 1, 'Journal: findFrom filters by index');
+
+        journal.rebaseAfter(first);
+        TestRunner.assertEqual(journal.find('c', 3).before.stats[0].currentValue, 100, 'Journal: later snapshot rebased');
+
+        journal.record({ chatId: 'c', messageIndex: 3, swipeId: 1, before: {}, changes: [] });
+        TestRunner.assertEqual(journal.size, 2, 'Journal: one entry per message');
+        TestRunner.assertEqual(journal.find('c', 3).swipeId, 1, 'Journal: newer swipe replaces entry');
+    })();
+
+    // ========================================
+    // Snapshot History Tests
+    // ========================================
+    console.log('\n📦 Testing Snapshot History...');
+
+    (() => {
+        const { SimulationState } = window.SimBuilder?.History || {};
+        if (!SimulationState) {
+            console.warn('History not loaded, skipping...');
+            return;
+        }
+
+        const state = new SimulationState();
+        state.statManager.add({ id: 'hp', name: 'HP', baseValue: 100, maxValue: 100 });
+        for (let i = 0; i < 4; i++) {
+            state.statManager.modify('hp', -10);
+            state.tick();
+        }
+
+        TestRunner.assertEqual(state.history.getTurns().join(','), '0,1,2,3,4', 'History: snapshot per tick after the initial one');
+        state.history.trim(2, 0);
+        TestRunner.assertEqual(state.history.getTurns().join(','), '3,4', 'History: trimmed to limit');
+
+        state.restoreSnapshot(state.history.get(3));
+        TestRunner.assertEqual(state.turnCount, 3, 'History: turn restored');
+        TestRunner.assertEqual(state.statManager.get('hp').currentValue, 70, 'History: values restored');
+        TestRunner.assertEqual(state.history.getTurns().join(','), '3', 'History: later turns dropped');
+    })();
+
+    (() => {
+        const { SimulationCore } = window.SimBuilder?.Core || {};
+        if (!TestRunner.requires({ SimulationCore }, 'Snapshot History')) return;
+
+        const { core } = createTestCore('rewind-chat');
+        const { stateManager } = core;
+        const sheet = stateManager.getActiveState().statManager;
+        sheet.add({ id: 'hp', name: 'HP', baseValue: 100, maxValue: 100 });
+        sheet.get('hp').modify(-20);
+
+        stateManager.applyMessage('{{hp:-10}}', { chatId: 'rewind-chat', messageIndex: 0 });
+        stateManager.applyMessage('{{hp:-10}}', { chatId: 'rewind-chat', messageIndex: 1 });
+        TestRunner.assert(stateManager.rewindTo(0).success, 'History: rewind to turn 0');
+        TestRunner.assertEqual(sheet.get('hp').currentValue, 80, 'History: turn 0 is the setup before the first message');
+        TestRunner.assertEqual(stateManager.getActiveState().turnCount, 0, 'History: rewind to turn 0 restores the turn count');
+
+        stateManager.applyMessage('{{hp:-5}}', { chatId: 'rewind-chat', messageIndex: 0 });
+        stateManager.reset();
+        TestRunner.assertEqual(stateManager.getActiveState().history.getTurns().join(','), '0', 'History: reset keeps a turn 0 snapshot');
+        stateManager.applyMessage('{{hp:-30}}', { chatId: 'rewind-chat', messageIndex: 0 });
+        TestRunner.assertEqual(sheet.get('hp').currentValue, 70, 'History: message applied after reset');
+        TestRunner.assert(stateManager.rewindTo(0).success, 'History: rewind to turn 0 after reset');
+        TestRunner.assertEqual(sheet.get('hp').currentValue, 100, 'History: rewind after reset restores base values');
+        TestRunner.assertEqual(stateManager.getActiveState().turnCount, 0, 'History: rewind after reset returns to turn 0');
+    })();
+
+    // ========================================
+    // Typed Stat Tests
+    // ========================================
+    console.log('\n📦 Testing Typed Stats...');
+
+    (() => {
+        const { Stat, StatType } = window.SimBuilder?.Stat || {};
+        if (!Stat || !StatType) {
+            console.warn('Typed stats not loaded, skipping...');
+            return;
+        }
+
+        const flag = new Stat({ id: 'poisoned', type: StatType.BOOLEAN });
+        TestRunner.assertEqual(flag.currentValue, false, 'Typed: flag defaults to off');
+        flag.set(flag.coerce('on'));
+        TestRunner.assertEqual(flag.currentValue, true, 'Typed: flag accepts on');
+        TestRunner.assertEqual(flag.numericValue, 1, 'Typed: flag counts as 1 in formulas');
+
+        const mood = new Stat({ id: 'mood', type: StatType.ENUM, options: ['calm', 'angry'] });
+        TestRunner.assertEqual(mood.currentValue, 'calm', 'Typed: enum defaults to first option');
+        TestRunner.assertEqual(mood.coerce('ANGRY'), 'angry', 'Typed: enum matches case-insensitively');
+        TestRunner.assertEqual(mood.coerce('happy'), undefined, 'Typed: enum rejects unknown option');
+
+        const location = new Stat({ id: 'location', type: StatType.TEXT, baseValue: 'home' });
+        location.set('the old tavern');
+        TestRunner.assertEqual(location.getDisplayString(), 'the old tavern', 'Typed: text displayed as-is');
+        TestRunner.assertEqual(new Stat({ id: 'hp' }).type, StatType.NUMBER, 'Typed: numeric is the default');
+    })();
+
+    (() => {
+        const { SimulationCore } = window.SimBuilder?.Core || {};
+        if (!TestRunner.requires({ SimulationCore }, 'Typed Stats')) return;
+
+        const { core } = createTestCore('typed-chat');
+        const sheet = core.stateManager.getActiveState().statManager;
+        sheet.add({ id: 'goal', name: 'Goal', type: 'text', baseValue: 'none' });
+        sheet.add({ id: 'str', name: 'STR', baseValue: 10 });
+
+        core.stateManager.processMessage('{{goal:=wait for 3 turns}} {{str:+5 for 2}}');
+        TestRunner.assertEqual(sheet.get('goal').currentValue, 'wait for 3 turns', 'Typed: text ending in "for N turns" kept whole');
+        TestRunner.assertEqual(sheet.get('str').modifiers.size, 1, 'Typed: numeric duration still a modifier');
+    })();
+
+    // ========================================
+    // Regeneration Tests
+    // ========================================
+    console.log('\n📦 Testing Regeneration...');
+
+    (() => {
+        const { SimulationState } = window.SimBuilder?.History || {};
+        if (!SimulationState) {
+            console.warn('Regeneration not loaded, skipping...');
+            return;
+        }
+
+        const state = new SimulationState();
+        state.statManager.add({ id: 'hunger', baseValue: 6, regen: { amount: -2, condition: 'above', threshold: 3 } });
+        state.statManager.add({ id: 'mp', baseValue: 50, maxValue: 200, regen: { amount: 5, percent: true } });
+
+        const { regenerated } = state.tick();
+        TestRunner.assertEqual(regenerated.length, 2, 'Regen: tick reports each change');
+        TestRunner.assertEqual(state.statManager.get('mp').currentValue, 60, 'Regen: percent of max');
+
+        state.tick();
+        TestRunner.assertEqual(state.statManager.get('hunger').currentValue, 3, 'Regen: stops at threshold');
+        TestRunner.assertEqual(state.tick().regenerated.length, 1, 'Regen: condition no longer met');
+    })();
+
+    // ========================================
+    // World Clock Tests
+    // ========================================
+    console.log('\n📦 Testing World Clock...');
+
+    (() => {
+        const { WorldClock } = window.SimBuilder?.Clock || {};
+        const { StatParser } = window.SimBuilder?.Parser || {};
+        if (!WorldClock || !StatParser) {
+            console.warn('World clock not loaded, skipping...');
+            return;
+        }
+
+        const [advance, setTime] = new StatParser().parseValid('{{time:+1d 2h}} {{time:=08:00}}');
+        TestRunner.assertEqual(advance.days, 1, 'Clock: parser reads days');
+        TestRunner.assertEqual(advance.minutes, 120, 'Clock: parser reads hours as minutes');
+        TestRunner.assertEqual(setTime.hour, 8, 'Clock: parser reads time of day');
+
+        const clock = new WorldClock({ enabled: true, calendar: { startHour: 20 } });
+        TestRunner.assertEqual(clock.phase, 'night', 'Clock: evening is night');
+        clock.setTimeOfDay(8, 0);
+        TestRunner.assertEqual(clock.formatTime(), '08:00', 'Clock: time of day set');
+        TestRunner.assertEqual(clock.dayNumber, 2, 'Clock: earlier hour rolls to next day');
+
+        clock.advance(30 * 24 * 60);
+        TestRunner.assertEqual(clock.monthName, 'February', 'Clock: months roll over');
+    })();
+
+    // ========================================
+    // Entity Tests
+    // ========================================
+    console.log('\n📦 Testing Entities...');
+
+    (() => {
+        const { SimulationState } = window.SimBuilder?.History || {};
+        const { StatParser } = window.SimBuilder?.Parser || {};
+        if (!SimulationState || !StatParser) {
+            console.warn('Entities not loaded, skipping...');
+            return;
+        }
+
+        const parser = new StatParser();
+        const [cmd] = parser.parseValid('{{Alice.HP:-5}}');
+        TestRunner.assertEqual(cmd.entityId, 'alice', 'Entities: parser reads entity prefix');
+        TestRunner.assertEqual(cmd.statId, 'hp', 'Entities: parser reads qualified stat');
+
+        const state = new SimulationState();
+        state.statManager.add({ id: 'hp', name: 'HP', baseValue: 100, maxValue: 100 });
+        TestRunner.assert(state.addEntity({ name: 'Alice' }).success, 'Entities: entity added');
+        TestRunner.assert(!state.addEntity({ id: 'main' }).success, 'Entities: main id is reserved');
+
+        state.getSheet('alice').get('hp').modify(-30);
+        TestRunner.assertEqual(state.statManager.get('hp').currentValue, 100, 'Entities: sheets are independent');
+
+        state.statManager.add({ id: 'mp', name: 'MP' });
+        state.syncEntities();
+        TestRunner.assert(state.getSheet('alice').has('mp'), 'Entities: new definitions reach every sheet');
+        TestRunner.assertEqual(state.getSheet('alice').get('hp').currentValue, 70, 'Entities: sync keeps values');
+
+        const first = state.addEntity({ name: '앨리스' });
+        const second = state.addEntity({ name: '밥' });
+        TestRunner.assert(first.success && second.success, 'Entities: several non-ASCII names added');
+        TestRunner.assert(first.entity.id !== second.entity.id, 'Entities: generated ids are unique');
+        TestRunner.assertEqual(second.entity.name, '밥', 'Entities: display name kept');
+        TestRunner.assertEqual(state.findEntity('앨리스'), first.entity, 'Entities: found by display name');
+        TestRunner.assert(!state.addEntity({ name: '밥' }).success, 'Entities: duplicate name rejected');
+    })();
+
+    // ========================================
+    // Inventory Tests
+    // ========================================
+    console.log('\n📦 Testing Inventory...');
+
+    (() => {
+        const { Inventory } = window.SimBuilder?.Inventory || {};
+        const { StatParser } = window.SimBuilder?.Parser || {};
+        if (!Inventory || !StatParser) {
+            console.warn('Inventory not loaded, skipping...');
+            return;
+        }
+
+        const [cmd] = new StatParser().parseValid('{{item:+Healing Potion x2}}');
+        TestRunner.assertEqual(cmd.itemName, 'Healing Potion', 'Inventory: parser reads item name');
+        TestRunner.assertEqual(cmd.quantity, 2, 'Inventory: parser reads quantity');
+
+        const inventory = new Inventory();
+        inventory.add({ name: 'Healing Potion' }, 2);
+        inventory.add('healing potion');
+        TestRunner.assertEqual(inventory.get('healing_potion').quantity, 3, 'Inventory: same item stacks');
+        TestRunner.assertEqual(inventory.remove('key'), null, 'Inventory: removing missing item fails');
+
+        const result = inventory.remove('Healing Potion', 5);
+        TestRunner.assertEqual(result.actualChange, -3, 'Inventory: removal capped at held quantity');
+        TestRunner.assertEqual(inventory.size, 0, 'Inventory: empty stack removed');
+
+        inventory.add('포션', 2);
+        inventory.add('열쇠');
+        TestRunner.assertEqual(inventory.size, 2, 'Inventory: non-ASCII names are separate items');
+        inventory.remove('열쇠');
+        TestRunner.assertEqual(inventory.get('포션').quantity, 2, 'Inventory: removal by non-ASCII name hits that item');
+        TestRunner.assert(!inventory.has('열쇠'), 'Inventory: removed non-ASCII item gone');
+    })();
+
+    // ========================================
+    // Template Tests
+    // ========================================
+    console.log('\n📦 Testing Templates...');
+
+    (() => {
+        const { TemplateLibrary } = window.SimBuilder?.Templates || {};
+        const { SimulationState } = window.SimBuilder?.History || {};
+        if (!TemplateLibrary || !SimulationState) {
+            console.warn('Templates not loaded, skipping...');
+            return;
+        }
+
+        const source = new SimulationState();
+        source.statManager.add({ id: 'hp', name: 'HP', baseValue: 100, maxValue: 100 });
+        source.statManager.get('hp').modify(-40);
+
+        const library = new TemplateLibrary();
+        const template = library.create('RPG', source);
+        TestRunner.assertEqual(template.stats[0].currentValue, 100, 'Templates: values reset to base');
+        TestRunner.assertEqual(library.find('rpg'), template, 'Templates: find by name');
+
+        const copy = library.duplicate(template.id, 'RPG 2');
+        library.setDefault(copy.id);
+        library.remove(copy.id);
+        TestRunner.assertEqual(library.getDefault(), null, 'Templates: deleting default clears it');
+
+        const target = new SimulationState();
+        library.applyTo(target, template.id);
+        TestRunner.assertEqual(target.statManager.get('hp').currentValue, 100, 'Templates: apply creates stats');
+    })();
+
+    await (async () => {
+        const { SimulationCore } = window.SimBuilder?.Core || {};
+        const { captureDefinition, applyDefinition } = window.SimBuilder?.Templates || {};
+        const { SimulationState } = window.SimBuilder?.History || {};
+        if (!TestRunner.requires({ SimulationCore, captureDefinition, SimulationState }, 'Character Cards')) return;
+
+        const source = new SimulationState();
+        source.statManager.add({ id: 'hp', name: 'HP', baseValue: 80, maxValue: 100 });
+        source.statManager.get('hp').modify(-30);
+        const definition = captureDefinition(source);
+        TestRunner.assertEqual(definition.stats[0].currentValue, 80, 'Cards: captured values reset to base');
+        const copy = new SimulationState();
+        applyDefinition(copy, JSON.parse(JSON.stringify(definition)));
+        TestRunner.assertEqual(copy.statManager.get('hp').maxValue, 100, 'Cards: definition survives JSON round trip');
+
+        const character = { name: 'Alice', data: { extensions: {} } };
+        const characters = [character];
+        const { core, context } = createTestCore('card-chat', {
+            characters,
+            characterId: 0,
+            writeExtensionField: async (id, key, value) => { characters[id].data.extensions[key] = value; }
+        });
+        const { stateManager } = core;
+        TestRunner.assert(!(await stateManager.exportToCard(context)).success, 'Cards: empty state not exported');
+        stateManager.getActiveState().statManager.add({ id: 'mana', name: 'Mana', baseValue: 50, maxValue: 50 });
+        stateManager.getActiveState().statManager.get('mana').modify(-20);
+        const result = await stateManager.exportToCard(context);
+        TestRunner.assertEqual(result.character, 'Alice', 'Cards: export writes to the selected character');
+        const saved = Object.values(character.data.extensions)[0];
+        TestRunner.assertEqual(saved?.stats[0].currentValue, 50, 'Cards: exported stats at base value');
+        TestRunner.assertEqual(stateManager.getPendingCardDefinition(context), null, 'Cards: exporting chat not asked to load');
+
+        const { core: fresh } = createTestCore('card-chat-2', { ...context, chatMetadata: {} });
+        TestRunner.assertEqual(fresh.stateManager.getActiveState().statManager.get('mana')?.currentValue, 50, 'Cards: new chat starts from the card');
+
+        const { core: other } = createTestCore('card-chat-3', { ...context, chatMetadata: {}, characterId: undefined });
+        other.stateManager.getActiveState().statManager.add({ id: 'gold', name: 'Gold', baseValue: 5, maxValue: 100 });
+        TestRunner.assert(other.stateManager.getPendingCardDefinition(context), 'Cards: chat with other stats is asked to load');
+        TestRunner.assert(!other.stateManager.loadFromCard(context).success, 'Cards: load refuses a non-empty state');
+        TestRunner.assert(other.stateManager.loadFromCard(context, { force: true }).success, 'Cards: forced load succeeds');
+        TestRunner.assert(other.stateManager.getActiveState().statManager.has('mana'), 'Cards: forced load applies the card');
+        TestRunner.assertEqual(other.stateManager.getPendingCardDefinition(context), null, 'Cards: loaded card not asked again');
+
+        const key = Object.keys(character.data.extensions)[0];
+        character.data.extensions[key] = { stats: [null] };
+        const { core: broken, initialized } = createTestCore('card-chat-4', { ...context, chatMetadata: {} });
+        TestRunner.assert(initialized, 'Cards: malformed card does not break initialization');
+        TestRunner.assertEqual(broken.stateManager.getActiveState().statManager.getAll().length, 0, 'Cards: malformed card falls back to defaults');
+
+        character.data.extensions[key] = {
+            stats: [{ id: 'hp', name: 'HP', baseValue: 10, maxValue: 10 }],
+            rules: [{ statId: 'hp', condition: 'changes', mode: 'repeat', actions: [
+                { type: 'slash_command', text: '/echo pwned' },
+                { type: 'notify', text: 'hurt' }
+            ] }]
+        };
+        const { core: ruled } = createTestCore('card-chat-5', { ...context, chatMetadata: {} });
+        const actions = ruled.stateManager.getActiveState().rules.getAll()[0]?.actions || [];
+        TestRunner.assertEqual(actions.map(action => action.type).join(','), 'notify', 'Cards: slash command actions stripped from card rules');
+        TestRunner.assert(!ruled.stateManager.getPendingCardDefinition({ ...context, chatMetadata: {} }), 'Cards: stripped card still recognized as applied');
+    })();
+
+    // ========================================
+    // Import Schema Tests
+    // ========================================
+    console.log('\n📦 Testing Import Schema...');
+
+    (() => {
+        const { validateExport, migrateExport, SCHEMA_VERSION } = window.SimBuilder?.Import || {};
+        if (!validateExport || !migrateExport) {
+            console.warn('Import not loaded, skipping...');
+            return;
+        }
+
+        const legacy = { id: 'sim', statManager: { stats: [{ id: 'hp', name: 'HP' }] } };
+        const { data, migratedFrom } = migrateExport(legacy);
+        TestRunner.assertEqual(migratedFrom, 1, 'Import: bare state detected as schema 1');
+        TestRunner.assertEqual(data.schemaVersion, SCHEMA_VERSION, 'Import: migrated to current schema');
+        TestRunner.assertEqual(validateExport(data).length, 0, 'Import: migrated legacy export is valid');
+
+        const errors = validateExport({ state: { statManager: { stats: [{ id: 'hp', maxValue: 'lots' }] } } });
+        TestRunner.assertEqual(errors[0]?.path, 'state.statManager.stats[0].maxValue', 'Import: error names the field');
+        TestRunner.assert(validateExport({ state: {} }).length > 0, 'Import: missing stats rejected');
+
+        const { SimulationCore } = window.SimBuilder?.Core || {};
+        if (SimulationCore) {
+            const { core } = createTestCore('import-chat');
+            TestRunner.assertEqual(core.stateManager.prepareImport('[1,2]').errors[0]?.message, 'expected an object', 'Import: JSON array reported as not an object');
+            TestRunner.assertEqual(core.stateManager.prepareImport('"x"').errors[0]?.message, 'expected an object', 'Import: JSON string reported as not an object');
+            TestRunner.assertEqual(core.stateManager.prepareImport('{oops').errors[0]?.message, 'not valid JSON', 'Import: broken JSON reported as invalid');
+        }
+
+        const { parseCsv, rowsToStats } = window.SimBuilder?.Import || {};
+        if (parseCsv && rowsToStats) {
+            const rows = parseCsv('id,name,max,current\r\nhp,"Health, ""main""",200,150\n');
+            TestRunner.assertEqual(rows[0].name, 'Health, "main"', 'Import: CSV quoted cell');
+            const { stats, errors } = rowsToStats(rows);
+            TestRunner.assertEqual(stats[0].maxValue, 200, 'Import: CSV numbers converted');
+            TestRunner.assertEqual(errors.length, 0, 'Import: CSV row valid');
+            TestRunner.assertEqual(rowsToStats([{ id: 'hp', max: 'lots' }]).errors[0]?.path, 'row 1.max', 'Import: CSV error names row and column');
+        }
+
+        const { parseYaml, toYaml, statsToRows } = window.SimBuilder?.Import || {};
+        const { Stat } = window.SimBuilder?.Stat || {};
+        if (parseYaml && toYaml && Stat) {
+            const yaml = toYaml(statsToRows([new Stat({ id: 'hp1', name: 'HP #1', color: '#ff0000', category: "it's # fine" })]));
+            const { rows, errors } = parseYaml(`${yaml}  # trailing comment\n`);
+            TestRunner.assertEqual(rows[0].name, 'HP #1', 'Import: YAML keeps "#" inside quoted names');
+            TestRunner.assertEqual(rows[0].color, '#ff0000', 'Import: YAML keeps quoted colours');
+            TestRunner.assertEqual(rows[0].category, "it's # fine", 'Import: YAML keeps "#" after quotes');
+            TestRunner.assertEqual(errors.length, 0, 'Import: YAML comments still skipped');
+        }
+    })();
+
+    // ========================================
+    // Prompt Injection Tests
+    // ========================================
+    console.log('\n📦 Testing Prompt Module...');
+
+    (() => {
+        const { PromptInjector } = window.SimBuilder?.Prompt || {};
+        const { StatManager } = window.SimBuilder?.Stat || {};
+        if (!PromptInjector || !StatManager) {
+            console.warn('Prompt not loaded, skipping...');
+            return;
+        }
+
+        const manager = new StatManager();
+        manager.add({ id: 'hp', name: 'HP', baseValue: 80, maxValue: 100 });
+        const injector = new PromptInjector();
+        const settings = { enabled: true, tokenMode: 'minimal', parserConfig: { openTag: '{{', closeTag: '}}', separator: ':' } };
+
+        TestRunner.assertEqual(injector.buildPrompt(manager.getVisible(), settings), '[Stats: HP 80/100]', 'Prompt: minimal summary');
+
+        settings.tokenMode = 'zero';
+        TestRunner.assertEqual(injector.buildPrompt(manager.getVisible(), settings), '', 'Prompt: zero mode is empty');
+
+        settings.tokenMode = 'full';
+        const full = injector.buildPrompt(manager.getVisible(), settings);
+        TestRunner.assert(full.includes('range 0~100'), 'Prompt: full mode lists range');
+        TestRunner.assert(full.includes('{{hp:-10}}'), 'Prompt: full mode shows command syntax');
+
+        settings.enabled = false;
+        TestRunner.assertEqual(injector.buildPrompt(manager.getVisible(), settings), '', 'Prompt: disabled is empty');
     })();
 
     // ========================================
@@ -334,6 +1037,328 @@ async function runTests() {
         TestRunner.assertEqual(manager.get('mp').currentValue, 45, 'Integration: MP decreased');
     })();
 
+    // ========================================
+    // Headless Core Tests
+    // ========================================
+    console.log('\n📦 Testing Headless Core...');
+
+    await (async () => {
+        const { SimulationCore, StateScope } = window.SimBuilder?.Core || {};
+        if (!TestRunner.requires({ SimulationCore }, 'Headless Core')) return;
+
+        const { core, context, initialized } = createTestCore('test-chat', { saveSettingsDebounced: () => {} });
+        TestRunner.assert(initialized, 'Core: initializes from an injected context');
+        const { stateManager } = core;
+        stateManager.getActiveState().statManager.add({ id: 'hp', name: 'HP', baseValue: 100, maxValue: 100 });
+
+        context.chat.push({ mes: 'Ouch {{hp:-15}}', is_user: false, swipe_id: 0 });
+        TestRunner.assert(await core.onMessageReceived(0), 'Core: message processed');
+        context.chat[0].mes = 'Ouch {{hp:-5}}';
+        await core.onMessageEdited(0);
+        TestRunner.assertEqual(stateManager.getActiveState().statManager.get('hp').currentValue, 95, 'Core: edit re-applies message');
+
+        context.chat.push({ mes: '{{hp:-50}}', is_user: true });
+        TestRunner.assert(!(await core.onMessageReceived(1)), 'Core: user message ignored');
+
+        const { core: reloaded } = createTestCore('test-chat', context);
+        TestRunner.assertEqual(reloaded.stateManager.getActiveState().statManager.get('hp').currentValue, 95, 'Core: chat state persisted');
+
+        stateManager.setStateScope(StateScope.GLOBAL);
+        stateManager.getActiveState().statManager.add({ id: 'gold', name: 'Gold', baseValue: 10, maxValue: 1000 });
+        context.chat.push({ mes: 'Paid {{gold:+5}}', is_user: false, swipe_id: 0 });
+        await core.onMessageReceived(2);
+        reloaded.initialize();
+        TestRunner.assertEqual(reloaded.stateManager.globalState.statManager.get('gold').currentValue, 15, 'Core: global scope saved to settings');
+        TestRunner.assert(!reloaded.stateManager.currentState.statManager.has('gold'), 'Core: chat state untouched in global scope');
+    })();
+
+    await (async () => {
+        const { SimulationCore } = window.SimBuilder?.Core || {};
+        if (!TestRunner.requires({ SimulationCore }, 'Headless Core')) return;
+
+        const { core, context } = createTestCore('delete-chat');
+        const sheet = core.stateManager.getActiveState().statManager;
+        sheet.add({ id: 'hp', name: 'HP', baseValue: 100, maxValue: 100 });
+        sheet.add({ id: 'gold', name: 'Gold', baseValue: 0, maxValue: 1000 });
+        const messages = ['Hello.', 'A trap! {{hp:-10}}', 'Onwards.', 'Treasure {{gold:+50}}', 'A fall {{hp:-5}}'];
+        for (const [i, mes] of messages.entries()) {
+            context.chat.push({ mes, is_user: false, swipe_id: 0, send_date: `day ${i}` });
+            await core.onMessageReceived(i);
+        }
+
+        context.chat.splice(1, 1);
+        await core.onMessageDeleted(context.chat.length);
+        TestRunner.assertEqual(sheet.get('hp').currentValue, 95, 'Core: deleting a middle message reverts that message');
+        TestRunner.assertEqual(sheet.get('gold').currentValue, 50, 'Core: later messages keep their effects');
+        TestRunner.assertEqual(core.stateManager.getJournalEntry('delete-chat', 2).changes[0].statId, 'gold', 'Core: later entries reindexed');
+
+        context.chat[2].mes = 'Treasure {{gold:+20}}';
+        await core.onMessageEdited(2);
+        TestRunner.assertEqual(sheet.get('gold').currentValue, 20, 'Core: reindexed entry reverts on edit');
+    })();
+
+    await (async () => {
+        const { SimulationCore } = window.SimBuilder?.Core || {};
+        if (!TestRunner.requires({ SimulationCore }, 'Headless Core')) return;
+
+        const { core, context } = createTestCore('edit-chat');
+        const state = core.stateManager.getActiveState();
+        state.statManager.add({ id: 'hp', name: 'HP', baseValue: 100, maxValue: 100 });
+        state.statManager.add({ id: 'str', name: 'STR', baseValue: 10, maxValue: 100 });
+        const messages = ['Blessed {{str:+5 for 5}}', 'A trap! {{hp:-10}}', 'A fall {{hp:-5}}'];
+        for (const [i, mes] of messages.entries()) {
+            context.chat.push({ mes, is_user: false, swipe_id: 0, send_date: `day ${i}` });
+            await core.onMessageReceived(i);
+        }
+        const modifier = () => state.statManager.get('str').modifiers.getActive()[0];
+        TestRunner.assertEqual(state.turnCount, 3, 'Core: one turn per reply');
+
+        context.chat[1].mes = 'A big trap! {{hp:-20}}';
+        await core.onMessageEdited(1);
+        TestRunner.assertEqual(state.statManager.get('hp').currentValue, 75, 'Core: older message edit re-applied');
+        TestRunner.assertEqual(state.turnCount, 3, 'Core: older message edit does not add a turn');
+        TestRunner.assertEqual(modifier()?.remainingDuration, 2, 'Core: older message edit does not age modifiers');
+
+        context.chat[1].mes = 'No trap after all.';
+        await core.onMessageEdited(1);
+        context.chat[1].mes = 'A trap again {{hp:-1}}';
+        await core.onMessageEdited(1);
+        TestRunner.assertEqual(state.turnCount, 3, 'Core: repeated edits keep the same turn');
+        TestRunner.assertEqual(state.statManager.get('hp').currentValue, 94, 'Core: repeated edits keep values right');
+    })();
+
+    // ========================================
+    // Message Source Tests
+    // ========================================
+    console.log('\n📦 Testing Message Sources...');
+
+    await (async () => {
+        const { SimulationCore, MessageSource } = window.SimBuilder?.Core || {};
+        if (!TestRunner.requires({ SimulationCore, MessageSource }, 'Message Sources')) return;
+
+        const { core, context } = createTestCore('source-chat');
+        const { stateManager } = core;
+        stateManager.getActiveState().statManager.add({ id: 'gold', name: 'Gold', baseValue: 20, maxValue: 1000 });
+        stateManager.settings.messageSources = [MessageSource.AI, MessageSource.USER];
+        stateManager.settings.consumeUserCommands = true;
+
+        const sources = [];
+        stateManager.onStatChange((stat, result) => sources.push(result.source));
+        context.chat.push({ mes: 'I pay the merchant. {{gold:-5}}', is_user: true });
+        context.chat.push({ mes: '{{gold:+100}}', is_user: false, is_system: false, extra: { type: 'narrator' } });
+        await core.onMessageReceived(0);
+        await core.onMessageReceived(1);
+        TestRunner.assertEqual(stateManager.getActiveState().statManager.get('gold').currentValue, 15, 'Source: user command applied, narrator skipped');
+        TestRunner.assertEqual(sources[0], MessageSource.USER, 'Source: reported with the change');
+
+        const prompt = context.chat.slice();
+        core.interceptGeneration(prompt);
+        TestRunner.assertEqual(prompt[0].mes, 'I pay the merchant.', 'Source: consumed command hidden from prompt');
+        TestRunner.assertEqual(context.chat[0].mes, 'I pay the merchant. {{gold:-5}}', 'Source: stored message keeps its source');
+    })();
+
+    await (async () => {
+        const { SimulationCore, MessageSource } = window.SimBuilder?.Core || {};
+        if (!TestRunner.requires({ SimulationCore, MessageSource }, 'Message Sources')) return;
+
+        const { core, context } = createTestCore('exchange-chat');
+        const { stateManager } = core;
+        const state = stateManager.getActiveState();
+        state.statManager.add({ id: 'hunger', baseValue: 50, regen: { amount: -1 } });
+        stateManager.settings.messageSources = [MessageSource.AI, MessageSource.USER];
+
+        for (let i = 0; i < 3; i++) {
+            context.chat.push({ mes: 'I eat.', is_user: true });
+            await core.onMessageReceived(context.chat.length - 1);
+            context.chat.push({ mes: 'You eat.', is_user: false, swipe_id: 0 });
+            await core.onMessageReceived(context.chat.length - 1);
+        }
+        TestRunner.assertEqual(state.turnCount, 3, 'Source: one turn per exchange');
+        TestRunner.assertEqual(state.statManager.get('hunger').currentValue, 47, 'Source: regen once per exchange');
+
+        state.promptNotes.push('Remember the storm.');
+        context.chat.push({ mes: 'I wait.', is_user: true });
+        await core.onMessageReceived(context.chat.length - 1);
+        TestRunner.assertEqual(state.promptNotes.length, 1, 'Source: user message leaves prompt notes for the reply');
+
+        context.chat.push({ mes: 'You feel {{nosuch:-5}}', is_user: false, swipe_id: 0 });
+        await core.onMessageReceived(context.chat.length - 1);
+        TestRunner.assertEqual(state.turnCount, 3, 'Source: reply whose commands all failed is not a turn');
+        TestRunner.assertEqual(state.statManager.get('hunger').currentValue, 47, 'Source: no regen without a turn');
+        context.chat.push({ mes: 'You feel {{hunger:+10}}', is_user: false, swipe_id: 0 });
+        await core.onMessageReceived(context.chat.length - 1);
+        TestRunner.assertEqual(state.turnCount, 4, 'Source: reply with an applied change is a turn');
+    })();
+
+    // ========================================
+    // Unknown Stat Tests
+    // ========================================
+    console.log('\n📦 Testing Unknown Stats...');
+
+    (() => {
+        const { SimulationCore, UnknownStatPolicy } = window.SimBuilder?.Core || {};
+        if (!TestRunner.requires({ SimulationCore, UnknownStatPolicy }, 'Unknown Stats')) return;
+
+        const { core } = createTestCore('unknown-chat');
+        const manager = core.stateManager;
+        const state = manager.getActiveState();
+        state.statManager.add({ id: 'strength', name: 'Strength', baseValue: 10 });
+        state.statManager.add({ id: 'health', name: 'Health', baseValue: 50 });
+        state.statManager.add({ id: 'hp', name: 'HP', baseValue: 50 });
+
+        let result = manager.processMessage('{{stamina:-5}}');
+        TestRunner.assertEqual(result.changes[0].error, 'Stat not found', 'Unknown: rejected by default');
+        TestRunner.assertEqual(state.warnings[0].raw, '{{stamina:-5}}', 'Unknown: rejection shown as a warning');
+
+        manager.settings.unknownStatPolicy = UnknownStatPolicy.ALIAS;
+        manager.processMessage('{{str:+2}} {{helth:-10}} {{mp:-1}}');
+        TestRunner.assertEqual(state.statManager.get('strength').currentValue, 12, 'Unknown: prefix mapped to stat');
+        TestRunner.assertEqual(state.statManager.get('health').currentValue, 40, 'Unknown: typo mapped to stat');
+        TestRunner.assertEqual(state.statManager.get('hp').currentValue, 50, 'Unknown: short id not guessed');
+
+        manager.settings.unknownStatPolicy = UnknownStatPolicy.CREATE;
+        result = manager.processMessage('{{reputation:+5}} {{poisoned:on}}');
+        TestRunner.assertEqual(state.statManager.get('reputation').currentValue, 5, 'Unknown: numeric stat created');
+        TestRunner.assertEqual(state.statManager.get('poisoned').currentValue, true, 'Unknown: flag stat created');
+        manager.processMessage('{{gold:1}} {{silver:0}}');
+        TestRunner.assertEqual(state.statManager.get('gold').type, 'number', 'Unknown: "1" creates a number stat');
+        TestRunner.assertEqual(state.statManager.get('silver').type, 'number', 'Unknown: "0" creates a number stat');
+        TestRunner.assertEqual(state.statManager.get('gold').currentValue, 1, 'Unknown: numeric literal applied');
+
+        manager.applyMessage('{{체력:-10}} {{기력:+5}}', { chatId: 'unknown-chat', messageIndex: 0 });
+        const stamina = state.statManager.find('기력');
+        TestRunner.assert(stamina && stamina !== state.statManager.find('체력'), 'Unknown: non-ASCII names get their own stats');
+        TestRunner.assertEqual(stamina && stamina.name, '기력', 'Unknown: original name kept');
+        manager.processMessage('{{기력:+1}}');
+        TestRunner.assertEqual(stamina && stamina.currentValue, 6, 'Unknown: created stat found by its name');
+        manager.revertMessage('unknown-chat', 0);
+        TestRunner.assertEqual(state.statManager.find('체력'), null, 'Unknown: revert removes created stats');
+
+        manager.settings.unknownStatPolicy = UnknownStatPolicy.FEEDBACK;
+        manager.processMessage('{{luck:+1}} {{luck:+2}}');
+        TestRunner.assertEqual(state.promptNotes.length, 1, 'Unknown: one corrective note per stat');
+        TestRunner.assert(state.promptNotes[0].includes('strength'), 'Unknown: note lists valid ids');
+
+        manager.clearWarnings();
+        TestRunner.assertEqual(state.warnings.length, 0, 'Unknown: warnings cleared');
+    })();
+
+    // ========================================
+    // Model Extraction Tests
+    // ========================================
+    console.log('\n📦 Testing Model Extraction...');
+
+    await (async () => {
+        const { SimulationCore } = window.SimBuilder?.Core || {};
+        const { parseExtractionResponse } = window.SimBuilder?.Extraction || {};
+        if (!TestRunner.requires({ SimulationCore, parseExtractionResponse }, 'Model Extraction')) return;
+
+        TestRunner.assertEqual(parseExtractionResponse('Sure!\n```json\n[{"id": "hp", "delta": -3}]\n```').entries.length, 1, 'Extraction: fenced JSON read');
+        TestRunner.assert(!parseExtractionResponse('no idea').success, 'Extraction: prose rejected');
+        TestRunner.assert(!parseExtractionResponse('').success, 'Extraction: empty answer rejected');
+
+        let answer = '[{"id": "HP", "delta": -20}, {"id": "mana", "delta": 5}]';
+        const { core, context } = createTestCore('extract-chat', { generateQuietPrompt: async () => answer });
+        const state = core.stateManager.getActiveState();
+        state.statManager.add({ id: 'hp', name: 'HP', baseValue: 100, maxValue: 100 });
+        state.extractionEnabled = true;
+
+        context.chat.push({ mes: 'The goblin bites her arm.', is_user: false, swipe_id: 0 });
+        await core.onMessageReceived(0);
+        const result = await core.pendingExtraction;
+        TestRunner.assertEqual(state.statManager.get('hp').currentValue, 80, 'Extraction: delta applied');
+        TestRunner.assertEqual(result.rejected.length, 1, 'Extraction: unknown stat rejected');
+
+        await core.onMessageDeleted(0);
+        TestRunner.assertEqual(state.statManager.get('hp').currentValue, 100, 'Extraction: reverted with its message');
+
+        answer = 'I cannot help with that.';
+        context.chat[0] = { mes: 'Nothing happens.', is_user: false, swipe_id: 0 };
+        await core.onMessageReceived(0);
+        TestRunner.assert(!(await core.pendingExtraction).success, 'Extraction: malformed answer reported');
+        TestRunner.assertEqual(state.statManager.get('hp').currentValue, 100, 'Extraction: malformed answer changes nothing');
+
+        answer = '[{"id": "hp", "delta": -5}]';
+        core.stateManager.settings.extractionReview = true;
+        core.reviewExtraction = async () => { throw new Error('dialog closed'); };
+        context.chat.push({ mes: 'She trips.', is_user: false, swipe_id: 0 });
+        await core.onMessageReceived(1);
+        const failed = await core.pendingExtraction;
+        TestRunner.assertEqual(failed.error, 'dialog closed', 'Extraction: failing review reported, not thrown');
+        TestRunner.assertEqual(core.pendingExtraction, null, 'Extraction: failed run cleared');
+    })();
+
+    // ========================================
+    // Scripting Command Tests
+    // ========================================
+    console.log('\n📦 Testing Scripting Commands...');
+
+    (() => {
+        const { SimulationCore, StateScope } = window.SimBuilder?.Core || {};
+        if (!TestRunner.requires({ SimulationCore }, 'Scripting Commands')) return;
+
+        const { core } = createTestCore('script-chat');
+        const { stateManager } = core;
+        const state = stateManager.getActiveState();
+        state.statManager.add({ id: 'hp', name: 'HP', baseValue: 100, maxValue: 100 });
+        state.statManager.add({ id: 'mood', name: 'Mood', type: 'text', baseValue: 'calm' });
+        stateManager.addEntity({ id: 'alice', name: 'Alice' });
+
+        TestRunner.assert(!stateManager.editStat('hp', { max: 'lots' }).success, 'Script: non-numeric bound rejected');
+        TestRunner.assert(!stateManager.editStat('mood', { max: 5 }).success, 'Script: bounds on a text stat rejected');
+        TestRunner.assert(!stateManager.editStat('hp', { displayMode: 'sparkles' }).success, 'Script: unknown displayMode rejected');
+        TestRunner.assert(stateManager.editStat('hp', { max: 200, displayMode: 'percent' }).success, 'Script: valid edit accepted');
+        TestRunner.assertEqual(state.getSheet('alice').get('hp').maxValue, 200, 'Script: edit reaches entity sheets');
+
+        TestRunner.assertEqual(stateManager.resolveStat('alice.hp').entityId, 'alice', 'Script: entity-qualified reference');
+        TestRunner.assertEqual(stateManager.resolveStat('hp', { entityId: 'alice' }).stat, state.getSheet('alice').get('hp'), 'Script: entity argument');
+        TestRunner.assertEqual(stateManager.resolveStat('bob.hp'), null, 'Script: unknown entity resolves to nothing');
+        TestRunner.assertEqual(stateManager.getState(StateScope.GLOBAL), stateManager.globalState, 'Script: scope selects the global state');
+        TestRunner.assertEqual(stateManager.getState(), state, 'Script: no scope means the active state');
+        TestRunner.assertEqual(stateManager.resolveStat('hp', { state: stateManager.getState(StateScope.GLOBAL) }), null, 'Script: scope resolution uses that state');
+
+        // /simset and /simmod go through changeStat
+        state.statManager.add({ id: 'armor', name: 'Armor', formula: 'hp / 10', maxValue: 100 });
+        TestRunner.assert(!stateManager.changeStat('armor', 50, { source: 'command' }).success, 'Script: /simset on a formula stat rejected');
+        TestRunner.assert(!stateManager.changeStat('armor', 5, { modify: true, source: 'command' }).success, 'Script: /simmod on a formula stat rejected');
+        TestRunner.assertEqual(state.statManager.get('armor').currentValue, 10, 'Script: formula stat keeps its computed value');
+        const seen = [];
+        const unsubscribe = stateManager.onStatChange((stat, result) => seen.push(result.source));
+        stateManager.changeStat('hp', -5, { modify: true, source: 'command' });
+        unsubscribe();
+        TestRunner.assertEqual(seen[0], 'command', 'Script: manual edits reach stat-change listeners');
+
+        TestRunner.assert(stateManager.removeStat('hp'), 'Script: stat removed');
+        TestRunner.assert(!state.getSheet('alice').has('hp'), 'Script: removal reaches entity sheets');
+        TestRunner.assert(!stateManager.removeStat('hp'), 'Script: removing a missing stat fails');
+    })();
+
+    // ========================================
+    // Public API Tests
+    // ========================================
+    console.log('\n📦 Testing Public API...');
+
+    (() => {
+        const api = window.SimBuilder;
+        const { StatParser } = api?.Parser || {};
+        if (!TestRunner.requires({ StatParser }, 'Public API')) return;
+
+        TestRunner.assertEqual(api.events.STAT_CHANGED, 'simbuilder_stat_changed', 'API: stat event name');
+
+        const parser = new StatParser();
+        parser.registerParser('brackets', (text) => [...text.matchAll(/\[(\w+) ([+-]\d+)\]/g)]
+            .map(m => ({ statId: m[1], value: parseInt(m[2], 10) })));
+        const commands = parser.parseValid('{{mp:+5}} [HP -10] [oops]');
+        TestRunner.assertEqual(commands.length, 2, 'API: custom parser adds commands');
+        TestRunner.assertEqual(commands[1].statId, 'hp', 'API: custom command id normalized');
+        TestRunner.assert(parser.hasCommands('[HP -10]'), 'API: hasCommands sees custom syntax');
+
+        parser.registerParser('broken', () => { throw new Error('boom'); });
+        TestRunner.assertEqual(parser.parseValid('[HP -10]').length, 1, 'API: failing parser skipped');
+        parser.unregisterParser('brackets');
+        TestRunner.assert(!parser.hasCommands('[HP -10]'), 'API: parser unregistered');
+    })();
+
     // ========================================
     // Edge Cases
     // ========================================
@@ -342,7 +1367,7 @@ async function runTests() {
     (() => {
         const { Stat } = window.SimBuilder?.Stat || {};
         const { StatParser } = window.SimBuilder?.Parser || {};
-        if (!Stat) return;
+        if (!TestRunner.requires({ Stat }, 'Edge Cases')) return;
 
         // Test: Zero max
         const stat1 = new Stat({ id: 'test', minValue: 0, maxValue: 0 });